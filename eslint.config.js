@@ -23,4 +23,20 @@ export default [
             'no-console': ['warn', { allow: ['log', 'warn', 'error'] }],
         },
     },
+    {
+        files: ['js/worklets/**/*.js'],
+        languageOptions: {
+            globals: {
+                ...globals.audioWorklet,
+            },
+        },
+    },
+    {
+        files: ['js/workers/**/*.js'],
+        languageOptions: {
+            globals: {
+                ...globals.worker,
+            },
+        },
+    },
 ];
@@ -0,0 +1,221 @@
+// js/ab-loop.js
+// A-B loop - repeats a section of the current track, optionally slowed down,
+// and keeps named sections per track so they are there next time it plays
+
+import { db } from './db.js';
+import { formatTime } from './utils.js';
+
+// Shortest section that can be looped
+const MIN_LOOP_SECONDS = 0.5;
+
+// Loop end never reaches the very end, so the element doesn't fire 'ended' and advance the queue
+const END_GUARD_SECONDS = 0.05;
+
+export const LOOP_SPEEDS = [1, 0.9, 0.75, 0.6, 0.5];
+
+export class ABLoopManager {
+    constructor(player) {
+        this.player = player;
+        this.audio = player.audio;
+        this.start = null;
+        this.end = null;
+        this.speed = 1;
+        this.regions = [];
+        this.trackId = null;
+        this.frameId = null;
+        this.listeners = new Set();
+
+        // timeupdate only fires a few times per second, so check every frame while looping
+        this.audio.addEventListener('play', () => this._startWatching());
+        this.audio.addEventListener('pause', () => this._stopWatching());
+        this.audio.addEventListener('timeupdate', () => this._checkBoundary());
+        this.audio.addEventListener('loadedmetadata', () => this._renderMarkers());
+    }
+
+    isActive() {
+        return this.start !== null && this.end !== null;
+    }
+
+    /**
+     * Speed the running loop plays at, overriding the playback speed setting without changing it
+     * @returns {number|null} Null when no slowed-down loop is active
+     */
+    getSpeedOverride() {
+        return this.isActive() && this.speed !== 1 ? this.speed : null;
+    }
+
+    /**
+     * Subscribe to loop point, speed and saved region changes
+     * @returns {Function} Unsubscribe
+     */
+    onChange(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    /**
+     * Reset the loop for a newly played track and load its saved regions
+     */
+    async loadTrack(track) {
+        const trackId = track?.id != null ? String(track.id) : null;
+        // Repeating the same track keeps the loop
+        if (trackId === this.trackId) return;
+
+        this.trackId = trackId;
+        this.regions = [];
+        this.clear();
+
+        if (!trackId) return;
+
+        try {
+            const regions = await db.getLoopRegions(trackId);
+            if (this.trackId === trackId) {
+                this.regions = regions;
+                this._notify();
+            }
+        } catch (e) {
+            console.warn('[ABLoop] Failed to load saved loops:', e);
+        }
+    }
+
+    setStart(time = this.audio.currentTime) {
+        if (!this._hasDuration()) return;
+
+        this.start = Math.max(0, Math.min(time, this._maxTime() - MIN_LOOP_SECONDS));
+        if (this.end !== null && this.end - this.start < MIN_LOOP_SECONDS) {
+            this.end = null;
+        }
+        this._update();
+    }
+
+    setEnd(time = this.audio.currentTime) {
+        if (!this._hasDuration()) return;
+
+        // Setting B without A loops from the beginning
+        const start = this.start ?? 0;
+        const end = Math.min(time, this._maxTime());
+        if (end - start < MIN_LOOP_SECONDS) return;
+
+        this.start = start;
+        this.end = end;
+        this._update();
+
+        if (this.audio.currentTime < this.start || this.audio.currentTime >= this.end) {
+            this.audio.currentTime = this.start;
+        }
+    }
+
+    clear() {
+        this.start = null;
+        this.end = null;
+        this._update();
+    }
+
+    setSpeed(speed) {
+        this.speed = Math.max(0.25, Math.min(1, parseFloat(speed) || 1));
+        this._update();
+    }
+
+    /**
+     * Loop a saved region and jump to its start
+     */
+    applyRegion(region) {
+        if (!this._hasDuration()) return;
+
+        this.start = Math.max(0, region.start);
+        this.end = Math.min(region.end, this._maxTime());
+        this.speed = region.speed || 1;
+        this._update();
+        this.audio.currentTime = this.start;
+    }
+
+    async saveRegion(name) {
+        if (!this.isActive() || !this.trackId) return null;
+
+        const label = name?.trim() || `${formatTime(this.start)} - ${formatTime(this.end)}`;
+        const region = await db.saveLoopRegion(this.trackId, label, this.start, this.end, this.speed);
+        this.regions = [...this.regions, region].sort((a, b) => a.start - b.start);
+        this._notify();
+        return region;
+    }
+
+    async deleteRegion(id) {
+        await db.deleteLoopRegion(id);
+        this.regions = this.regions.filter((region) => region.id !== id);
+        this._notify();
+    }
+
+    _hasDuration() {
+        return isFinite(this.audio.duration) && this.audio.duration > 0;
+    }
+
+    _maxTime() {
+        return this.audio.duration - END_GUARD_SECONDS;
+    }
+
+    _update() {
+        this.player.applyAudioEffects();
+        this._renderMarkers();
+
+        if (!this.isActive()) {
+            this._stopWatching();
+        } else if (!this.audio.paused) {
+            this._startWatching();
+        }
+
+        this._notify();
+    }
+
+    _startWatching() {
+        if (this.frameId !== null || !this.isActive()) return;
+
+        const tick = () => {
+            this.frameId = null;
+            if (!this.isActive() || this.audio.paused) return;
+            this._checkBoundary();
+            this.frameId = requestAnimationFrame(tick);
+        };
+        this.frameId = requestAnimationFrame(tick);
+    }
+
+    _stopWatching() {
+        if (this.frameId !== null) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+    }
+
+    _checkBoundary() {
+        if (this.isActive() && this.audio.currentTime >= this.end) {
+            this.audio.currentTime = this.start;
+        }
+    }
+
+    _renderMarkers() {
+        const layer = document.getElementById('progress-markers');
+        if (!layer) return;
+
+        let regionEl = layer.querySelector('.ab-loop-region');
+        if (this.start === null || !this._hasDuration()) {
+            regionEl?.remove();
+            return;
+        }
+
+        if (!regionEl) {
+            regionEl = document.createElement('div');
+            regionEl.className = 'ab-loop-region';
+            layer.appendChild(regionEl);
+        }
+
+        const duration = this.audio.duration;
+        const startPercent = (this.start / duration) * 100;
+        const endPercent = this.end !== null ? (this.end / duration) * 100 : startPercent;
+        regionEl.style.left = `${startPercent}%`;
+        regionEl.style.width = `${endPercent - startPercent}%`;
+        regionEl.classList.toggle('pending', this.end === null);
+    }
+
+    _notify() {
+        this.listeners.forEach((callback) => callback(this));
+    }
+}
@@ -2,6 +2,7 @@
 import PocketBase from 'pocketbase';
 import { db } from '../db.js';
 import { authManager } from './auth.js';
+import { equalizerSettings } from '../storage.js';
 
 const PUBLIC_COLLECTION = 'public_playlists';
 const DEFAULT_POCKETBASE_URL = 'https://monodb.samidy.com';
@@ -307,6 +308,28 @@ const syncManager = {
         await this._updateUserJSON(user.uid, 'user_folders', userFolders);
     },
 
+    /**
+     * EQ presets are kept in the library JSON (library.eq_presets) so no extra column is needed
+     */
+    async syncEqPreset(preset, action) {
+        const user = authManager.user;
+        if (!user) return;
+
+        const record = await this._getUserRecord(user.uid);
+        if (!record) return;
+
+        const library = this.safeParseInternal(record.library, 'library', {});
+        if (!library.eq_presets) library.eq_presets = {};
+
+        if (action === 'delete') {
+            delete library.eq_presets[preset.id];
+        } else {
+            library.eq_presets[preset.id] = preset;
+        }
+
+        await this._updateUserJSON(user.uid, 'library', library);
+    },
+
     async getPublicPlaylist(uuid) {
         try {
             const record = await this.pb
@@ -495,6 +518,7 @@ const syncManager = {
                     if (!library.artists) library.artists = {};
                     if (!library.playlists) library.playlists = {};
                     if (!library.mixes) library.mixes = {};
+                    if (!library.eq_presets) library.eq_presets = {};
                     if (!userPlaylists) userPlaylists = {};
                     if (!userFolders) userFolders = {};
                     if (!history) history = [];
@@ -513,6 +537,13 @@ const syncManager = {
                     localData.playlists.forEach((item) => mergeItem(library.playlists, item, 'playlist'));
                     localData.mixes.forEach((item) => mergeItem(library.mixes, item, 'mix'));
 
+                    equalizerSettings.getUserPresets().forEach((preset) => {
+                        if (!library.eq_presets[preset.id]) {
+                            library.eq_presets[preset.id] = preset;
+                            needsUpdate = true;
+                        }
+                    });
+
                     localData.userPlaylists.forEach((playlist) => {
                         if (!userPlaylists[playlist.id]) {
                             userPlaylists[playlist.id] = {
@@ -565,6 +596,7 @@ const syncManager = {
                         history_tracks: history,
                         user_playlists: Object.values(userPlaylists).filter((p) => p && typeof p === 'object'),
                         user_folders: Object.values(userFolders).filter((f) => f && typeof f === 'object'),
+                        eq_presets: Object.values(library.eq_presets),
                     };
 
                     await database.importData(convertedData);
@@ -572,6 +604,7 @@ const syncManager = {
 
                     window.dispatchEvent(new CustomEvent('library-changed'));
                     window.dispatchEvent(new CustomEvent('history-changed'));
+                    window.dispatchEvent(new CustomEvent('eq-presets-changed'));
                     window.dispatchEvent(new HashChangeEvent('hashchange'));
 
                     console.log('[PocketBase] ✓ Sync completed');
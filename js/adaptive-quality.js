@@ -0,0 +1,226 @@
+// js/adaptive-quality.js
+// Automatic streaming quality - watches download throughput and buffering stalls
+// and moves the player through QUALITY_PRIORITY to match the connection
+
+import { QUALITY_PRIORITY } from './utils.js';
+
+export const AUTO_QUALITY = 'AUTO';
+
+// Rough bitrate each quality needs to stream without stalling, in kbps
+const QUALITY_BITRATES = {
+    HI_RES_LOSSLESS: 3000,
+    LOSSLESS: 1100,
+    HIGH: 320,
+    LOW: 96,
+};
+
+const QUALITY_LABELS = {
+    HI_RES_LOSSLESS: 'Hi-Res',
+    LOSSLESS: 'FLAC',
+    HIGH: 'AAC 320',
+    LOW: 'AAC 96',
+};
+
+// Measured throughput must exceed a quality's bitrate by this factor to step up to it
+const STEP_UP_HEADROOM = 2;
+
+// Stalls within this window count towards switching the current track
+const STALL_WINDOW_MS = 60000;
+const STALLS_BEFORE_RELOAD = 3;
+
+// Only step back up after this long without stalls
+const STABLE_BEFORE_STEP_UP_MS = 120000;
+
+// How often throughput is re-evaluated while playing
+const EVALUATE_INTERVAL_MS = 10000;
+
+// Responses smaller than this finish too quickly to say anything about bandwidth
+const MIN_SAMPLE_BYTES = 256 * 1024;
+
+// Weight of the newest sample in the throughput average
+const THROUGHPUT_SMOOTHING = 0.3;
+
+export class AdaptiveQualityManager {
+    constructor(player) {
+        this.player = player;
+        this.audio = player.audio;
+        this.enabled = false;
+        this.maxQuality = QUALITY_PRIORITY[0];
+        this.level = 0;
+        this.throughputKbps = null;
+        this.stalls = [];
+        this.lastStallAt = 0;
+        this.lastEvaluatedAt = 0;
+        // 'waiting' before the first 'playing' of a source is the initial load, not a stall
+        this.hasStarted = false;
+
+        this.audio.addEventListener('loadstart', () => {
+            this.hasStarted = false;
+            this.stalls = [];
+        });
+        this.audio.addEventListener('playing', () => (this.hasStarted = true));
+        this.audio.addEventListener('waiting', () => this._onStall());
+        this.audio.addEventListener('timeupdate', () => {
+            if (Date.now() - this.lastEvaluatedAt >= EVALUATE_INTERVAL_MS) {
+                this._evaluate();
+            }
+        });
+
+        this._observeDownloads();
+        this._updateIndicator();
+    }
+
+    isEnabled() {
+        return this.enabled;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (enabled) {
+            this.level = this._getLevels().length - 1;
+            this._stepToThroughput();
+        }
+        this._updateIndicator();
+    }
+
+    /**
+     * Highest quality auto mode may pick (e.g. LOSSLESS where Hi-Res can't play)
+     */
+    setMaxQuality(quality) {
+        if (!QUALITY_PRIORITY.includes(quality)) return;
+        this.maxQuality = quality;
+        this.level = Math.min(this.level, this._getLevels().length - 1);
+        if (this.enabled) this._apply(false);
+    }
+
+    /**
+     * Quality the next stream should be requested at
+     */
+    getQuality() {
+        return this._getLevels()[this.level];
+    }
+
+    _getLevels() {
+        // Lowest first, so a higher level means better quality
+        return QUALITY_PRIORITY.slice(QUALITY_PRIORITY.indexOf(this.maxQuality)).reverse();
+    }
+
+    _observeDownloads() {
+        if (typeof PerformanceObserver === 'undefined') return;
+
+        try {
+            const observer = new PerformanceObserver((list) => {
+                list.getEntries().forEach((entry) => {
+                    // Cross-origin responses without Timing-Allow-Origin report no size
+                    if (entry.transferSize < MIN_SAMPLE_BYTES || entry.duration <= 0) return;
+                    // bytes * 8 / ms = kbps
+                    this._addSample((entry.transferSize * 8) / entry.duration);
+                });
+            });
+            observer.observe({ type: 'resource', buffered: false });
+        } catch (e) {
+            console.warn('[AdaptiveQuality] Resource timing unavailable:', e);
+        }
+    }
+
+    _addSample(kbps) {
+        this.throughputKbps =
+            this.throughputKbps === null
+                ? kbps
+                : this.throughputKbps * (1 - THROUGHPUT_SMOOTHING) + kbps * THROUGHPUT_SMOOTHING;
+    }
+
+    _getThroughput() {
+        // dash.js measures its own segment downloads, which is the most direct signal
+        if (this.player.dashInitialized) {
+            try {
+                const dashKbps = this.player.dashPlayer.getAverageThroughput?.('audio');
+                if (dashKbps > 0) return dashKbps;
+            } catch {
+                /* ignore */
+            }
+        }
+        if (this.throughputKbps !== null) return this.throughputKbps;
+
+        const downlink = navigator.connection?.downlink;
+        return downlink ? downlink * 1000 : null;
+    }
+
+    _onStall() {
+        if (!this.enabled || !this.hasStarted || this.audio.seeking) return;
+
+        const now = Date.now();
+        this.lastStallAt = now;
+        this.stalls = [...this.stalls.filter((time) => now - time < STALL_WINDOW_MS), now];
+
+        if (this.level === 0) return;
+
+        // Repeated stalls: the current track can't keep up either, so reload it lower
+        const reloadCurrent = this.stalls.length >= STALLS_BEFORE_RELOAD;
+        this.level--;
+        this._apply(reloadCurrent);
+        if (reloadCurrent) this.stalls = [];
+    }
+
+    _evaluate() {
+        this.lastEvaluatedAt = Date.now();
+        if (!this.enabled || this.audio.paused) return;
+        this._stepToThroughput();
+        this._updateIndicator();
+    }
+
+    _stepToThroughput() {
+        const throughput = this._getThroughput();
+        if (throughput === null) return;
+
+        const levels = this._getLevels();
+        const current = levels[this.level];
+
+        if (throughput < QUALITY_BITRATES[current] && this.level > 0) {
+            this.level--;
+            this._apply(false);
+            return;
+        }
+
+        const next = levels[this.level + 1];
+        const isStable = Date.now() - this.lastStallAt >= STABLE_BEFORE_STEP_UP_MS;
+        if (next && isStable && throughput >= QUALITY_BITRATES[next] * STEP_UP_HEADROOM) {
+            this.level++;
+            this._apply(false);
+        }
+    }
+
+    _apply(reloadCurrent) {
+        const quality = this.getQuality();
+        if (quality === this.player.quality) {
+            this._updateIndicator();
+            return;
+        }
+
+        this.player.quality = quality;
+        // Preloaded stream URLs were resolved at the old quality
+        this.player.preloadCache.clear();
+        this._updateIndicator();
+
+        const track = this.player.currentTrack;
+        if (reloadCurrent && track && !track.isLocal && !this.audio.paused) {
+            console.warn(`[AdaptiveQuality] Repeated stalls, reloading at ${quality}`);
+            this.player.playTrackFromQueue(this.audio.currentTime);
+        }
+    }
+
+    _updateIndicator() {
+        const indicator = document.getElementById('active-quality');
+        if (!indicator) return;
+
+        indicator.style.display = this.enabled ? '' : 'none';
+        if (!this.enabled) return;
+
+        const quality = this.getQuality();
+        const throughput = this._getThroughput();
+        indicator.textContent = QUALITY_LABELS[quality] || quality;
+        indicator.title = throughput
+            ? `Auto quality: ${QUALITY_LABELS[quality]} (~${(throughput / 1000).toFixed(1)} Mbps)`
+            : `Auto quality: ${QUALITY_LABELS[quality]}`;
+    }
+}
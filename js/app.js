@@ -179,6 +179,28 @@ function initializeKeyboardShortcuts(player, audioPlayer) {
             case 'l':
                 document.querySelector('.now-playing-bar .cover')?.click();
                 break;
+            case '[':
+                player.abLoop.setStart();
+                break;
+            case ']':
+                player.abLoop.setEnd();
+                break;
+            case '\\':
+                player.abLoop.clear();
+                break;
+            case 'b':
+                if (player.currentTrack) {
+                    player.resumePoints.addBookmark().catch((err) => console.error('Failed to add bookmark:', err));
+                }
+                break;
+            case 'z':
+                if ((e.ctrlKey || e.metaKey) && !e.shiftKey) {
+                    e.preventDefault();
+                    if (player.undoQueueChange()) {
+                        loadDownloadsModule().then(({ showNotification }) => showNotification('Queue restored'));
+                    }
+                }
+                break;
         }
     });
 }
@@ -261,6 +283,9 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     const currentQuality = localStorage.getItem('playback-quality') || 'HI_RES_LOSSLESS';
     const player = new Player(audioPlayer, api, currentQuality);
+    if (isIOS || isSafari) {
+        player.adaptiveQuality.setMaxQuality('LOSSLESS');
+    }
 
     // Initialize tracker
     initTracker(player);
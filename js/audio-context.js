@@ -1,11 +1,44 @@
 // js/audio-context.js
-// Shared Audio Context Manager - handles EQ and provides context for visualizer
+// Shared Audio Context Manager - handles EQ, effects and dynamics and provides context for visualizer
 
 import { equalizerSettings, monoAudioSettings } from './storage.js';
+import { EffectsRack } from './effects.js';
+import { DynamicsProcessor } from './dynamics.js';
+import { StereoProcessor } from './stereo.js';
+import { KaraokeProcessor } from './karaoke.js';
+import { PitchShifter } from './pitch-shift.js';
 
 // Standard 16-band ISO center frequencies (Hz)
 const EQ_FREQUENCIES = [25, 40, 63, 100, 160, 250, 400, 630, 1000, 1600, 2500, 4000, 6300, 10000, 16000, 20000];
 
+// Filter types a parametric band can use
+const EQ_FILTER_TYPES = ['peaking', 'lowshelf', 'highshelf', 'lowpass', 'highpass', 'notch'];
+
+// Limits for parametric bands
+const EQ_GAIN_RANGE = 30;
+const EQ_MIN_FREQUENCY = 20;
+const EQ_MAX_FREQUENCY = 20000;
+const EQ_MIN_Q = 0.1;
+const EQ_MAX_Q = 30;
+const EQ_MAX_BANDS = 20;
+
+// Preset keys of user presets are prefixed so they can't clash with EQ_PRESETS
+const USER_PRESET_PREFIX = 'user:';
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+/**
+ * Bring a parametric band within the supported ranges
+ * @param {Object} band - { type, frequency, q, gain }
+ * @returns {Object}
+ */
+const normalizeBand = (band) => ({
+    type: EQ_FILTER_TYPES.includes(band?.type) ? band.type : 'peaking',
+    frequency: clamp(parseFloat(band?.frequency) || 1000, EQ_MIN_FREQUENCY, EQ_MAX_FREQUENCY),
+    q: clamp(parseFloat(band?.q) || 1, EQ_MIN_Q, EQ_MAX_Q),
+    gain: clamp(parseFloat(band?.gain) || 0, -EQ_GAIN_RANGE, EQ_GAIN_RANGE),
+});
+
 // EQ Presets (gain values in dB for each of the 16 bands)
 const EQ_PRESETS = {
     flat: {
@@ -78,7 +111,11 @@ class AudioContextManager {
     constructor() {
         this.audioContext = null;
         this.source = null;
+        this.inputNode = null;
+        this.elementSources = new Map();
         this.analyser = null;
+        this.channelAnalysers = null;
+        this.recordingDestination = null;
         this.filters = [];
         this.outputNode = null;
         this.isInitialized = false;
@@ -86,8 +123,38 @@ class AudioContextManager {
         this.isMonoAudioEnabled = false;
         this.monoMergerNode = null;
         this.currentGains = new Array(16).fill(0);
+        this.eqMode = 'graphic';
+        this.parametricBands = [];
+        this.preampDb = 0;
+        // Throwaway context for drawing response curves before playback has started
+        this.responseContext = null;
         this.audio = null;
 
+        // Pitch shift in semitones, ahead of everything else
+        this.pitchShift = new PitchShifter(() => {
+            if (this.isInitialized) this._connectGraph();
+        });
+
+        // Karaoke vocal reduction, before mono and stereo so it sees the untouched stereo image
+        this.karaoke = new KaraokeProcessor(() => {
+            if (this.isInitialized) this._connectGraph();
+        });
+
+        // Stereo width, crossfeed and balance, right after mono
+        this.stereo = new StereoProcessor(() => {
+            if (this.isInitialized) this._connectGraph();
+        });
+
+        // Reverb, delay and bitcrusher after the EQ; reordering or bypassing reconnects the graph
+        this.effectsRack = new EffectsRack(() => {
+            if (this.isInitialized) this._connectGraph();
+        });
+
+        // Normalization gain, compressor and limiter at the end of the chain
+        this.dynamics = new DynamicsProcessor(() => {
+            if (this.isInitialized) this._connectGraph();
+        });
+
         // Callbacks for audio graph changes (for visualizers like Butterchurn)
         this._graphChangeCallbacks = [];
 
@@ -116,7 +183,7 @@ class AudioContextManager {
     _notifyGraphChange() {
         this._graphChangeCallbacks.forEach((callback) => {
             try {
-                callback(this.source);
+                callback(this.inputNode);
             } catch (e) {
                 console.warn('[AudioContext] Graph change callback failed:', e);
             }
@@ -148,42 +215,45 @@ class AudioContextManager {
             const AudioContext = window.AudioContext || window.webkitAudioContext;
             this.audioContext = new AudioContext();
 
+            // Summing node every media element feeds into, so a standby element (gapless)
+            // shares the same EQ, analyser and visualizer taps as the main one
+            this.inputNode = this.audioContext.createGain();
+            this.inputNode.gain.value = 1;
+
             // Create the media element source
-            this.source = this.audioContext.createMediaElementSource(audioElement);
+            this.connectMediaElement(audioElement);
+            this.source = this.elementSources.get(audioElement).source;
 
             // Create analyser for visualizer
             this.analyser = this.audioContext.createAnalyser();
             this.analyser.fftSize = 512;
             this.analyser.smoothingTimeConstant = 0.7;
 
-            // Create 16 biquad filters for EQ
-            this.filters = EQ_FREQUENCIES.map((freq, index) => {
-                const filter = this.audioContext.createBiquadFilter();
-                filter.type = 'peaking';
-                filter.frequency.value = freq;
-                filter.Q.value = 2.5; // Constant-Q design
-                filter.gain.value = this.currentGains[index];
-                return filter;
-            });
-
-            // Create output gain node
+            // Create output gain node (carries the EQ preamp)
             this.outputNode = this.audioContext.createGain();
-            this.outputNode.gain.value = 1;
+            this.outputNode.gain.value = Math.pow(10, this.preampDb / 20);
 
             // Create mono audio merger node
             this.monoMergerNode = this.audioContext.createChannelMerger(2);
 
-            // Connect filter chain: filter[0] -> filter[1] -> ... -> filter[15] -> outputNode
-            for (let i = 0; i < this.filters.length - 1; i++) {
-                this.filters[i].connect(this.filters[i + 1]);
-            }
-            this.filters[this.filters.length - 1].connect(this.outputNode);
+            // Create the EQ filters (16 graphic bands or the parametric list) and chain them into outputNode
+            this._buildFilters();
+
+            // Create the pitch shift, karaoke, stereo and effects rack nodes
+            this.pitchShift.init(this.audioContext);
+            this.karaoke.init(this.audioContext);
+            this.stereo.init(this.audioContext);
+            this.effectsRack.init(this.audioContext);
+
+            // Create the dynamics stage; its loudness meter listens to the main element's own source,
+            // before the standby element (gapless, crossfade) is mixed in and before the hand-over gain
+            this.dynamics.init(this.audioContext, this.source, audioElement);
 
             // Connect the audio graph based on EQ and mono state
             this._connectGraph();
 
             this.isInitialized = true;
-            console.log('[AudioContext] Initialized with 16-band EQ');
+            console.log(`[AudioContext] Initialized with ${this.eqMode} EQ`);
         } catch (e) {
             console.warn('[AudioContext] Init failed:', e);
         }
@@ -197,7 +267,7 @@ class AudioContextManager {
 
         try {
             // Disconnect everything first
-            this.source.disconnect();
+            this.inputNode.disconnect();
             this.outputNode.disconnect();
             if (this.monoMergerNode) {
                 try {
@@ -206,6 +276,11 @@ class AudioContextManager {
                     // Ignore if not connected
                 }
             }
+            this.pitchShift.output?.disconnect();
+            this.karaoke.output?.disconnect();
+            this.stereo.output?.disconnect();
+            this.effectsRack.output?.disconnect();
+            this.dynamics.output?.disconnect();
 
             // Only disconnect destination from analyser to preserve other taps (like Butterchurn)
             try {
@@ -214,7 +289,20 @@ class AudioContextManager {
                 // Ignore if not connected
             }
 
-            let lastNode = this.source;
+            let lastNode = this.inputNode;
+
+            // Pitch shift, only when the pitch is changed
+            if (this.pitchShift.isActive()) {
+                lastNode.connect(this.pitchShift.input);
+                lastNode = this.pitchShift.output;
+            }
+
+            // Karaoke vocal reduction, only while karaoke mode is on
+            if (this.karaoke.isActive()) {
+                lastNode.connect(this.karaoke.input);
+                lastNode = this.karaoke.output;
+                console.log('[AudioContext] Karaoke vocal reduction enabled');
+            }
 
             // Apply mono audio if enabled
             if (this.isMonoAudioEnabled && this.monoMergerNode) {
@@ -222,8 +310,8 @@ class AudioContextManager {
                 const monoGain = this.audioContext.createGain();
                 monoGain.gain.value = 0.5; // Reduce volume to prevent clipping when mixing
 
-                // Connect source to mono gain
-                this.source.connect(monoGain);
+                // Connect the chain so far to mono gain
+                lastNode.connect(monoGain);
 
                 // Connect mono gain to both inputs of the merger
                 monoGain.connect(this.monoMergerNode, 0, 0);
@@ -233,32 +321,168 @@ class AudioContextManager {
                 console.log('[AudioContext] Mono audio enabled');
             }
 
+            // Stereo stage, only when width, crossfeed or balance is changed from neutral
+            if (this.stereo.isActive()) {
+                lastNode.connect(this.stereo.input);
+                lastNode = this.stereo.output;
+            }
+
             if (this.isEQEnabled && this.filters.length > 0) {
-                // EQ enabled: lastNode -> EQ filters -> output -> analyser -> destination
+                // EQ enabled: lastNode -> EQ filters -> output
                 lastNode.connect(this.filters[0]);
-                this.outputNode.connect(this.analyser);
-                this.analyser.connect(this.audioContext.destination);
+                lastNode = this.outputNode;
                 console.log('[AudioContext] EQ connected');
             } else {
-                // EQ disabled: lastNode -> analyser -> destination
-                lastNode.connect(this.analyser);
-                this.analyser.connect(this.audioContext.destination);
                 console.log('[AudioContext] EQ bypassed');
             }
 
+            // Effects rack, only when at least one effect is switched on
+            if (this.effectsRack.isActive()) {
+                lastNode.connect(this.effectsRack.input);
+                lastNode = this.effectsRack.output;
+                console.log('[AudioContext] Effects connected:', this.effectsRack.getOrder().join(' -> '));
+            }
+
+            // Dynamics last, so the limiter catches whatever EQ and effects boosted
+            if (this.dynamics.isActive()) {
+                lastNode.connect(this.dynamics.input);
+                lastNode = this.dynamics.output;
+            }
+
+            // lastNode -> analyser -> destination
+            lastNode.connect(this.analyser);
+            this.analyser.connect(this.audioContext.destination);
+
             // Notify visualizers that graph has been reconnected
             this._notifyGraphChange();
         } catch (e) {
             console.warn('[AudioContext] Failed to connect graph:', e);
             // Fallback: direct connection
             try {
-                this.source.connect(this.audioContext.destination);
+                this.inputNode.connect(this.audioContext.destination);
             } catch {
                 /* ignore */
             }
         }
     }
 
+    /**
+     * Filter settings for the current EQ mode
+     * @returns {Array<{type: string, frequency: number, q: number, gain: number}>}
+     */
+    _getBandDefinitions() {
+        if (this.eqMode === 'parametric') {
+            return this.parametricBands;
+        }
+        return EQ_FREQUENCIES.map((frequency, index) => ({
+            type: 'peaking',
+            frequency,
+            q: 2.5, // Constant-Q design
+            gain: this.currentGains[index],
+        }));
+    }
+
+    _createFilter(context, band) {
+        const filter = context.createBiquadFilter();
+        filter.type = band.type;
+        filter.frequency.value = band.frequency;
+        filter.Q.value = band.q;
+        filter.gain.value = band.gain;
+        return filter;
+    }
+
+    /**
+     * (Re)create the EQ filter chain: filter[0] -> filter[1] -> ... -> outputNode
+     */
+    _buildFilters() {
+        if (!this.audioContext) return;
+
+        this.filters.forEach((filter) => filter.disconnect());
+        this.filters = this._getBandDefinitions().map((band) => this._createFilter(this.audioContext, band));
+
+        for (let i = 0; i < this.filters.length - 1; i++) {
+            this.filters[i].connect(this.filters[i + 1]);
+        }
+        if (this.filters.length > 0) {
+            this.filters[this.filters.length - 1].connect(this.outputNode);
+        }
+    }
+
+    _rebuildFilters() {
+        if (!this.isInitialized || !this.audioContext) return;
+
+        this._buildFilters();
+        this._connectGraph();
+    }
+
+    /**
+     * Route a media element through the shared graph
+     * The main element is connected in init(); extra elements (e.g. the gapless standby) can join later
+     * @param {HTMLMediaElement} element - Element to connect
+     * @returns {GainNode|null} - Per-element gain, used for hand-over ramps
+     */
+    connectMediaElement(element) {
+        if (!this.audioContext || !this.inputNode || !element) return null;
+
+        const existing = this.elementSources.get(element);
+        if (existing) return existing.gain;
+
+        // createMediaElementSource can only be called once per element, so keep the pair around
+        const source = this.audioContext.createMediaElementSource(element);
+        const gain = this.audioContext.createGain();
+        gain.gain.value = 1;
+        source.connect(gain);
+        gain.connect(this.inputNode);
+
+        this.elementSources.set(element, { source, gain });
+        return gain;
+    }
+
+    /**
+     * Get the per-element gain node created by connectMediaElement
+     * @param {HTMLMediaElement} element
+     * @returns {GainNode|null}
+     */
+    getElementGain(element) {
+        return this.elementSources.get(element)?.gain || null;
+    }
+
+    /**
+     * Set the per-element gain, optionally ramping to it
+     * @param {HTMLMediaElement} element
+     * @param {number} value - Linear gain
+     * @param {number} rampSeconds - Ramp duration, 0 for an immediate change
+     */
+    setElementGain(element, value, rampSeconds = 0) {
+        const gain = this.getElementGain(element);
+        if (!gain || !this.audioContext) return;
+
+        const now = this.audioContext.currentTime;
+        // Drop everything (including a fade curve still in progress) but hold the current level
+        const current = gain.gain.value;
+        gain.gain.cancelScheduledValues(0);
+        gain.gain.setValueAtTime(current, now);
+        if (rampSeconds > 0) {
+            gain.gain.linearRampToValueAtTime(value, now + rampSeconds);
+        } else {
+            gain.gain.setValueAtTime(value, now);
+        }
+    }
+
+    /**
+     * Run a gain curve on an element's gain node, starting now (used for crossfades)
+     * @param {HTMLMediaElement} element
+     * @param {Float32Array} curve - Linear gain values spread evenly over the duration
+     * @param {number} durationSeconds
+     */
+    setElementGainCurve(element, curve, durationSeconds) {
+        const gain = this.getElementGain(element);
+        if (!gain || !this.audioContext) return;
+
+        gain.gain.cancelScheduledValues(0);
+        gain.gain.setValueCurveAtTime(curve, this.audioContext.currentTime, durationSeconds);
+    }
+
     /**
      * Resume audio context (required after user interaction)
      * @returns {Promise<boolean>} - Returns true if context is running
@@ -292,6 +516,64 @@ class AudioContextManager {
         return this.analyser;
     }
 
+    /**
+     * Left and right analysers tapped from the main analyser, for visualizers that need the
+     * stereo image or finer frequency resolution. Created on first use.
+     * @returns {AnalyserNode[]|null} [left, right], or null before the audio context exists
+     */
+    getChannelAnalysers() {
+        if (!this.analyser) return null;
+
+        if (!this.channelAnalysers) {
+            const upmix = this.audioContext.createGain();
+            // Up-mix mono output so both channels are always there
+            upmix.channelCount = 2;
+            upmix.channelCountMode = 'explicit';
+            upmix.channelInterpretation = 'speakers';
+            const splitter = this.audioContext.createChannelSplitter(2);
+            upmix.connect(splitter);
+
+            this.channelAnalysers = [0, 1].map((channel) => {
+                const analyser = this.audioContext.createAnalyser();
+                analyser.fftSize = 4096;
+                analyser.smoothingTimeConstant = 0;
+                splitter.connect(analyser, channel);
+                return analyser;
+            });
+            // The main analyser is never disconnected from its taps when the graph is rebuilt
+            this.analyser.connect(upmix);
+        }
+        return this.channelAnalysers;
+    }
+
+    /**
+     * Stream of the processed (post-EQ/effects) audio, e.g. for recording; tapped from the analyser
+     * @returns {MediaStream|null} null before the audio graph exists
+     */
+    getRecordingStream() {
+        if (!this.analyser) return null;
+
+        if (!this.recordingDestination) {
+            this.recordingDestination = this.audioContext.createMediaStreamDestination();
+            this.analyser.connect(this.recordingDestination);
+        }
+        return this.recordingDestination.stream;
+    }
+
+    /**
+     * Remove the recording tap again
+     */
+    releaseRecordingStream() {
+        if (!this.recordingDestination) return;
+
+        try {
+            this.analyser.disconnect(this.recordingDestination);
+        } catch {
+            // Ignore if not connected
+        }
+        this.recordingDestination = null;
+    }
+
     /**
      * Get the audio context
      */
@@ -301,9 +583,10 @@ class AudioContextManager {
 
     /**
      * Get the source node for visualizers
+     * This is the summing input, so taps also hear the gapless standby element
      */
     getSourceNode() {
-        return this.source;
+        return this.inputNode;
     }
 
     /**
@@ -364,7 +647,7 @@ class AudioContextManager {
         const clampedGain = Math.max(-30, Math.min(30, gainDb));
         this.currentGains[bandIndex] = clampedGain;
 
-        if (this.filters[bandIndex] && this.audioContext) {
+        if (this.eqMode === 'graphic' && this.filters[bandIndex] && this.audioContext) {
             const now = this.audioContext.currentTime;
             this.filters[bandIndex].gain.setTargetAtTime(clampedGain, now, 0.01);
         }
@@ -384,7 +667,7 @@ class AudioContextManager {
             const clampedGain = Math.max(-30, Math.min(30, gain));
             this.currentGains[index] = clampedGain;
 
-            if (this.filters[index]) {
+            if (this.eqMode === 'graphic' && this.filters[index]) {
                 this.filters[index].gain.setTargetAtTime(clampedGain, now, 0.01);
             }
         });
@@ -396,18 +679,79 @@ class AudioContextManager {
      * Apply a preset
      */
     applyPreset(presetKey) {
+        if (presetKey.startsWith(USER_PRESET_PREFIX)) {
+            this.applyUserPreset(presetKey.slice(USER_PRESET_PREFIX.length));
+            return;
+        }
+
         const preset = EQ_PRESETS[presetKey];
         if (!preset) return;
 
+        this.setEQMode('graphic');
+        this.setPreamp(0);
+
         this.setAllGains(preset.gains);
         equalizerSettings.setPreset(presetKey);
     }
 
+    /**
+     * Apply a preset saved by the user, switching to the EQ mode it was made in
+     * @param {string} id
+     */
+    applyUserPreset(id) {
+        const preset = equalizerSettings.getUserPreset(id);
+        if (!preset) return;
+
+        if (preset.mode === 'parametric') {
+            this.setParametricBands(preset.bands || []);
+        } else {
+            this.setAllGains(preset.gains || new Array(16).fill(0));
+        }
+        this.setEQMode(preset.mode === 'parametric' ? 'parametric' : 'graphic');
+        this.setPreamp(preset.preamp || 0);
+        equalizerSettings.setPreset(`${USER_PRESET_PREFIX}${id}`);
+    }
+
+    /**
+     * Save the current EQ (mode, gains or bands, preamp) as a user preset
+     * @param {string} name
+     * @returns {Object} The new preset
+     */
+    saveUserPreset(name) {
+        const preset = equalizerSettings.addUserPreset({
+            name,
+            mode: this.eqMode,
+            ...(this.eqMode === 'parametric' ? { bands: this.getParametricBands() } : { gains: this.getGains() }),
+            preamp: this.preampDb,
+        });
+        equalizerSettings.setPreset(`${USER_PRESET_PREFIX}${preset.id}`);
+        return preset;
+    }
+
+    /**
+     * Set the gain applied in front of the EQ
+     * @param {number} gainDb
+     */
+    setPreamp(gainDb) {
+        this.preampDb = clamp(parseFloat(gainDb) || 0, -EQ_GAIN_RANGE, EQ_GAIN_RANGE);
+        equalizerSettings.setPreamp(this.preampDb);
+
+        if (this.outputNode && this.audioContext) {
+            const now = this.audioContext.currentTime;
+            this.outputNode.gain.setTargetAtTime(Math.pow(10, this.preampDb / 20), now, 0.01);
+        }
+    }
+
+    getPreamp() {
+        return this.preampDb;
+    }
+
     /**
      * Reset all bands to flat
      */
     reset() {
         this.setAllGains(new Array(16).fill(0));
+        this.setPreamp(0);
         equalizerSettings.setPreset('flat');
     }
 
@@ -418,12 +762,149 @@ class AudioContextManager {
         return [...this.currentGains];
     }
 
+    /**
+     * Snapshot of the whole EQ (used for per-device profiles)
+     * @returns {{enabled: boolean, mode: string, gains: number[], bands: Object[], preamp: number, preset: string}}
+     */
+    getEQState() {
+        return {
+            enabled: this.isEQEnabled,
+            mode: this.eqMode,
+            gains: this.getGains(),
+            bands: this.getParametricBands(),
+            preamp: this.preampDb,
+            preset: equalizerSettings.getPreset(),
+        };
+    }
+
+    /**
+     * Restore a snapshot taken with getEQState
+     */
+    setEQState(state) {
+        if (!state) return;
+
+        if (Array.isArray(state.gains)) this.setAllGains(state.gains);
+        if (Array.isArray(state.bands)) this.setParametricBands(state.bands);
+        this.setEQMode(state.mode === 'parametric' ? 'parametric' : 'graphic');
+        this.setPreamp(state.preamp || 0);
+        if (state.preset) equalizerSettings.setPreset(state.preset);
+        this.toggleEQ(!!state.enabled);
+    }
+
+    /**
+     * Switch between the 16-band graphic EQ and the parametric band list
+     * @param {'graphic'|'parametric'} mode
+     */
+    setEQMode(mode) {
+        if (!equalizerSettings.MODES.includes(mode) || mode === this.eqMode) return;
+
+        this.eqMode = mode;
+        equalizerSettings.setMode(mode);
+        this._rebuildFilters();
+    }
+
+    getEQMode() {
+        return this.eqMode;
+    }
+
+    /**
+     * Get a copy of the parametric bands
+     */
+    getParametricBands() {
+        return this.parametricBands.map((band) => ({ ...band }));
+    }
+
+    /**
+     * Replace all parametric bands
+     */
+    setParametricBands(bands) {
+        if (!Array.isArray(bands)) return;
+
+        this.parametricBands = bands.slice(0, EQ_MAX_BANDS).map(normalizeBand);
+        equalizerSettings.setParametricBands(this.parametricBands);
+        if (this.eqMode === 'parametric') {
+            this._rebuildFilters();
+        }
+    }
+
+    /**
+     * Add a parametric band
+     * @returns {number} Index of the new band, -1 when the band limit is reached
+     */
+    addParametricBand(band = {}) {
+        if (this.parametricBands.length >= EQ_MAX_BANDS) return -1;
+
+        this.setParametricBands([...this.parametricBands, band]);
+        return this.parametricBands.length - 1;
+    }
+
+    removeParametricBand(index) {
+        if (index < 0 || index >= this.parametricBands.length) return;
+
+        this.setParametricBands(this.parametricBands.filter((_, i) => i !== index));
+    }
+
+    /**
+     * Change one parametric band; the filter is updated in place so dragging stays glitch-free
+     * @param {number} index
+     * @param {Object} changes - Any of { type, frequency, q, gain }
+     */
+    updateParametricBand(index, changes) {
+        const current = this.parametricBands[index];
+        if (!current) return;
+
+        const band = normalizeBand({ ...current, ...changes });
+        this.parametricBands[index] = band;
+        equalizerSettings.setParametricBands(this.parametricBands);
+
+        const filter = this.eqMode === 'parametric' ? this.filters[index] : null;
+        if (filter && this.audioContext) {
+            const now = this.audioContext.currentTime;
+            filter.type = band.type;
+            filter.frequency.setTargetAtTime(band.frequency, now, 0.01);
+            filter.Q.setTargetAtTime(band.q, now, 0.01);
+            filter.gain.setTargetAtTime(band.gain, now, 0.01);
+        }
+    }
+
+    /**
+     * Combined magnitude response of the current EQ
+     * @param {Float32Array} frequencies - Frequencies in Hz
+     * @param {Array} bands - Bands to evaluate, defaults to the current mode's bands
+     * @returns {Float32Array} Gain in dB at each frequency
+     */
+    getFrequencyResponse(frequencies, bands = this._getBandDefinitions()) {
+        const response = new Float32Array(frequencies.length);
+        const sampleRate = this.audioContext?.sampleRate || 48000;
+
+        if (!this.responseContext || this.responseContext.sampleRate !== sampleRate) {
+            const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+            if (!OfflineContext) return response;
+            this.responseContext = new OfflineContext(1, 1, sampleRate);
+        }
+
+        const magnitude = new Float32Array(frequencies.length);
+        const phase = new Float32Array(frequencies.length);
+
+        bands.forEach((band) => {
+            this._createFilter(this.responseContext, band).getFrequencyResponse(frequencies, magnitude, phase);
+            for (let i = 0; i < frequencies.length; i++) {
+                response[i] += 20 * Math.log10(Math.max(magnitude[i], 1e-6));
+            }
+        });
+
+        return response;
+    }
+
     /**
      * Load settings from storage
      */
     _loadSettings() {
         this.isEQEnabled = equalizerSettings.isEnabled();
         this.currentGains = equalizerSettings.getGains();
+        this.eqMode = equalizerSettings.getMode();
+        this.preampDb = equalizerSettings.getPreamp();
+        this.parametricBands = equalizerSettings.getParametricBands().slice(0, EQ_MAX_BANDS).map(normalizeBand);
         this.isMonoAudioEnabled = monoAudioSettings.isEnabled();
     }
 }
@@ -431,5 +912,15 @@ class AudioContextManager {
 // Export singleton instance
 export const audioContextManager = new AudioContextManager();
 
-// Export presets for settings UI
-export { EQ_PRESETS };
+// Export presets and parametric limits for settings UI
+export {
+    EQ_PRESETS,
+    EQ_FILTER_TYPES,
+    EQ_GAIN_RANGE,
+    EQ_MIN_FREQUENCY,
+    EQ_MAX_FREQUENCY,
+    EQ_MIN_Q,
+    EQ_MAX_Q,
+    EQ_MAX_BANDS,
+    USER_PRESET_PREFIX,
+};
@@ -1,7 +1,9 @@
+import { equalizerSettings } from './storage.js';
+
 export class MusicDatabase {
     constructor() {
         this.dbName = 'SteqDB';
-        this.version = 7;
+        this.version = 15;
         this.db = null;
     }
 
@@ -60,6 +62,40 @@ export class MusicDatabase {
                 if (!db.objectStoreNames.contains('settings')) {
                     db.createObjectStore('settings');
                 }
+                if (!db.objectStoreNames.contains('loop_regions')) {
+                    const store = db.createObjectStore('loop_regions', { keyPath: 'id' });
+                    store.createIndex('trackId', 'trackId', { unique: false });
+                }
+                if (!db.objectStoreNames.contains('saved_queues')) {
+                    const store = db.createObjectStore('saved_queues', { keyPath: 'id' });
+                    store.createIndex('createdAt', 'createdAt', { unique: false });
+                }
+                if (!db.objectStoreNames.contains('resume_points')) {
+                    db.createObjectStore('resume_points', { keyPath: 'trackId' });
+                }
+                if (!db.objectStoreNames.contains('track_bookmarks')) {
+                    const store = db.createObjectStore('track_bookmarks', { keyPath: 'id' });
+                    store.createIndex('trackId', 'trackId', { unique: false });
+                }
+                if (!db.objectStoreNames.contains('offline_tracks')) {
+                    const store = db.createObjectStore('offline_tracks', { keyPath: 'id' });
+                    store.createIndex('lastAccessed', 'lastAccessed', { unique: false });
+                }
+                if (!db.objectStoreNames.contains('track_stats')) {
+                    const store = db.createObjectStore('track_stats', { keyPath: 'id' });
+                    store.createIndex('playCount', 'playCount', { unique: false });
+                    store.createIndex('lastPlayed', 'lastPlayed', { unique: false });
+                }
+                if (!db.objectStoreNames.contains('butterchurn_presets')) {
+                    db.createObjectStore('butterchurn_presets', { keyPath: 'name' });
+                }
+                if (!db.objectStoreNames.contains('visualizer_presets')) {
+                    db.createObjectStore('visualizer_presets', { keyPath: 'key' });
+                }
+                if (!db.objectStoreNames.contains('waveforms')) {
+                    const store = db.createObjectStore('waveforms', { keyPath: 'key' });
+                    store.createIndex('createdAt', 'createdAt', { unique: false });
+                }
             };
         });
     }
@@ -78,6 +114,10 @@ export class MusicDatabase {
             transaction.onerror = (event) => {
                 reject(event.target.error);
             };
+            // Quota errors abort the transaction without a failing request
+            transaction.onabort = () => {
+                reject(transaction.error);
+            };
         });
     }
 
@@ -325,6 +365,7 @@ export class MusicDatabase {
             history_tracks: history.map((t) => this._minifyItem('track', t)),
             user_playlists: userPlaylists,
             user_folders: userFolders,
+            eq_presets: equalizerSettings.getUserPresets(),
         };
         return data;
     }
@@ -431,8 +472,11 @@ export class MusicDatabase {
             data.user_folders ? importStore('user_folders', data.user_folders) : Promise.resolve(false),
         ]);
 
+        // EQ presets live in localStorage, not in a store
+        const presetsImported = data.eq_presets ? equalizerSettings.mergeUserPresets(data.eq_presets) > 0 : false;
+
         console.log('Import results:', results);
-        return results.some((r) => r);
+        return results.some((r) => r) || presetsImported;
     }
 
     _updatePlaylistMetadata(playlist) {
@@ -712,6 +756,237 @@ export class MusicDatabase {
         });
     }
 
+    // A-B loop regions
+    async getLoopRegions(trackId) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction('loop_regions', 'readonly');
+            const store = transaction.objectStore('loop_regions');
+            const index = store.index('trackId');
+            const request = index.getAll(String(trackId));
+            request.onsuccess = () => resolve(request.result.sort((a, b) => a.start - b.start));
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async saveLoopRegion(trackId, name, start, end, speed = 1) {
+        const region = {
+            id: crypto.randomUUID(),
+            trackId: String(trackId),
+            name: name,
+            start: start,
+            end: end,
+            speed: speed,
+            createdAt: Date.now(),
+        };
+        await this.performTransaction('loop_regions', 'readwrite', (store) => store.put(region));
+        return region;
+    }
+
+    async deleteLoopRegion(id) {
+        await this.performTransaction('loop_regions', 'readwrite', (store) => store.delete(id));
+    }
+
+    // Offline copies
+    async getOfflineTracks() {
+        return await this.performTransaction('offline_tracks', 'readonly', (store) => store.getAll());
+    }
+
+    async getOfflineTrack(id) {
+        return await this.performTransaction('offline_tracks', 'readonly', (store) => store.get(String(id)));
+    }
+
+    async saveOfflineTrack(track, blob, { quality = null, rgValues = null } = {}) {
+        const entry = {
+            id: String(track.id),
+            track: this._minifyItem('track', track),
+            blob: blob,
+            size: blob.size,
+            mimeType: blob.type,
+            quality: quality,
+            rgValues: rgValues,
+            addedAt: Date.now(),
+            lastAccessed: Date.now(),
+        };
+        await this.performTransaction('offline_tracks', 'readwrite', (store) => store.put(entry));
+        return entry;
+    }
+
+    async touchOfflineTrack(entry) {
+        await this.performTransaction('offline_tracks', 'readwrite', (store) =>
+            store.put({ ...entry, lastAccessed: Date.now() })
+        );
+    }
+
+    async deleteOfflineTrack(id) {
+        await this.performTransaction('offline_tracks', 'readwrite', (store) => store.delete(String(id)));
+    }
+
+    async clearOfflineTracks() {
+        await this.performTransaction('offline_tracks', 'readwrite', (store) => store.clear());
+    }
+
+    // Listening statistics
+    async getAllTrackStats() {
+        return await this.performTransaction('track_stats', 'readonly', (store) => store.getAll());
+    }
+
+    async saveTrackStats(track, stats) {
+        const entry = {
+            id: String(track.id),
+            track: this._minifyItem('track', track),
+            playCount: stats.playCount || 0,
+            skipCount: stats.skipCount || 0,
+            lastPlayed: stats.lastPlayed || null,
+            listenedSeconds: stats.listenedSeconds || 0,
+        };
+        await this.performTransaction('track_stats', 'readwrite', (store) => store.put(entry));
+        return entry;
+    }
+
+    // Resume points and bookmarks
+    async getResumePoint(trackId) {
+        return await this.performTransaction('resume_points', 'readonly', (store) => store.get(String(trackId)));
+    }
+
+    async saveResumePoint(trackId, position, duration) {
+        const entry = { trackId: String(trackId), position, duration, updatedAt: Date.now() };
+        await this.performTransaction('resume_points', 'readwrite', (store) => store.put(entry));
+    }
+
+    async clearResumePoint(trackId) {
+        await this.performTransaction('resume_points', 'readwrite', (store) => store.delete(String(trackId)));
+    }
+
+    async getBookmarks(trackId) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction('track_bookmarks', 'readonly');
+            const store = transaction.objectStore('track_bookmarks');
+            const index = store.index('trackId');
+            const request = index.getAll(String(trackId));
+            request.onsuccess = () => resolve(request.result.sort((a, b) => a.time - b.time));
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async addBookmark(trackId, time, label) {
+        const bookmark = {
+            id: crypto.randomUUID(),
+            trackId: String(trackId),
+            time: time,
+            label: label,
+            createdAt: Date.now(),
+        };
+        await this.performTransaction('track_bookmarks', 'readwrite', (store) => store.put(bookmark));
+        return bookmark;
+    }
+
+    async deleteBookmark(id) {
+        await this.performTransaction('track_bookmarks', 'readwrite', (store) => store.delete(id));
+    }
+
+    // Saved queues
+    async saveQueueSnapshot(name, snapshot) {
+        const savedQueue = {
+            ...snapshot,
+            id: crypto.randomUUID(),
+            name: name,
+            createdAt: Date.now(),
+        };
+        await this.performTransaction('saved_queues', 'readwrite', (store) => store.put(savedQueue));
+        return savedQueue;
+    }
+
+    async getSavedQueues() {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction('saved_queues', 'readonly');
+            const store = transaction.objectStore('saved_queues');
+            const index = store.index('createdAt');
+            const request = index.getAll();
+            request.onsuccess = () => resolve(request.result.reverse());
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async getSavedQueue(id) {
+        return await this.performTransaction('saved_queues', 'readonly', (store) => store.get(id));
+    }
+
+    async deleteSavedQueue(id) {
+        await this.performTransaction('saved_queues', 'readwrite', (store) => store.delete(id));
+    }
+
+    // Imported Butterchurn presets
+    async getButterchurnPresets() {
+        return await this.performTransaction('butterchurn_presets', 'readonly', (store) => store.getAll());
+    }
+
+    async saveButterchurnPresets(presets) {
+        const entries = Object.entries(presets).map(([name, preset]) => ({ name, preset, addedAt: Date.now() }));
+        await this.performTransaction('butterchurn_presets', 'readwrite', (store) => {
+            entries.forEach((entry) => store.put(entry));
+        });
+        return entries;
+    }
+
+    async deleteButterchurnPreset(name) {
+        await this.performTransaction('butterchurn_presets', 'readwrite', (store) => store.delete(name));
+    }
+
+    // Custom visualizer modules loaded from files
+    async getVisualizerPresets() {
+        return await this.performTransaction('visualizer_presets', 'readonly', (store) => store.getAll());
+    }
+
+    async saveVisualizerPreset({ key, name, source }) {
+        const entry = { key, name, source, addedAt: Date.now() };
+        await this.performTransaction('visualizer_presets', 'readwrite', (store) => store.put(entry));
+        return entry;
+    }
+
+    async deleteVisualizerPreset(key) {
+        await this.performTransaction('visualizer_presets', 'readwrite', (store) => store.delete(key));
+    }
+
+    // Waveform peaks, keyed by track and stream quality
+    async getWaveform(trackId, quality) {
+        return await this.performTransaction('waveforms', 'readonly', (store) => store.get(`${trackId}:${quality}`));
+    }
+
+    async saveWaveform(trackId, quality, { channels, duration }, maxEntries = 1000) {
+        const entry = {
+            key: `${trackId}:${quality}`,
+            trackId: String(trackId),
+            quality,
+            channels,
+            duration,
+            createdAt: Date.now(),
+        };
+        await this.performTransaction('waveforms', 'readwrite', (store) => {
+            store.put(entry);
+
+            // Drop the oldest waveforms once the store grows past maxEntries
+            const countRequest = store.count();
+            countRequest.onsuccess = () => {
+                let excess = countRequest.result - maxEntries;
+                if (excess <= 0) return;
+                store.index('createdAt').openCursor().onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (!cursor || excess-- <= 0) return;
+                    cursor.delete();
+                    cursor.continue();
+                };
+            };
+        });
+        return entry;
+    }
+
+    async clearWaveforms() {
+        await this.performTransaction('waveforms', 'readwrite', (store) => store.clear());
+    }
+
     async saveSetting(key, value) {
         await this.performTransaction('settings', 'readwrite', (store) => store.put(value, key));
     }
@@ -0,0 +1,337 @@
+// js/dynamics.js
+// Dynamics stage - loudness normalization gain, compressor and true-peak limiter at the end of the graph.
+// Tracks without ReplayGain data are measured while they play (BS.1770 integrated loudness)
+// and brought to the target loudness.
+
+import { dynamicsSettings } from './storage.js';
+// Bundled like workers, since a plain asset URL would leave their import of bs1770.js unresolved in the build
+import limiterWorkletUrl from './worklets/limiter-processor.js?worker&url';
+import loudnessMeterWorkletUrl from './worklets/loudness-meter-processor.js?worker&url';
+
+// Seconds of audio measured before the normalization gain is first applied,
+// and how often it is updated afterwards as the measurement covers more of the track
+const MEASURE_SECONDS = 8;
+const UPDATE_SECONDS = 2;
+
+// Length of the meter's steps (see loudness-meter-processor.js)
+const STEP_SECONDS = 0.1;
+
+// Integration per BS.1770: 400 ms blocks (four 100 ms steps, 75% overlap),
+// absolute gate at -70 LUFS and relative gate 10 LU below the ungated level
+const STEPS_PER_BLOCK = 4;
+const ABSOLUTE_GATE = -70;
+const RELATIVE_GATE = -10;
+
+// Limits of the normalization gain in dB
+const MAX_BOOST = 12;
+const MAX_CUT = -24;
+// The boost limit grows to MAX_BOOST over this much measured audio, so a quiet intro isn't fully raised
+const FULL_BOOST_SECONDS = 30;
+
+// Block loudness histogram: 0.1 LU bins from the absolute gate up to +10 LUFS
+const HISTOGRAM_STEP = 0.1;
+const HISTOGRAM_BINS = 800;
+
+// Time constant of normalization gain changes, so they fade in instead of jumping
+const GAIN_RAMP_TIME = 0.5;
+
+// Measured loudness is remembered for this many tracks
+const LOUDNESS_CACHE_SIZE = 500;
+
+export const blockLoudness = (meanSquare) => -0.691 + 10 * Math.log10(meanSquare);
+
+/**
+ * Gated integrated loudness of 400 ms blocks, over any length of audio in fixed memory:
+ * blocks are kept as a histogram of their loudness, with the energy summed per bin
+ */
+export class LoudnessIntegrator {
+    constructor() {
+        this.energy = new Float64Array(HISTOGRAM_BINS);
+        this.counts = new Uint32Array(HISTOGRAM_BINS);
+    }
+
+    /**
+     * @param {number} meanSquare - Mean square of a 400 ms block
+     */
+    add(meanSquare) {
+        const loudness = blockLoudness(meanSquare);
+        if (!(loudness > ABSOLUTE_GATE)) return;
+
+        const bin = Math.min(HISTOGRAM_BINS - 1, Math.floor((loudness - ABSOLUTE_GATE) / HISTOGRAM_STEP));
+        this.energy[bin] += meanSquare;
+        this.counts[bin]++;
+    }
+
+    /**
+     * @returns {number|null} LUFS, or null when everything was silence
+     */
+    getLoudness() {
+        const ungated = this._meanFrom(0);
+        if (ungated === null) return null;
+
+        const ungatedLoudness = blockLoudness(ungated);
+        const firstBin = Math.ceil((ungatedLoudness + RELATIVE_GATE - ABSOLUTE_GATE) / HISTOGRAM_STEP);
+        const gated = this._meanFrom(Math.max(0, firstBin));
+        return gated === null ? ungatedLoudness : blockLoudness(gated);
+    }
+
+    _meanFrom(firstBin) {
+        let energy = 0;
+        let count = 0;
+        for (let i = firstBin; i < HISTOGRAM_BINS; i++) {
+            energy += this.energy[i];
+            count += this.counts[i];
+        }
+        return count > 0 ? energy / count : null;
+    }
+}
+
+const workletModules = new WeakMap();
+
+/**
+ * Load a processor module once per context
+ */
+const loadWorklet = (context, url) => {
+    if (!workletModules.has(context)) workletModules.set(context, new Map());
+    const modules = workletModules.get(context);
+    if (!modules.has(url)) {
+        modules.set(url, context.audioWorklet.addModule(url));
+    }
+    return modules.get(url);
+};
+
+export class DynamicsProcessor {
+    /**
+     * @param {Function} onChange - Called after the stage's wiring changed, so the owner can reconnect its graph
+     */
+    constructor(onChange) {
+        this.onChange = onChange;
+        this.context = null;
+        this.audio = null;
+        this.input = null;
+        this.output = null;
+        this.normalizationGain = null;
+        this.compressor = null;
+        this.makeupGain = null;
+        this.limiter = null;
+        this.meter = null;
+
+        // Measured loudness in LUFS and the seconds it covers, keyed by track ID
+        this.loudnessCache = new Map();
+        this.trackKey = null;
+        this.shouldNormalize = false;
+        this.measurement = null;
+        this.currentGainDb = 0;
+    }
+
+    /**
+     * Create the nodes on the audio context
+     * @param {AudioContext} context
+     * @param {AudioNode} meterSource - Node carrying the main element's unprocessed audio, without the standby element
+     * @param {HTMLMediaElement} audio - Main element, its volume is taken out of measurements
+     */
+    init(context, meterSource, audio) {
+        this.context = context;
+        this.audio = audio;
+        this.input = context.createGain();
+        this.output = context.createGain();
+        this.normalizationGain = context.createGain();
+        this.compressor = context.createDynamicsCompressor();
+        this.compressor.attack.value = 0.01;
+        this.compressor.release.value = 0.25;
+        this.compressor.knee.value = 6;
+        this.makeupGain = context.createGain();
+        this.compressor.connect(this.makeupGain);
+
+        // Brickwall-ish compressor until (or in case) the worklet limiter can't load
+        this.limiter = context.createDynamicsCompressor();
+        this.limiter.ratio.value = 20;
+        this.limiter.knee.value = 0;
+        this.limiter.attack.value = 0.001;
+        this.limiter.release.value = 0.1;
+
+        this.updateParameters();
+        this._wire();
+        this._loadWorklets(meterSource);
+    }
+
+    async _loadWorklets(meterSource) {
+        const { context } = this;
+        if (!context.audioWorklet) {
+            console.warn('[Dynamics] AudioWorklet not supported, using the built-in compressor as limiter');
+            return;
+        }
+
+        try {
+            await loadWorklet(context, limiterWorkletUrl);
+            const previous = this.limiter;
+            this.limiter = new AudioWorkletNode(context, 'limiter-processor', {
+                outputChannelCount: [2],
+                channelCount: 2,
+                channelCountMode: 'explicit',
+            });
+            previous.disconnect();
+            this.updateParameters();
+            this.updateRouting();
+        } catch (e) {
+            console.warn('[Dynamics] Failed to load limiter worklet:', e);
+        }
+
+        try {
+            await loadWorklet(context, loudnessMeterWorkletUrl);
+            this.meter = new AudioWorkletNode(context, 'loudness-meter-processor', { numberOfOutputs: 0 });
+            this.meter.port.onmessage = (e) => this._onMeterStep(e.data);
+            meterSource.connect(this.meter);
+        } catch (e) {
+            console.warn('[Dynamics] Failed to load loudness meter worklet:', e);
+        }
+    }
+
+    /**
+     * Whether anything in the stage is switched on (otherwise it stays out of the graph)
+     */
+    isActive() {
+        return (
+            dynamicsSettings.isCompressorEnabled() ||
+            dynamicsSettings.isLimiterEnabled() ||
+            dynamicsSettings.isNormalizationEnabled()
+        );
+    }
+
+    /**
+     * Rewire after a section was switched on or off
+     */
+    updateRouting() {
+        if (this.context) {
+            this._wire();
+            this.onChange?.();
+        }
+        this._applyNormalization();
+    }
+
+    /**
+     * Re-read the stored compressor, limiter and target values
+     */
+    updateParameters() {
+        if (!this.context) return;
+        const now = this.context.currentTime;
+
+        const threshold = dynamicsSettings.getThreshold();
+        const ratio = dynamicsSettings.getRatio();
+        this.compressor.threshold.setTargetAtTime(threshold, now, 0.01);
+        this.compressor.ratio.setTargetAtTime(ratio, now, 0.01);
+        // Automatic makeup gain: half the reduction a full-scale signal gets
+        const makeupDb = (-threshold * (1 - 1 / ratio)) / 2;
+        this.makeupGain.gain.setTargetAtTime(Math.pow(10, makeupDb / 20), now, 0.01);
+
+        const ceiling = dynamicsSettings.getCeiling();
+        if (this.limiter instanceof DynamicsCompressorNode) {
+            this.limiter.threshold.setTargetAtTime(ceiling, now, 0.01);
+        } else {
+            this.limiter.parameters.get('ceiling').setValueAtTime(ceiling, now);
+        }
+        this._applyNormalization();
+    }
+
+    /**
+     * Start normalizing a newly loaded track
+     * @param {Object} track
+     * @param {boolean} normalize - False when the track has ReplayGain data (or ReplayGain is off)
+     */
+    loadTrack(track, normalize) {
+        const key = track?.id !== undefined ? String(track.id) : null;
+        if (key === this.trackKey && normalize === this.shouldNormalize) return;
+
+        this.trackKey = key;
+        this.shouldNormalize = normalize;
+        this.measurement = null;
+
+        // Measured again on every play; the cache keeps whichever measurement covers more
+        if (normalize && key) {
+            this.measurement = { steps: [], stepCount: 0, integrator: new LoudnessIntegrator() };
+        }
+        this._applyNormalization();
+    }
+
+    /**
+     * Normalization gain currently applied, in dB
+     */
+    getNormalizationGain() {
+        return this.currentGainDb;
+    }
+
+    _onMeterStep(meanSquare) {
+        const measurement = this.measurement;
+        if (!measurement || !this.audio || this.audio.paused) return;
+
+        // The element volume is applied before the graph; measure the track, not the volume knob
+        const volume = this.audio.volume;
+        if (volume <= 0) return;
+        measurement.steps.push(meanSquare / (volume * volume));
+        measurement.stepCount++;
+
+        if (measurement.steps.length >= STEPS_PER_BLOCK) {
+            if (measurement.steps.length > STEPS_PER_BLOCK) measurement.steps.shift();
+            measurement.integrator.add(measurement.steps.reduce((sum, step) => sum + step, 0) / STEPS_PER_BLOCK);
+        }
+
+        const seconds = measurement.stepCount * STEP_SECONDS;
+        if (seconds < MEASURE_SECONDS || measurement.stepCount % Math.round(UPDATE_SECONDS / STEP_SECONDS) !== 0) {
+            return;
+        }
+
+        const loudness = measurement.integrator.getLoudness();
+        if (loudness === null) return;
+
+        const cached = this.loudnessCache.get(this.trackKey);
+        if (cached && cached.seconds > seconds) return;
+
+        // Re-inserted so the most recently measured tracks are evicted last
+        this.loudnessCache.delete(this.trackKey);
+        if (this.loudnessCache.size >= LOUDNESS_CACHE_SIZE) {
+            this.loudnessCache.delete(this.loudnessCache.keys().next().value);
+        }
+        this.loudnessCache.set(this.trackKey, { loudness, seconds });
+        this._applyNormalization();
+    }
+
+    _applyNormalization() {
+        let gainDb = 0;
+        const measured = this.loudnessCache.get(this.trackKey);
+        if (dynamicsSettings.isNormalizationEnabled() && this.shouldNormalize && measured) {
+            const maxBoost = MAX_BOOST * Math.min(1, measured.seconds / FULL_BOOST_SECONDS);
+            gainDb = Math.max(MAX_CUT, Math.min(maxBoost, dynamicsSettings.getTarget() - measured.loudness));
+        }
+
+        this.currentGainDb = gainDb;
+        if (!this.normalizationGain) return;
+        this.normalizationGain.gain.setTargetAtTime(
+            Math.pow(10, gainDb / 20),
+            this.context.currentTime,
+            GAIN_RAMP_TIME
+        );
+    }
+
+    /**
+     * input -> normalization gain -> [compressor -> makeup gain] -> [limiter] -> output
+     */
+    _wire() {
+        this.input.disconnect();
+        this.normalizationGain.disconnect();
+        this.makeupGain.disconnect();
+        this.limiter.disconnect();
+
+        this.input.connect(this.normalizationGain);
+        let lastNode = this.normalizationGain;
+
+        if (dynamicsSettings.isCompressorEnabled()) {
+            lastNode.connect(this.compressor);
+            lastNode = this.makeupGain;
+        }
+        if (dynamicsSettings.isLimiterEnabled()) {
+            lastNode.connect(this.limiter);
+            lastNode = this.limiter;
+        }
+        lastNode.connect(this.output);
+    }
+}
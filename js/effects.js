@@ -0,0 +1,392 @@
+// js/effects.js
+// Effects rack - reverb, delay and bitcrusher, chained in a user-defined order after the EQ
+
+import { audioEffectsSettings } from './storage.js';
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+// Generated impulse responses for the convolution reverb: decaying stereo noise whose
+// tail gets darker over time (damping) like air absorption in a real space
+const REVERB_IMPULSES = {
+    room: { name: 'Room', duration: 0.8, decay: 3, damping: 0.6 },
+    hall: { name: 'Hall', duration: 2.5, decay: 2.5, damping: 0.4 },
+    plate: { name: 'Plate', duration: 1.8, decay: 2, damping: 0.15 },
+    cathedral: { name: 'Cathedral', duration: 5, decay: 2, damping: 0.5 },
+};
+
+// Note lengths for tempo-synced delay, in beats
+const DELAY_DIVISIONS = {
+    '1/2': 2,
+    '1/4': 1,
+    '1/4 dotted': 1.5,
+    '1/4 triplet': 2 / 3,
+    '1/8': 0.5,
+    '1/8 dotted': 0.75,
+    '1/8 triplet': 1 / 3,
+    '1/16': 0.25,
+};
+
+const MAX_DELAY_SECONDS = 4;
+
+// Parameter ramps, short enough to feel instant but without zipper noise
+const RAMP_TIME = 0.02;
+
+/**
+ * Effects and their controls, used for defaults, validation and the settings UI
+ * Numeric params have min/max/step/unit; select params have options.
+ * showIf hides a control unless another param has the given value.
+ */
+export const EFFECT_DEFINITIONS = {
+    reverb: {
+        name: 'Reverb',
+        mix: 0.25,
+        params: {
+            impulse: {
+                label: 'Space',
+                options: Object.fromEntries(Object.entries(REVERB_IMPULSES).map(([key, { name }]) => [key, name])),
+                default: 'hall',
+            },
+            preDelay: { label: 'Pre-delay', min: 0, max: 200, step: 1, unit: 'ms', default: 10 },
+        },
+    },
+    delay: {
+        name: 'Delay',
+        mix: 0.3,
+        params: {
+            sync: { label: 'Time', options: { ms: 'Milliseconds', tempo: 'Tempo' }, default: 'ms' },
+            time: { label: 'Delay', min: 1, max: 2000, step: 1, unit: 'ms', default: 350, showIf: { sync: 'ms' } },
+            bpm: { label: 'Tempo', min: 40, max: 240, step: 1, unit: 'BPM', default: 120, showIf: { sync: 'tempo' } },
+            division: {
+                label: 'Note',
+                options: Object.fromEntries(Object.keys(DELAY_DIVISIONS).map((key) => [key, key])),
+                default: '1/8 dotted',
+                showIf: { sync: 'tempo' },
+            },
+            feedback: { label: 'Feedback', min: 0, max: 90, step: 1, unit: '%', default: 35 },
+            tone: { label: 'Tone', min: 500, max: 20000, step: 100, unit: 'Hz', default: 6000 },
+        },
+    },
+    bitcrusher: {
+        name: 'Bitcrusher',
+        mix: 1,
+        params: {
+            bits: { label: 'Bit depth', min: 1, max: 16, step: 1, unit: 'bits', default: 8 },
+            downsample: { label: 'Downsample', min: 1, max: 40, step: 1, unit: 'x', default: 4 },
+        },
+    },
+};
+
+/**
+ * Fill in defaults and bring a stored effect state within range
+ * @param {string} id
+ * @param {Object|null} state - { bypassed, mix, params }
+ * @returns {Object}
+ */
+const normalizeState = (id, state) => {
+    const definition = EFFECT_DEFINITIONS[id];
+    const params = {};
+
+    Object.entries(definition.params).forEach(([key, param]) => {
+        const value = state?.params?.[key];
+        if (param.options) {
+            params[key] = Object.hasOwn(param.options, value) ? value : param.default;
+        } else {
+            const number = parseFloat(value);
+            params[key] = isNaN(number) ? param.default : clamp(number, param.min, param.max);
+        }
+    });
+
+    const mix = parseFloat(state?.mix);
+    return {
+        // Effects start switched off
+        bypassed: state?.bypassed !== false,
+        mix: isNaN(mix) ? definition.mix : clamp(mix, 0, 1),
+        params,
+    };
+};
+
+const impulseCache = new WeakMap();
+
+/**
+ * Generate (once per context) the impulse response for a reverb space
+ */
+const getImpulse = (context, key) => {
+    if (!impulseCache.has(context)) impulseCache.set(context, {});
+    const cache = impulseCache.get(context);
+    if (cache[key]) return cache[key];
+
+    const { duration, decay, damping } = REVERB_IMPULSES[key] || REVERB_IMPULSES.hall;
+    const length = Math.floor(context.sampleRate * duration);
+    const buffer = context.createBuffer(2, length, context.sampleRate);
+
+    for (let channel = 0; channel < 2; channel++) {
+        const data = buffer.getChannelData(channel);
+        let smoothed = 0;
+        for (let i = 0; i < length; i++) {
+            const t = i / length;
+            // One-pole lowpass whose cutoff falls along the tail
+            const coefficient = damping * t;
+            smoothed = smoothed * coefficient + (Math.random() * 2 - 1) * (1 - coefficient);
+            data[i] = smoothed * Math.pow(1 - t, decay);
+        }
+    }
+
+    cache[key] = buffer;
+    return buffer;
+};
+
+/**
+ * Base effect: input -> dry -> output, with subclasses feeding the wet path into wetGain
+ */
+class Effect {
+    constructor(context) {
+        this.context = context;
+        this.input = context.createGain();
+        this.output = context.createGain();
+        this.dryGain = context.createGain();
+        this.wetGain = context.createGain();
+
+        this.input.connect(this.dryGain);
+        this.dryGain.connect(this.output);
+        this.wetGain.connect(this.output);
+    }
+
+    /**
+     * Equal-power wet/dry balance
+     * @param {number} mix - 0 (dry) to 1 (wet)
+     */
+    setMix(mix) {
+        const now = this.context.currentTime;
+        this.dryGain.gain.setTargetAtTime(Math.cos((mix * Math.PI) / 2), now, RAMP_TIME);
+        this.wetGain.gain.setTargetAtTime(Math.sin((mix * Math.PI) / 2), now, RAMP_TIME);
+    }
+
+    setParams(_params) {}
+}
+
+class ReverbEffect extends Effect {
+    constructor(context) {
+        super(context);
+        this.impulse = null;
+        this.preDelay = context.createDelay(1);
+        this.convolver = context.createConvolver();
+
+        this.input.connect(this.preDelay);
+        this.preDelay.connect(this.convolver);
+        this.convolver.connect(this.wetGain);
+    }
+
+    setParams({ impulse, preDelay }) {
+        if (impulse !== this.impulse) {
+            this.impulse = impulse;
+            this.convolver.buffer = getImpulse(this.context, impulse);
+        }
+        this.preDelay.delayTime.setTargetAtTime(preDelay / 1000, this.context.currentTime, RAMP_TIME);
+    }
+}
+
+class DelayEffect extends Effect {
+    constructor(context) {
+        super(context);
+        this.delay = context.createDelay(MAX_DELAY_SECONDS);
+        this.tone = context.createBiquadFilter();
+        this.tone.type = 'lowpass';
+        this.feedback = context.createGain();
+
+        // Each repeat goes through the tone filter again, so the echoes get darker as they fade
+        this.input.connect(this.delay);
+        this.delay.connect(this.tone);
+        this.tone.connect(this.feedback);
+        this.feedback.connect(this.delay);
+        this.tone.connect(this.wetGain);
+    }
+
+    setParams({ sync, time, bpm, division, feedback, tone }) {
+        const seconds = sync === 'tempo' ? (60 / bpm) * DELAY_DIVISIONS[division] : time / 1000;
+        const now = this.context.currentTime;
+
+        this.delay.delayTime.setTargetAtTime(clamp(seconds, 0, MAX_DELAY_SECONDS), now, RAMP_TIME);
+        this.feedback.gain.setTargetAtTime(feedback / 100, now, RAMP_TIME);
+        this.tone.frequency.setTargetAtTime(tone, now, RAMP_TIME);
+    }
+}
+
+const workletModules = new WeakMap();
+
+class BitcrusherEffect extends Effect {
+    constructor(context) {
+        super(context);
+        this.node = null;
+        this.params = null;
+
+        // Clean signal on the wet path until the worklet has loaded
+        this.input.connect(this.wetGain);
+        this._load();
+    }
+
+    async _load() {
+        const { context } = this;
+        if (!context.audioWorklet) {
+            console.warn('[Effects] AudioWorklet not supported, bitcrusher disabled');
+            return;
+        }
+
+        try {
+            if (!workletModules.has(context)) {
+                workletModules.set(
+                    context,
+                    context.audioWorklet.addModule(new URL('./worklets/bitcrusher-processor.js', import.meta.url))
+                );
+            }
+            await workletModules.get(context);
+
+            this.node = new AudioWorkletNode(context, 'bitcrusher-processor');
+            this.input.disconnect(this.wetGain);
+            this.input.connect(this.node);
+            this.node.connect(this.wetGain);
+            if (this.params) this.setParams(this.params);
+        } catch (e) {
+            console.warn('[Effects] Failed to load bitcrusher worklet:', e);
+        }
+    }
+
+    setParams(params) {
+        this.params = params;
+        if (!this.node) return;
+
+        const now = this.context.currentTime;
+        this.node.parameters.get('bits').setValueAtTime(params.bits, now);
+        this.node.parameters.get('downsample').setValueAtTime(params.downsample, now);
+    }
+}
+
+const EFFECT_CLASSES = {
+    reverb: ReverbEffect,
+    delay: DelayEffect,
+    bitcrusher: BitcrusherEffect,
+};
+
+export class EffectsRack {
+    /**
+     * @param {Function} onChange - Called after the rack's wiring changed, so the owner can reconnect its graph
+     */
+    constructor(onChange) {
+        this.onChange = onChange;
+        this.context = null;
+        this.input = null;
+        this.output = null;
+        this.effects = new Map();
+        this.order = audioEffectsSettings.getRackOrder();
+        this.state = Object.fromEntries(
+            this.order.map((id) => [id, normalizeState(id, audioEffectsSettings.getEffectState(id))])
+        );
+    }
+
+    /**
+     * Create the effect nodes on the audio context
+     */
+    init(context) {
+        this.context = context;
+        this.input = context.createGain();
+        this.output = context.createGain();
+
+        this.order.forEach((id) => {
+            const effect = new EFFECT_CLASSES[id](context);
+            effect.setMix(this.state[id].mix);
+            effect.setParams(this.state[id].params);
+            this.effects.set(id, effect);
+        });
+
+        this._wire();
+    }
+
+    getOrder() {
+        return [...this.order];
+    }
+
+    /**
+     * Get a copy of an effect's state
+     * @returns {{bypassed: boolean, mix: number, params: Object}}
+     */
+    getState(id) {
+        const state = this.state[id];
+        return state ? { ...state, params: { ...state.params } } : null;
+    }
+
+    /**
+     * Whether any effect is switched on (otherwise the rack stays out of the graph)
+     */
+    isActive() {
+        return this.order.some((id) => !this.state[id].bypassed);
+    }
+
+    setBypassed(id, bypassed) {
+        if (!this.state[id]) return;
+
+        this.state[id].bypassed = bypassed;
+        this._save(id);
+        this._wire();
+        this.onChange?.();
+    }
+
+    /**
+     * @param {string} id
+     * @param {number} mix - 0 (dry) to 1 (wet)
+     */
+    setMix(id, mix) {
+        if (!this.state[id]) return;
+
+        this.state[id] = normalizeState(id, { ...this.state[id], mix });
+        this._save(id);
+        this.effects.get(id)?.setMix(this.state[id].mix);
+    }
+
+    setParam(id, key, value) {
+        if (!this.state[id]) return;
+
+        const current = this.state[id];
+        this.state[id] = normalizeState(id, { ...current, params: { ...current.params, [key]: value } });
+        this._save(id);
+        this.effects.get(id)?.setParams(this.state[id].params);
+    }
+
+    /**
+     * Move an effect to another position in the chain
+     * @param {string} id
+     * @param {number} index - New position
+     */
+    moveEffect(id, index) {
+        const from = this.order.indexOf(id);
+        const to = clamp(index, 0, this.order.length - 1);
+        if (from === -1 || from === to) return;
+
+        this.order.splice(from, 1);
+        this.order.splice(to, 0, id);
+        audioEffectsSettings.setRackOrder(this.order);
+        this._wire();
+        this.onChange?.();
+    }
+
+    /**
+     * Chain the switched-on effects: input -> effect -> effect -> ... -> output
+     */
+    _wire() {
+        if (!this.context) return;
+
+        this.input.disconnect();
+        this.effects.forEach((effect) => effect.output.disconnect());
+
+        let lastNode = this.input;
+        this.order.forEach((id) => {
+            if (this.state[id].bypassed) return;
+            const effect = this.effects.get(id);
+            lastNode.connect(effect.input);
+            lastNode = effect.output;
+        });
+        lastNode.connect(this.output);
+    }
+
+    _save(id) {
+        audioEffectsSettings.setEffectState(id, this.state[id]);
+    }
+}
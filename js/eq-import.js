@@ -0,0 +1,95 @@
+// js/eq-import.js
+// Parser for Equalizer APO configs and AutoEQ "ParametricEQ.txt" headphone profiles
+//
+// Example input:
+//   Preamp: -6.2 dB
+//   Filter 1: ON LSC Fc 105 Hz Gain 5.5 dB Q 0.71
+//   Filter 2: ON PK Fc 2650 Hz Gain -3.1 dB Q 2.04
+
+// Equalizer APO filter codes -> BiquadFilterNode types
+// (Web Audio shelves have a fixed slope, so the Q of LSC/HSC filters is kept but has no effect)
+const FILTER_TYPE_MAP = {
+    PK: 'peaking',
+    PEQ: 'peaking',
+    MODAL: 'peaking',
+    LS: 'lowshelf',
+    LSC: 'lowshelf',
+    LSQ: 'lowshelf',
+    HS: 'highshelf',
+    HSC: 'highshelf',
+    HSQ: 'highshelf',
+    LP: 'lowpass',
+    LPQ: 'lowpass',
+    HP: 'highpass',
+    HPQ: 'highpass',
+    NO: 'notch',
+};
+
+// Q used when a filter line has neither Q nor bandwidth (APO's default for LP/HP is Butterworth)
+const DEFAULT_Q = Math.SQRT1_2;
+
+const readNumber = (line, pattern) => {
+    const match = line.match(pattern);
+    return match ? parseFloat(match[1]) : null;
+};
+
+/**
+ * Convert a bandwidth in octaves to Q
+ */
+const bandwidthToQ = (octaves) => {
+    const ratio = Math.pow(2, octaves);
+    return Math.sqrt(ratio) / (ratio - 1);
+};
+
+/**
+ * Parse an Equalizer APO config / AutoEQ ParametricEQ.txt
+ * @param {string} text - File contents
+ * @returns {{preamp: number, bands: Array<{type: string, frequency: number, q: number, gain: number}>, skipped: number}}
+ * @throws {Error} When the file has no usable filters
+ */
+export function parseEqualizerAPO(text) {
+    let preamp = 0;
+    let skipped = 0;
+    const bands = [];
+
+    text.split(/\r?\n/).forEach((rawLine) => {
+        const line = rawLine.replace(/#.*/, '').trim();
+        if (!line) return;
+
+        // Several Preamp lines add up
+        const preampMatch = line.match(/^Preamp\s*:\s*([-+]?\d+(?:\.\d+)?)\s*dB/i);
+        if (preampMatch) {
+            preamp += parseFloat(preampMatch[1]);
+            return;
+        }
+
+        const filterMatch = line.match(/^Filter\s*\d*\s*:\s*(ON|OFF)\s+([A-Z]+)\b(.*)$/i);
+        if (!filterMatch) return;
+
+        const [, state, code, params] = filterMatch;
+        const type = FILTER_TYPE_MAP[code.toUpperCase()];
+        const frequency = readNumber(params, /\bFc\s+([\d.]+)\s*Hz/i);
+
+        if (state.toUpperCase() === 'OFF') return;
+        if (!type || !frequency) {
+            skipped++;
+            return;
+        }
+
+        const bandwidth = readNumber(params, /\bBW\s+Oct\s+([\d.]+)/i);
+        const q = readNumber(params, /\bQ\s+([\d.]+)/i) ?? (bandwidth ? bandwidthToQ(bandwidth) : DEFAULT_Q);
+
+        bands.push({
+            type,
+            frequency,
+            q,
+            gain: readNumber(params, /\bGain\s+([-+]?[\d.]+)\s*dB/i) ?? 0,
+        });
+    });
+
+    if (bands.length === 0) {
+        throw new Error('No supported filters found in this file');
+    }
+
+    return { preamp, bands, skipped };
+}
@@ -10,6 +10,7 @@ import {
     SVG_BIN,
     getTrackArtists,
     positionMenu,
+    escapeHtml,
 } from './utils.js';
 import { lastFMStorage, libreFmSettings, waveformSettings } from './storage.js';
 import { showNotification, downloadTrackWithMetadata, downloadAlbumAsZip, downloadPlaylistAsZip } from './downloads.js';
@@ -19,6 +20,7 @@ import { db } from './db.js';
 import { syncManager } from './accounts/pocketbase.js';
 import { waveformGenerator } from './waveform.js';
 import { audioContextManager } from './audio-context.js';
+import { offlineManager } from './offline.js';
 
 let currentTrackIdForWaveform = null;
 
@@ -181,8 +183,8 @@ export function initializePlayerEvents(player, audioPlayer, scrobbler, ui) {
     nextBtn.addEventListener('click', () => player.playNext());
     prevBtn.addEventListener('click', () => player.playPrev());
 
-    shuffleBtn.addEventListener('click', () => {
-        player.toggleShuffle();
+    shuffleBtn.addEventListener('click', async () => {
+        await player.toggleShuffle();
         shuffleBtn.classList.toggle('active', player.shuffleActive);
         if (window.renderQueueFunction) window.renderQueueFunction();
     });
@@ -261,31 +263,15 @@ export function initializePlayerEvents(player, audioPlayer, scrobbler, ui) {
 
             try {
                 const streamUrl = await player.api.getStreamUrl(player.currentTrack.id, 'LOW');
-                const waveformData = await waveformGenerator.getWaveform(streamUrl, player.currentTrack.id);
+                const waveformData = await waveformGenerator.getWaveform(streamUrl, player.currentTrack.id, 'LOW');
 
                 if (waveformData && currentTrackIdForWaveform === player.currentTrack.id) {
-                    let { peaks, duration } = waveformData;
-                    const trackDuration = player.currentTrack.duration;
-
                     // Padding logic for sync
-                    if (trackDuration && duration && duration < trackDuration) {
-                        const diff = trackDuration - duration;
-                        if (diff > 0.5) {
-                            // If difference is significant (> 500ms)
-                            // Calculate how many peaks represent the missing time
-                            // peaks.length represents 'duration'
-                            // X peaks represent 'diff'
-                            const peaksPerSecond = peaks.length / duration;
-                            const paddingPeaksCount = Math.floor(diff * peaksPerSecond);
-
-                            if (paddingPeaksCount > 0) {
-                                const newPeaks = new Float32Array(peaks.length + paddingPeaksCount);
-                                // Fill start with 0s (implied by new Float32Array)
-                                newPeaks.set(peaks, paddingPeaksCount);
-                                peaks = newPeaks;
-                            }
-                        }
-                    }
+                    const channels = waveformGenerator.alignToDuration(
+                        waveformData.channels,
+                        waveformData.duration,
+                        player.currentTrack.duration
+                    );
 
                     // Create a temporary canvas to generate the mask
                     const canvas = document.createElement('canvas');
@@ -293,7 +279,7 @@ export function initializePlayerEvents(player, audioPlayer, scrobbler, ui) {
                     canvas.width = rect.width || 500;
                     canvas.height = 28; // Fixed height for mask generation
 
-                    waveformGenerator.drawWaveform(canvas, peaks);
+                    waveformGenerator.drawWaveform(canvas, channels, { stereo: waveformSettings.isStereo() });
 
                     const dataUrl = canvas.toDataURL();
                     progressBar.style.webkitMaskImage = `url(${dataUrl})`;
@@ -327,6 +313,8 @@ export function initializePlayerEvents(player, audioPlayer, scrobbler, ui) {
                 playerControls.classList.remove('waveform-loaded');
             }
         }
+        // Redraw even for the same track, e.g. after switching to the stereo view
+        currentTrackIdForWaveform = null;
         updateWaveform();
     });
 
@@ -388,8 +376,53 @@ function initializeSmoothSliders(audioPlayer, player) {
         }
     };
 
+    // Time under the pointer, plus the bookmark or loop point it is on
+    const progressTooltip = document.getElementById('progress-tooltip');
+    const showSeekTooltip = (clientX) => {
+        const duration =
+            audioPlayer.duration > 0 && audioPlayer.duration !== Infinity
+                ? audioPlayer.duration
+                : player.currentTrack?.duration;
+        if (!progressTooltip || !duration) return;
+
+        const rect = progressBar.getBoundingClientRect();
+        const position = Math.max(0, Math.min(1, (clientX - rect.left) / rect.width));
+        const time = position * duration;
+        const snapDistance = (4 / rect.width) * duration;
+        const isNear = (markerTime) => markerTime !== null && Math.abs(markerTime - time) <= snapDistance;
+
+        const labels = player.resumePoints.bookmarks.filter((b) => isNear(b.time)).map((b) => b.label);
+        if (isNear(player.abLoop.start)) labels.push('Loop start');
+        if (isNear(player.abLoop.end)) labels.push('Loop end');
+
+        progressTooltip.textContent = [formatTime(time), ...labels].join(' · ');
+        progressTooltip.style.left = `${position * 100}%`;
+        progressTooltip.classList.add('visible');
+    };
+    const hideSeekTooltip = () => progressTooltip?.classList.remove('visible');
+
+    progressBar.addEventListener('mousemove', (e) => showSeekTooltip(e.clientX));
+    progressBar.addEventListener('mouseleave', () => {
+        if (!isSeeking) hideSeekTooltip();
+    });
+
     // Progress bar with smooth dragging
     progressBar.addEventListener('mousedown', (e) => {
+        // Shift+click sets the A-B loop start, Alt+click the end
+        if (e.shiftKey || e.altKey) {
+            e.preventDefault();
+            seek(progressBar, e, (position) => {
+                if (isNaN(audioPlayer.duration)) return;
+                const time = position * audioPlayer.duration;
+                if (e.shiftKey) {
+                    player.abLoop.setStart(time);
+                } else {
+                    player.abLoop.setEnd(time);
+                }
+            });
+            return;
+        }
+
         isSeeking = true;
         wasPlaying = !audioPlayer.paused;
         if (wasPlaying) audioPlayer.pause();
@@ -413,6 +446,7 @@ function initializeSmoothSliders(audioPlayer, player) {
 
         lastSeekPosition = position;
         updateSeekUI(position);
+        showSeekTooltip(touch.clientX);
     });
 
     document.addEventListener('mousemove', (e) => {
@@ -421,6 +455,7 @@ function initializeSmoothSliders(audioPlayer, player) {
                 lastSeekPosition = position;
                 updateSeekUI(position);
             });
+            showSeekTooltip(e.clientX);
         }
 
         if (isAdjustingVolume) {
@@ -444,6 +479,7 @@ function initializeSmoothSliders(audioPlayer, player) {
 
             lastSeekPosition = position;
             updateSeekUI(position);
+            showSeekTooltip(touch.clientX);
         }
 
         if (isAdjustingVolume) {
@@ -469,6 +505,7 @@ function initializeSmoothSliders(audioPlayer, player) {
                 if (wasPlaying) audioPlayer.play();
             }
             isSeeking = false;
+            if (!progressBar.matches(':hover')) hideSeekTooltip();
         }
 
         if (isAdjustingVolume) {
@@ -484,6 +521,7 @@ function initializeSmoothSliders(audioPlayer, player) {
                 if (wasPlaying) audioPlayer.play();
             }
             isSeeking = false;
+            hideSeekTooltip();
         }
 
         if (isAdjustingVolume) {
@@ -708,7 +746,7 @@ export async function handleTrackAction(
     if (!item) return;
 
     // Actions not allowed for unavailable tracks
-    const forbiddenForUnavailable = ['add-to-queue', 'play-next', 'track-mix', 'download'];
+    const forbiddenForUnavailable = ['add-to-queue', 'play-next', 'track-mix', 'download', 'toggle-offline'];
     if (item.isUnavailable && forbiddenForUnavailable.includes(action)) {
         showNotification('This track is unavailable.');
         return;
@@ -723,7 +761,15 @@ export async function handleTrackAction(
 
     // Collection Actions (Album, Playlist, Mix)
     const isCollection = ['album', 'playlist', 'user-playlist', 'mix'].includes(type);
-    const collectionActions = ['play-card', 'shuffle-play-card', 'add-to-queue', 'play-next', 'download', 'start-mix'];
+    const collectionActions = [
+        'play-card',
+        'shuffle-play-card',
+        'add-to-queue',
+        'play-next',
+        'download',
+        'start-mix',
+        'toggle-offline',
+    ];
 
     if (isCollection && collectionActions.includes(action)) {
         try {
@@ -791,6 +837,28 @@ export async function handleTrackAction(
             // Filter blocked tracks from collections
             tracks = contentBlockingSettings.filterTracks(tracks);
 
+            if (action === 'toggle-offline') {
+                const name = escapeHtml((type === 'user-playlist' ? collectionItem.name : collectionItem.title) || '');
+                const playable = tracks.filter((track) => !track.isLocal && !track.isUnavailable);
+
+                if (playable.length > 0 && playable.every((track) => offlineManager.has(track.id))) {
+                    for (const track of playable) {
+                        await offlineManager.removeTrack(track.id);
+                    }
+                    showNotification(`Removed offline copy: ${name}`);
+                    return;
+                }
+
+                showNotification(`Making ${name} available offline...`);
+                const { saved, failed } = await offlineManager.saveTracks(playable);
+                showNotification(
+                    failed > 0
+                        ? `${saved} of ${playable.length} tracks available offline`
+                        : `Available offline: ${name}`
+                );
+                return;
+            }
+
             if (action === 'add-to-queue') {
                 player.addToQueue(tracks);
                 if (window.renderQueueFunction) window.renderQueueFunction();
@@ -873,6 +941,28 @@ export async function handleTrackAction(
         }
     } else if (action === 'download') {
         await downloadTrackWithMetadata(item, downloadQualitySettings.getQuality(), api, lyricsManager);
+    } else if (action === 'toggle-offline') {
+        const title = escapeHtml(item.title || '');
+        if (offlineManager.has(item.id)) {
+            await offlineManager.removeTrack(item.id);
+            showNotification(`Removed offline copy: ${title}`);
+        } else {
+            try {
+                showNotification(`Making ${title} available offline...`);
+                if (await offlineManager.saveTrack(item)) {
+                    showNotification(`Available offline: ${title}`);
+                } else {
+                    showNotification('This track cannot be made available offline');
+                }
+            } catch (error) {
+                console.warn('[Offline] Failed to save track:', error);
+                showNotification(
+                    error.name === 'QuotaExceededError'
+                        ? 'Not enough offline storage for this track'
+                        : `Failed to make ${title} available offline`
+                );
+            }
+        }
     } else if (action === 'toggle-like') {
         const added = await db.toggleFavorite(type, item);
         syncManager.syncLibraryItem(type, item, added);
@@ -1366,6 +1456,13 @@ async function updateContextMenuLikeState(contextMenu, contextTrack) {
             : blockArtistItem.dataset.labelBlock || 'Block artist';
     }
 
+    const offlineItem = contextMenu.querySelector('li[data-action="toggle-offline"]');
+    if (offlineItem && type === 'track') {
+        offlineItem.textContent = offlineManager.has(contextTrack.id)
+            ? offlineItem.dataset.labelRemove
+            : offlineItem.dataset.labelAdd;
+    }
+
     // Filter items based on type
     contextMenu.querySelectorAll('li[data-action]').forEach((item) => {
         const filter = item.dataset.typeFilter;
@@ -1376,6 +1473,10 @@ async function updateContextMenuLikeState(contextMenu, contextTrack) {
             item.style.display = 'block';
         }
 
+        if (item.dataset.action === 'toggle-offline' && type !== 'track') {
+            item.textContent = item.dataset.labelAdd;
+        }
+
         // Update labels for Like/Save
         if (item.dataset.action === 'toggle-like') {
             const labelKey = `label${type.charAt(0).toUpperCase() + type.slice(1).replace('User-playlist', 'Playlist')}`;
@@ -0,0 +1,93 @@
+// js/karaoke.js
+// Karaoke stage - vocal reduction by mid/side cancellation. Above the crossover only the side
+// signal is kept, which removes whatever is panned to the center (usually the lead vocal).
+// Below it the original channels pass untouched, so bass and kick survive.
+
+// Crossover between the untouched low band and the cancelled upper band
+const BASS_CROSSOVER = 150;
+
+/**
+ * Linkwitz-Riley filter (two cascaded Butterworth biquads). The lowpass and highpass
+ * of a pair sum back to flat, so the bands join without a notch at the crossover.
+ * @returns {{input: BiquadFilterNode, output: BiquadFilterNode}}
+ */
+const createLinkwitzRiley = (context, type) => {
+    const [first, second] = [0, 1].map(() => {
+        const filter = context.createBiquadFilter();
+        filter.type = type;
+        filter.frequency.value = BASS_CROSSOVER;
+        filter.Q.value = Math.SQRT1_2;
+        return filter;
+    });
+    first.connect(second);
+    return { input: first, output: second };
+};
+
+export class KaraokeProcessor {
+    /**
+     * @param {Function} onChange - Called after the stage was switched on or off, so the owner can reconnect its graph
+     */
+    constructor(onChange) {
+        this.onChange = onChange;
+        this.context = null;
+        this.input = null;
+        this.output = null;
+        this.enabled = false;
+    }
+
+    /**
+     * Create the nodes on the audio context:
+     * left' = lowpass(left) + highpass(side), right' = lowpass(right) - highpass(side)
+     */
+    init(context) {
+        this.context = context;
+        this.input = context.createGain();
+        // Up-mix mono sources so both channels are always there
+        this.input.channelCount = 2;
+        this.input.channelCountMode = 'explicit';
+        this.input.channelInterpretation = 'speakers';
+        const splitter = context.createChannelSplitter(2);
+        this.output = context.createChannelMerger(2);
+        this.input.connect(splitter);
+
+        // Low band of each channel as it is
+        for (let channel = 0; channel < 2; channel++) {
+            const lowpass = createLinkwitzRiley(context, 'lowpass');
+            splitter.connect(lowpass.input, channel);
+            lowpass.output.connect(this.output, 0, channel);
+        }
+
+        // Upper band: side = (left - right) / 2, in phase on the left and inverted on the right
+        const sideLeft = context.createGain();
+        sideLeft.gain.value = 0.5;
+        const sideRight = context.createGain();
+        sideRight.gain.value = -0.5;
+        const highpass = createLinkwitzRiley(context, 'highpass');
+        splitter.connect(sideLeft, 0);
+        splitter.connect(sideRight, 1);
+        sideLeft.connect(highpass.input);
+        sideRight.connect(highpass.input);
+
+        const invert = context.createGain();
+        invert.gain.value = -1;
+        highpass.output.connect(this.output, 0, 0);
+        highpass.output.connect(invert);
+        invert.connect(this.output, 0, 1);
+    }
+
+    /**
+     * Whether vocal reduction is switched on (otherwise the stage stays out of the graph)
+     */
+    isActive() {
+        return this.enabled;
+    }
+
+    /**
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        if (enabled === this.enabled) return;
+        this.enabled = enabled;
+        if (this.context) this.onChange?.();
+    }
+}
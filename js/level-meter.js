@@ -0,0 +1,251 @@
+// js/level-meter.js
+// Level meter - per-channel peak and RMS, short-term and integrated loudness (BS.1770),
+// maximum true peak and clipping, read from the analyser at the end of the audio graph.
+// Everything before it (ReplayGain pre-amp, EQ, effects, dynamics) shows in the readings.
+
+import { audioContextManager } from './audio-context.js';
+import { blockLoudness, LoudnessIntegrator } from './dynamics.js';
+import { getKWeightingCoefficients, interpolate } from './worklets/bs1770.js';
+
+const FFT_SIZE = 2048;
+
+// Loudness steps and blocks as in the dynamics stage's measurement
+const STEP_SECONDS = 0.1;
+const STEPS_PER_BLOCK = 4;
+// Short-term loudness covers the last 3 seconds
+const SHORT_TERM_STEPS = 30;
+
+// Meter ballistics
+const RMS_TIME = 0.3;
+const PEAK_FALL_DB_PER_SECOND = 20;
+
+const OVERSAMPLE_POINTS = [0.25, 0.5, 0.75];
+
+const toDb = (value) => (value > 0 ? 20 * Math.log10(value) : -Infinity);
+
+export class LevelMeter {
+    constructor() {
+        this.context = null;
+        this.tapSource = null;
+        this.tap = null;
+        // Per channel: plain and K-weighted analysers
+        this.analysers = [];
+        this.weightedAnalysers = [];
+        this.buffer = new Float32Array(FFT_SIZE);
+
+        this.player = null;
+        this.onUpdate = null;
+        this.frameId = null;
+        this.lastTime = null;
+        this.trackKey = null;
+        this.reset();
+    }
+
+    /**
+     * Start measuring; onUpdate receives the readings every animation frame
+     * @param {Player} player
+     * @param {Function} onUpdate
+     */
+    start(player, onUpdate) {
+        this.player = player;
+        this.onUpdate = onUpdate;
+        if (this.frameId !== null) return;
+
+        this.lastTime = null;
+        this._tick();
+    }
+
+    stop() {
+        if (this.frameId !== null) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+        this.onUpdate = null;
+        this._disconnectTap();
+    }
+
+    /**
+     * Clear peaks, clipping and the loudness integration
+     */
+    reset() {
+        this.channels = [0, 1].map(() => ({ peak: 0, meanSquare: 0, history: new Float32Array(3) }));
+        this.truePeak = 0;
+        this.clipped = false;
+        this.stepSum = 0;
+        this.stepFrames = 0;
+        this.steps = [];
+        this.integrator = new LoudnessIntegrator();
+        this.shortTerm = null;
+        this.integrated = null;
+    }
+
+    /**
+     * @returns {{channels: Array<{peak: number, rms: number}>, shortTerm: number|null, integrated: number|null, truePeak: number, clipped: boolean}}
+     *   Levels in dBFS, loudness in LUFS (null until measured) and the maximum true peak in dBTP
+     */
+    getReadings() {
+        return {
+            channels: this.channels.map((channel) => ({
+                peak: toDb(channel.peak),
+                rms: toDb(Math.sqrt(channel.meanSquare)),
+            })),
+            shortTerm: this.shortTerm,
+            integrated: this.integrated,
+            truePeak: toDb(this.truePeak),
+            clipped: this.clipped,
+        };
+    }
+
+    _tick() {
+        this.frameId = requestAnimationFrame(() => this._tick());
+
+        // A new track starts a new integration
+        const trackKey = this.player?.currentTrack?.id ?? null;
+        if (trackKey !== this.trackKey) {
+            this.trackKey = trackKey;
+            this.reset();
+        }
+
+        if (this._connectTap() && !this.player.audio.paused) {
+            this._measure();
+        } else {
+            this.lastTime = null;
+        }
+        this.onUpdate?.(this.getReadings());
+    }
+
+    /**
+     * Tap the analyser (created with the audio context on first playback)
+     */
+    _connectTap() {
+        const analyser = audioContextManager.getAnalyser();
+        const context = audioContextManager.getAudioContext();
+        if (!analyser || !context) return false;
+
+        if (this.context !== context) {
+            this._createNodes(context);
+        }
+        if (this.tapSource !== analyser) {
+            this._disconnectTap();
+            analyser.connect(this.tap);
+            this.tapSource = analyser;
+        }
+        return true;
+    }
+
+    _disconnectTap() {
+        if (!this.tapSource) return;
+        try {
+            this.tapSource.disconnect(this.tap);
+        } catch {
+            // Ignore if not connected
+        }
+        this.tapSource = null;
+    }
+
+    _createNodes(context) {
+        this.context = context;
+        this.tapSource = null;
+
+        this.tap = context.createGain();
+        // Up-mix mono output so both meters move
+        this.tap.channelCount = 2;
+        this.tap.channelCountMode = 'explicit';
+        this.tap.channelInterpretation = 'speakers';
+        const splitter = context.createChannelSplitter(2);
+        this.tap.connect(splitter);
+
+        const stages = getKWeightingCoefficients(context.sampleRate);
+        this.analysers = [];
+        this.weightedAnalysers = [];
+        for (let channel = 0; channel < 2; channel++) {
+            const analyser = context.createAnalyser();
+            analyser.fftSize = FFT_SIZE;
+            splitter.connect(analyser, channel);
+            this.analysers.push(analyser);
+
+            const filters = stages.map(({ b0, b1, b2, a1, a2 }) => context.createIIRFilter([b0, b1, b2], [1, a1, a2]));
+            const weighted = context.createAnalyser();
+            weighted.fftSize = FFT_SIZE;
+            splitter.connect(filters[0], channel);
+            filters[0].connect(filters[1]);
+            filters[1].connect(weighted);
+            this.weightedAnalysers.push(weighted);
+        }
+    }
+
+    _measure() {
+        const now = this.context.currentTime;
+        const elapsed = this.lastTime === null ? 0 : now - this.lastTime;
+        this.lastTime = now;
+
+        // Only the samples rendered since the last frame, so nothing is counted twice
+        const count = Math.min(FFT_SIZE, Math.round(elapsed * this.context.sampleRate));
+        if (count === 0) return;
+
+        const start = FFT_SIZE - count;
+        const buffer = this.buffer;
+        const rmsCoefficient = Math.exp(-elapsed / RMS_TIME);
+        const peakFall = Math.pow(10, (-PEAK_FALL_DB_PER_SECOND * elapsed) / 20);
+        let weightedSum = 0;
+
+        this.channels.forEach((channel, c) => {
+            this.analysers[c].getFloatTimeDomainData(buffer);
+            const history = channel.history;
+            let peak = 0;
+            let sum = 0;
+
+            for (let i = start; i < FFT_SIZE; i++) {
+                const sample = buffer[i];
+                const [p0, p1, p2] = history;
+                peak = Math.max(peak, Math.abs(sample));
+                sum += sample * sample;
+                for (const t of OVERSAMPLE_POINTS) {
+                    this.truePeak = Math.max(this.truePeak, Math.abs(interpolate(p0, p1, p2, sample, t)));
+                }
+                history[0] = p1;
+                history[1] = p2;
+                history[2] = sample;
+            }
+
+            this.truePeak = Math.max(this.truePeak, peak);
+            if (peak >= 1) this.clipped = true;
+            channel.peak = Math.max(peak, channel.peak * peakFall);
+            const meanSquare = sum / count;
+            channel.meanSquare = meanSquare + rmsCoefficient * (channel.meanSquare - meanSquare);
+
+            this.weightedAnalysers[c].getFloatTimeDomainData(buffer);
+            for (let i = start; i < FFT_SIZE; i++) {
+                weightedSum += buffer[i] * buffer[i];
+            }
+        });
+
+        this._addLoudness(weightedSum, count);
+    }
+
+    /**
+     * Collect K-weighted energy into 100 ms steps and update the loudness values
+     */
+    _addLoudness(weightedSum, count) {
+        this.stepSum += weightedSum;
+        this.stepFrames += count;
+        if (this.stepFrames < STEP_SECONDS * this.context.sampleRate) return;
+
+        // Sum of the channels' mean squares
+        this.steps.push(this.stepSum / this.stepFrames);
+        this.stepSum = 0;
+        this.stepFrames = 0;
+        if (this.steps.length > SHORT_TERM_STEPS) this.steps.shift();
+
+        if (this.steps.length >= STEPS_PER_BLOCK) {
+            const recent = this.steps.slice(-STEPS_PER_BLOCK);
+            this.integrator.add(recent.reduce((sum, step) => sum + step, 0) / STEPS_PER_BLOCK);
+            this.integrated = this.integrator.getLoudness();
+        }
+
+        const shortTerm = this.steps.reduce((sum, step) => sum + step, 0) / this.steps.length;
+        this.shortTerm = shortTerm > 0 ? blockLoudness(shortTerm) : null;
+    }
+}
+
+export const levelMeter = new LevelMeter();
@@ -1180,10 +1180,76 @@ function showGeniusAnnotations(annotations, lineText) {
     });
 }
 
-export async function renderLyricsInFullscreen(track, audioPlayer, lyricsManager, container) {
+/**
+ * @param {Object} [options]
+ * @param {boolean} [options.karaoke] - Show only the current and next line, large, instead of the full lyrics
+ */
+export async function renderLyricsInFullscreen(track, audioPlayer, lyricsManager, container, options = {}) {
+    if (options.karaoke) {
+        return renderKaraokeLyrics(container, track, audioPlayer, lyricsManager);
+    }
     return renderLyricsComponent(container, track, audioPlayer, lyricsManager);
 }
 
+// Karaoke view: the current line is filled in as it is sung, the next line waits below it
+async function renderKaraokeLyrics(container, track, audioPlayer, lyricsManager) {
+    container.innerHTML = '<div class="lyrics-loading">Loading lyrics...</div>';
+    container.karaokeTrackId = track.id;
+    // Clearing while the lyrics are still loading cancels the render
+    container.lyricsCleanup = () => (container.karaokeTrackId = null);
+
+    const lyricsData = await lyricsManager.fetchLyrics(track.id, track);
+    // Another track was rendered meanwhile
+    if (container.karaokeTrackId !== track.id) return null;
+
+    const lines = lyricsManager.parseSyncedLyrics(lyricsData?.subtitles);
+    if (lines.length === 0) {
+        container.innerHTML = '<div class="lyrics-error">No synced lyrics for this track</div>';
+        return null;
+    }
+
+    container.innerHTML = `
+        <div class="karaoke-lyrics">
+            <p class="karaoke-line active"></p>
+            <p class="karaoke-line next"></p>
+        </div>
+    `;
+    const currentEl = container.querySelector('.karaoke-line.active');
+    const nextEl = container.querySelector('.karaoke-line.next');
+
+    let shownIndex = null;
+    let animationFrameId = null;
+
+    const update = () => {
+        // Positive offset delays lyrics, negative advances them
+        const time = audioPlayer.currentTime - (lyricsManager.timingOffset || 0) / 1000;
+        let index = -1;
+        while (index + 1 < lines.length && lines[index + 1].time <= time) index++;
+
+        if (index !== shownIndex) {
+            shownIndex = index;
+            currentEl.textContent = index >= 0 ? lines[index].text : '♪';
+            nextEl.textContent = lines[index + 1]?.text || '';
+        }
+
+        // How far into the line we are, for the fill sweep
+        const start = index >= 0 ? lines[index].time : 0;
+        const end = lines[index + 1]?.time ?? audioPlayer.duration;
+        const progress = index >= 0 && end > start ? Math.min(1, (time - start) / (end - start)) : 0;
+        currentEl.style.setProperty('--line-progress', `${(progress * 100).toFixed(1)}%`);
+
+        animationFrameId = requestAnimationFrame(update);
+    };
+    update();
+
+    container.lyricsCleanup = () => {
+        cancelAnimationFrame(animationFrameId);
+        container.karaokeTrackId = null;
+    };
+
+    return container.firstElementChild;
+}
+
 export function clearFullscreenLyricsSync(container) {
     if (container && container.lyricsCleanup) {
         container.lyricsCleanup();
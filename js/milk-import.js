@@ -0,0 +1,545 @@
+// js/milk-import.js
+// Converter for MilkDrop .milk preset files into the JSON format Butterchurn loads
+//
+// Example input:
+//   [preset00]
+//   fDecay=0.980000
+//   zoom=1.010000
+//   per_frame_1=wave_r = 0.5 + 0.5*sin(time*1.13);
+//   per_pixel_1=zoom = zoom + 0.05*sin(rad*10 + time);
+//
+// The EEL equations are translated to JavaScript. Custom warp/comp shaders are HLSL and would need a
+// shader compiler, so they are left out and the preset renders with Butterchurn's default shaders.
+
+// .milk names whose Butterchurn counterpart is not just the lowercased name
+const BASE_VALUE_NAMES = {
+    fRating: 'rating',
+    fGammaAdj: 'gammaadj',
+    fDecay: 'decay',
+    fVideoEchoZoom: 'echo_zoom',
+    fVideoEchoAlpha: 'echo_alpha',
+    nVideoEchoOrientation: 'echo_orient',
+    nWaveMode: 'wave_mode',
+    bAdditiveWaves: 'additivewave',
+    bWaveDots: 'wave_dots',
+    bWaveThick: 'wave_thick',
+    bModWaveAlphaByVolume: 'modwavealphabyvolume',
+    bMaximizeWaveColor: 'wave_brighten',
+    bTexWrap: 'wrap',
+    bDarkenCenter: 'darken_center',
+    bRedBlueStereo: 'red_blue',
+    bBrighten: 'brighten',
+    bDarken: 'darken',
+    bSolarize: 'solarize',
+    bInvert: 'invert',
+    fWaveAlpha: 'wave_a',
+    fWaveScale: 'wave_scale',
+    fWaveSmoothing: 'wave_smoothing',
+    fWaveParam: 'wave_mystery',
+    fModWaveAlphaStart: 'modwavealphastart',
+    fModWaveAlphaEnd: 'modwavealphaend',
+    fWarpAnimSpeed: 'warpanimspeed',
+    fWarpScale: 'warpscale',
+    fZoomExponent: 'zoomexp',
+    fShader: 'fshader',
+    nMotionVectorsX: 'mv_x',
+    nMotionVectorsY: 'mv_y',
+};
+
+const BASE_VALUE_NAMES_LOWER = Object.fromEntries(
+    Object.entries(BASE_VALUE_NAMES).map(([key, value]) => [key.toLowerCase(), value])
+);
+
+const WAVE_VALUE_NAMES = {
+    bspectrum: 'spectrum',
+    busedots: 'usedots',
+    bdrawthick: 'thick',
+    badditive: 'additive',
+};
+
+// Variables Butterchurn provides itself; every other variable an equation uses starts at 0
+const BUILT_IN_VARIABLES = new Set(
+    [
+        // Preset, shape and wave base values
+        'decay gammaadj echo_zoom echo_alpha echo_orient red_blue brighten darken wrap darken_center solarize',
+        'invert fshader b1n b2n b3n b1x b2x b3x b1ed wave_mode additivewave wave_dots wave_thick wave_a',
+        'wave_scale wave_smoothing wave_mystery modwavealphabyvolume modwavealphastart modwavealphaend wave_r',
+        'wave_g wave_b wave_x wave_y wave_brighten mv_x mv_y mv_dx mv_dy mv_l mv_r mv_g mv_b mv_a warpanimspeed',
+        'warpscale zoomexp zoom rot cx cy dx dy warp sx sy ob_size ob_r ob_g ob_b ob_a ib_size ib_r ib_g ib_b',
+        'ib_a enabled sides additive thickoutline textured num_inst tex_zoom tex_ang x y rad ang r g b a r2 g2',
+        'b2 a2 border_r border_g border_b border_a samples sep scaling smoothing spectrum usedots thick',
+        // Inputs
+        'time fps frame progress bass mid treb bass_att mid_att treb_att meshx meshy aspectx aspecty pixelsx',
+        'pixelsy rand_start rand_preset sample value1 value2 instance megabuf gmegabuf',
+    ]
+        .join(' ')
+        .split(' ')
+);
+const isBuiltInVariable = (name) => BUILT_IN_VARIABLES.has(name) || /^(q\d+|t\d|reg\d\d)$/.test(name);
+
+const EPSILON = '.00001';
+const MAX_LOOP = 1048576;
+
+// EEL functions -> JavaScript (helpers like sqr, above or div are globals defined by Butterchurn)
+const FUNCTIONS = {
+    sin: 'Math.sin',
+    cos: 'Math.cos',
+    tan: 'Math.tan',
+    asin: 'Math.asin',
+    acos: 'Math.acos',
+    atan: 'Math.atan',
+    atan2: 'Math.atan2',
+    abs: 'Math.abs',
+    exp: 'Math.exp',
+    log: 'Math.log',
+    log10: 'log10',
+    floor: 'Math.floor',
+    ceil: 'Math.ceil',
+    int: 'Math.floor',
+    min: 'Math.min',
+    max: 'Math.max',
+    sqr: 'sqr',
+    sqrt: 'sqrt',
+    pow: 'pow',
+    sign: 'sign',
+    rand: 'rand',
+    randint: 'randint',
+    sigmoid: 'sigmoid',
+    above: 'above',
+    below: 'below',
+    equal: 'equal',
+    bnot: 'bnot',
+    band: 'band',
+    bor: 'bor',
+};
+
+const CONSTANTS = {
+    $pi: String(Math.PI),
+    $e: String(Math.E),
+    $phi: '1.618033988749895',
+};
+
+const tokenize = (source) => {
+    const tokens = [];
+    const pattern =
+        /\s+|(\$x[\da-f]+|\$[a-z]+|\d+\.?\d*(?:e[-+]?\d+)?|\.\d+(?:e[-+]?\d+)?)|([a-z_][\w.]*)|(==|!=|<=|>=|&&|\|\||[-+*/%^|&]=|[-+*/%^|&=<>!?:;,()])/giy;
+
+    while (pattern.lastIndex < source.length) {
+        const start = pattern.lastIndex;
+        const match = pattern.exec(source);
+        if (!match) {
+            throw new Error(`Unexpected character "${source[start]}" in equation`);
+        }
+
+        const [, number, name, operator] = match;
+        if (number !== undefined) {
+            const lower = number.toLowerCase();
+            let value = lower;
+            if (lower.startsWith('$x')) value = String(parseInt(lower.slice(2), 16));
+            else if (lower.startsWith('$')) value = CONSTANTS[lower];
+            if (value === undefined) throw new Error(`Unknown constant ${number}`);
+            tokens.push({ type: 'number', value });
+        } else if (name !== undefined) {
+            tokens.push({ type: 'name', value: name.toLowerCase().replace(/\./g, '_') });
+        } else if (operator !== undefined) {
+            tokens.push({ type: 'op', value: operator });
+        }
+    }
+    return tokens;
+};
+
+const truthy = (js) => `(${EPSILON}<Math.abs(${js}))`;
+
+/**
+ * Recursive descent translation of one equation block, producing JavaScript source
+ */
+class EquationTranslator {
+    constructor(source, variables) {
+        this.tokens = tokenize(source);
+        this.position = 0;
+        this.variables = variables;
+    }
+
+    translate() {
+        const statements = this.sequence(null);
+        if (this.position < this.tokens.length) {
+            throw new Error(`Unexpected "${this.peek().value}" in equation`);
+        }
+        return statements.map((statement) => `${statement};`).join('');
+    }
+
+    peek() {
+        return this.tokens[this.position];
+    }
+
+    isOp(value) {
+        const token = this.peek();
+        return token?.type === 'op' && token.value === value;
+    }
+
+    expect(value) {
+        if (!this.isOp(value)) {
+            throw new Error(`Expected "${value}" in equation`);
+        }
+        this.position++;
+    }
+
+    // Statements separated by ";" up to the closing token (or the end)
+    sequence(closing) {
+        const statements = [];
+        while (this.position < this.tokens.length && !(closing && this.isOp(closing))) {
+            if (this.isOp(';')) {
+                this.position++;
+                continue;
+            }
+            statements.push(this.assignment());
+            if (!this.isOp(';')) break;
+        }
+        return statements;
+    }
+
+    assignment() {
+        const target = this.ternary();
+        const token = this.peek();
+        if (token?.type !== 'op' || !/^[-+*/%^|&]?=$/.test(token.value)) return target.js;
+
+        if (!target.lvalue) {
+            throw new Error('Assignment to something that is not a variable');
+        }
+        this.position++;
+        const value = this.assignment();
+        const current = target.js;
+        switch (token.value) {
+            case '=':
+                return `${current}=${value}`;
+            case '+=':
+            case '-=':
+            case '*=':
+                return `${current}${token.value}${value}`;
+            case '/=':
+                return `${current}=div(${current},${value})`;
+            case '%=':
+                return `${current}=mod(${current},${value})`;
+            case '^=':
+                return `${current}=pow(${current},${value})`;
+            case '|=':
+                return `${current}=bitor(${current},${value})`;
+            default:
+                return `${current}=bitand(${current},${value})`;
+        }
+    }
+
+    ternary() {
+        const condition = this.binary(0);
+        if (!this.isOp('?')) return condition;
+
+        this.position++;
+        const whenTrue = this.assignment();
+        let whenFalse = '0';
+        if (this.isOp(':')) {
+            this.position++;
+            whenFalse = this.assignment();
+        }
+        return { js: `(${truthy(condition.js)}?${whenTrue}:${whenFalse})` };
+    }
+
+    // Binary operators from loosest to tightest
+    static LEVELS = [['||'], ['&&'], ['|'], ['&'], ['==', '!=', '<', '>', '<=', '>='], ['+', '-'], ['*', '/', '%']];
+
+    binary(level) {
+        if (level === EquationTranslator.LEVELS.length) return this.unary();
+
+        let left = this.binary(level + 1);
+        while (this.peek()?.type === 'op' && EquationTranslator.LEVELS[level].includes(this.peek().value)) {
+            const operator = this.tokens[this.position++].value;
+            const right = this.binary(level + 1).js;
+            left = { js: this.combine(operator, left.js, right) };
+        }
+        return left;
+    }
+
+    combine(operator, left, right) {
+        switch (operator) {
+            case '||':
+                return `(${truthy(left)}||${truthy(right)}?1:0)`;
+            case '&&':
+                return `(${truthy(left)}&&${truthy(right)}?1:0)`;
+            case '|':
+                return `bitor(${left},${right})`;
+            case '&':
+                return `bitand(${left},${right})`;
+            case '==':
+                return `equal(${left},${right})`;
+            case '!=':
+                return `bnot(equal(${left},${right}))`;
+            case '/':
+                return `div(${left},${right})`;
+            case '%':
+                return `mod(${left},${right})`;
+            case '<':
+            case '>':
+            case '<=':
+            case '>=':
+                return `(${left}${operator}${right}?1:0)`;
+            default:
+                return `(${left}${operator}${right})`;
+        }
+    }
+
+    unary() {
+        if (this.isOp('-') || this.isOp('+')) {
+            const operator = this.tokens[this.position++].value;
+            return { js: `(${operator}${this.unary().js})` };
+        }
+        if (this.isOp('!')) {
+            this.position++;
+            return { js: `bnot(${this.unary().js})` };
+        }
+        return this.power();
+    }
+
+    power() {
+        const base = this.primary();
+        if (!this.isOp('^')) return base;
+
+        this.position++;
+        return { js: `pow(${base.js},${this.unary().js})` };
+    }
+
+    primary() {
+        const token = this.tokens[this.position++];
+        if (!token) throw new Error('Equation ends too early');
+
+        if (token.type === 'number') return { js: token.value };
+
+        if (token.type === 'op' && token.value === '(') {
+            const statements = this.sequence(')');
+            this.expect(')');
+            return { js: `(${statements.join(',') || '0'})` };
+        }
+
+        if (token.type === 'name') {
+            if (this.isOp('(')) return this.call(token.value);
+            this.variables.add(token.value);
+            return { js: `a.${token.value}`, lvalue: true };
+        }
+
+        throw new Error(`Unexpected "${token.value}" in equation`);
+    }
+
+    call(name) {
+        this.expect('(');
+        const args = [];
+        while (!this.isOp(')')) {
+            args.push(this.sequence(',').join(','));
+            if (this.isOp(',')) this.position++;
+            else if (!this.isOp(')')) throw new Error(`Expected ")" after arguments of ${name}`);
+        }
+        this.expect(')');
+        const arg = (index) => {
+            if (args[index] === undefined) throw new Error(`${name}() needs ${index + 1} argument(s)`);
+            return `(${args[index]})`;
+        };
+
+        switch (name) {
+            case 'if':
+                return { js: `(${truthy(arg(0))}?${arg(1)}:${arg(2)})` };
+            case 'megabuf':
+            case 'gmegabuf':
+                return { js: `a.${name}[Math.floor(${arg(0)})]`, lvalue: true };
+            case 'loop':
+                return {
+                    js: `(()=>{for(let i=0,n=Math.min(Math.floor(${arg(0)}),${MAX_LOOP});i<n;i++){${arg(1)};}return 0;})()`,
+                };
+            case 'while':
+                return { js: `(()=>{let i=0;while(${truthy(arg(0))}&&++i<${MAX_LOOP});return 0;})()` };
+            case 'exec2':
+            case 'exec3':
+                return { js: `(${args.join(',')})` };
+            case 'assign':
+                return { js: `(${args[0]}=${arg(1)})` };
+            case 'invsqrt':
+                return { js: `(1/Math.sqrt(Math.abs${arg(0)}))` };
+            case 'memcpy':
+                return { js: `memcpy(a.megabuf,${arg(0)},${arg(1)},${arg(2)})` };
+            default:
+                if (!FUNCTIONS[name]) throw new Error(`Unsupported function ${name}()`);
+                return { js: `${FUNCTIONS[name]}(${args.map((_, index) => arg(index)).join(',')})` };
+        }
+    }
+}
+
+/**
+ * Translate an EEL equation block into the JavaScript Butterchurn runs with `a` as the variable scope
+ * @param {string} source
+ * @param {Set<string>} variables - Collects the names of the variables used
+ * @returns {string}
+ */
+export function convertEquations(source, variables = new Set()) {
+    const code = source.replace(/\/\*[\s\S]*?\*\//g, ' ').replace(/\/\/[^\n]*/g, ' ');
+    return new EquationTranslator(code, variables).translate();
+}
+
+// Join numbered lines (per_frame_1, per_frame_2, ...) in order
+const joinLines = (lines) =>
+    lines
+        .sort((a, b) => a.index - b.index)
+        .map((line) => line.text)
+        .join('\n');
+
+/**
+ * Translate the equation blocks of a preset, shape or wave. The init block also sets the variables
+ * of all blocks to 0, which EEL does implicitly.
+ */
+const convertBlocks = (blocks) => {
+    const variables = new Set();
+    const converted = {};
+    for (const [name, lines] of Object.entries(blocks)) {
+        converted[name] = convertEquations(joinLines(lines), variables);
+    }
+
+    const defaults = [...variables]
+        .filter((name) => !isBuiltInVariable(name))
+        .map((name) => `a.${name}=0;`)
+        .join('');
+    converted.init_eqs_str = defaults + converted.init_eqs_str;
+    return converted;
+};
+
+const readNumber = (value) => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Parse a .milk preset file
+ * @param {string} text - File contents
+ * @returns {{preset: Object, droppedShaders: boolean}} preset is in Butterchurn's JSON format
+ * @throws {Error} When the file is not a MilkDrop preset or an equation cannot be translated
+ */
+export function convertMilkPreset(text) {
+    const baseVals = {};
+    const equations = { init: [], frame: [], pixel: [] };
+    const shapes = Array.from({ length: 4 }, () => ({ baseVals: {}, init: [], frame: [] }));
+    const waves = Array.from({ length: 4 }, () => ({ baseVals: {}, init: [], frame: [], point: [] }));
+    let droppedShaders = false;
+    let recognized = 0;
+
+    text.split(/\r?\n/).forEach((rawLine) => {
+        const separator = rawLine.indexOf('=');
+        if (separator <= 0) return;
+
+        const key = rawLine.slice(0, separator).trim();
+        const value = rawLine.slice(separator + 1);
+        const lower = key.toLowerCase();
+        let match;
+
+        if ((match = lower.match(/^per_frame_init_(\d+)$/))) {
+            equations.init.push({ index: +match[1], text: value });
+        } else if ((match = lower.match(/^per_frame_(\d+)$/))) {
+            equations.frame.push({ index: +match[1], text: value });
+        } else if ((match = lower.match(/^per_pixel_(\d+)$/))) {
+            equations.pixel.push({ index: +match[1], text: value });
+        } else if ((match = lower.match(/^(warp|comp)_\d+$/))) {
+            droppedShaders = true;
+        } else if ((match = lower.match(/^shapecode_([0-3])_(\w+)$/))) {
+            const number = readNumber(value);
+            if (number !== null) shapes[match[1]].baseVals[match[2]] = number;
+        } else if ((match = lower.match(/^shape_([0-3])_(init|per_frame)(\d+)$/))) {
+            shapes[match[1]][match[2] === 'init' ? 'init' : 'frame'].push({ index: +match[3], text: value });
+        } else if ((match = lower.match(/^wavecode_([0-3])_(\w+)$/))) {
+            const number = readNumber(value);
+            if (number !== null) waves[match[1]].baseVals[WAVE_VALUE_NAMES[match[2]] || match[2]] = number;
+        } else if ((match = lower.match(/^wave_([0-3])_(init|per_frame|per_point)(\d+)$/))) {
+            const type = { init: 'init', per_frame: 'frame', per_point: 'point' }[match[2]];
+            waves[match[1]][type].push({ index: +match[3], text: value });
+        } else {
+            const number = readNumber(value);
+            if (number === null || lower.includes('version')) return;
+            baseVals[BASE_VALUE_NAMES_LOWER[lower] || lower] = number;
+        }
+        recognized++;
+    });
+
+    if (recognized === 0 || !(/^\s*\[preset\d*\]/im.test(text) || 'decay' in baseVals)) {
+        throw new Error('Not a MilkDrop preset');
+    }
+
+    return {
+        preset: {
+            baseVals,
+            ...convertBlocks({
+                init_eqs_str: equations.init,
+                frame_eqs_str: equations.frame,
+                pixel_eqs_str: equations.pixel,
+            }),
+            shapes: shapes.map((shape) => ({
+                baseVals: shape.baseVals,
+                ...convertBlocks({ init_eqs_str: shape.init, frame_eqs_str: shape.frame }),
+            })),
+            waves: waves.map((wave) => ({
+                baseVals: wave.baseVals,
+                ...convertBlocks({
+                    init_eqs_str: wave.init,
+                    frame_eqs_str: wave.frame,
+                    point_eqs_str: wave.point,
+                }),
+            })),
+            warp: '',
+            comp: '',
+        },
+        droppedShaders,
+    };
+}
+
+/**
+ * Whether an object looks like a preset in Butterchurn's JSON format
+ */
+export function isButterchurnPreset(value) {
+    return (
+        !!value &&
+        typeof value === 'object' &&
+        typeof value.baseVals === 'object' &&
+        Array.isArray(value.shapes) &&
+        Array.isArray(value.waves)
+    );
+}
+
+export const BUTTERCHURN_PACK_TYPE = 'steqmusic-butterchurn-presets';
+
+/**
+ * Read a preset file picked by the user: a .milk preset, a single Butterchurn JSON preset or a pack
+ * (our favorites export, or a name -> preset map like the butterchurn-presets packages use)
+ * @param {string} fileName
+ * @param {string} text - File contents
+ * @returns {{presets: Object<string, Object>, droppedShaders: boolean}}
+ * @throws {Error} When the file contains no presets
+ */
+export function parseButterchurnPresetFile(fileName, text) {
+    const name = fileName.replace(/\.[^.]+$/, '');
+
+    if (/\.milk$/i.test(fileName)) {
+        const { preset, droppedShaders } = convertMilkPreset(text);
+        return { presets: { [name]: preset }, droppedShaders };
+    }
+
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error('Not a .milk or JSON preset file');
+    }
+
+    if (isButterchurnPreset(data)) {
+        return { presets: { [name]: data }, droppedShaders: false };
+    }
+
+    const map = data?.type === BUTTERCHURN_PACK_TYPE ? data.presets : data;
+    const presets = Object.fromEntries(
+        Object.entries(map && typeof map === 'object' ? map : {}).filter(([, preset]) => isButterchurnPreset(preset))
+    );
+    if (Object.keys(presets).length === 0) {
+        throw new Error('No Butterchurn presets found in this file');
+    }
+    return { presets, droppedShaders: false };
+}
@@ -0,0 +1,223 @@
+// js/offline.js
+// Offline copies - full track audio kept in IndexedDB so it plays without a connection.
+// A size quota is enforced by evicting the least recently played copies first.
+
+import { db } from './db.js';
+import { offlineSettings } from './storage.js';
+import { DashDownloader } from './dash-downloader.js';
+
+const BYTES_PER_MB = 1024 * 1024;
+
+export class OfflineManager {
+    constructor() {
+        // Metadata of every stored copy (without the audio), keyed by track ID
+        this.entries = new Map();
+        // Downloads in progress, keyed by track ID
+        this.pending = new Map();
+        this.player = null;
+    }
+
+    /**
+     * Use the player's API and quality for downloads and load the stored copies
+     */
+    attach(player) {
+        this.player = player;
+        this.load();
+    }
+
+    async load() {
+        try {
+            const entries = await db.getOfflineTracks();
+            entries.forEach((entry) => this.entries.set(entry.id, this._toMeta(entry)));
+            this._notifyChange();
+        } catch (e) {
+            console.warn('[Offline] Failed to load offline tracks:', e);
+        }
+    }
+
+    has(trackId) {
+        return this.entries.has(String(trackId));
+    }
+
+    isDownloading(trackId) {
+        return this.pending.has(String(trackId));
+    }
+
+    getAll() {
+        return [...this.entries.values()];
+    }
+
+    getUsage() {
+        let bytes = 0;
+        this.entries.forEach((entry) => (bytes += entry.size || 0));
+        return { bytes, count: this.entries.size };
+    }
+
+    /**
+     * Stored audio and ReplayGain values for a track, or null when it isn't available offline
+     * @returns {Promise<{blob: Blob, rgValues: Object|null}|null>}
+     */
+    async getOfflineSource(trackId) {
+        if (!this.has(trackId)) return null;
+
+        try {
+            const entry = await db.getOfflineTrack(trackId);
+            if (!entry?.blob) {
+                this.entries.delete(String(trackId));
+                this._notifyChange();
+                return null;
+            }
+
+            this.entries.get(entry.id).lastAccessed = Date.now();
+            db.touchOfflineTrack(entry).catch(() => {});
+            return { blob: entry.blob, rgValues: entry.rgValues || null };
+        } catch (e) {
+            console.warn('[Offline] Failed to read offline copy:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Download a track and keep it offline
+     * @returns {Promise<boolean>} Whether the track is now available offline
+     */
+    async saveTrack(track) {
+        const trackId = String(track.id);
+        if (this.has(trackId)) return true;
+        // Local files are already on the device
+        if (track.isLocal) return false;
+        if (this.pending.has(trackId)) return this.pending.get(trackId);
+
+        const task = this._download(track).finally(() => {
+            this.pending.delete(trackId);
+            this._notifyChange();
+        });
+        this.pending.set(trackId, task);
+        this._notifyChange();
+        return task;
+    }
+
+    /**
+     * Download several tracks one after another
+     * @param {Array} tracks
+     * @param {Function} onProgress - Called with (done, total) after each track
+     * @returns {Promise<{saved: number, failed: number}>}
+     */
+    async saveTracks(tracks, onProgress) {
+        let saved = 0;
+        let failed = 0;
+
+        for (const track of tracks) {
+            try {
+                if (await this.saveTrack(track)) saved++;
+                else failed++;
+            } catch (e) {
+                console.warn(`[Offline] Failed to save "${track.title}":`, e);
+                failed++;
+                // No point in trying the rest once storage is full
+                if (e.name === 'QuotaExceededError') break;
+            }
+            onProgress?.(saved + failed, tracks.length);
+        }
+
+        return { saved, failed };
+    }
+
+    async removeTrack(trackId) {
+        await db.deleteOfflineTrack(trackId);
+        this.entries.delete(String(trackId));
+        this._notifyChange();
+    }
+
+    async clearAll() {
+        await db.clearOfflineTracks();
+        this.entries.clear();
+        this._notifyChange();
+    }
+
+    /**
+     * Evict least recently played copies until everything fits in the quota
+     */
+    async enforceQuota(extraBytes = 0) {
+        const quotaMB = offlineSettings.getQuotaMB();
+        if (!quotaMB) return;
+
+        const quotaBytes = quotaMB * BYTES_PER_MB;
+        if (extraBytes > quotaBytes) {
+            throw Object.assign(new Error('Track is larger than the offline storage limit'), {
+                name: 'QuotaExceededError',
+            });
+        }
+
+        let { bytes } = this.getUsage();
+        const byLastAccess = this.getAll().sort((a, b) => (a.lastAccessed || 0) - (b.lastAccessed || 0));
+
+        for (const entry of byLastAccess) {
+            if (bytes + extraBytes <= quotaBytes) break;
+            // Never evict what is playing right now
+            if (String(this.player?.currentTrack?.id) === entry.id) continue;
+
+            await this.removeTrack(entry.id);
+            bytes -= entry.size || 0;
+        }
+    }
+
+    async _download(track) {
+        const { api, quality } = this.player;
+        let rgValues = null;
+        let blob;
+
+        const isTracker = track.isTracker || String(track.id).startsWith('tracker-');
+        if (isTracker || track.audioUrl) {
+            const url = track.remoteUrl || track.audioUrl;
+            if (!url || url.startsWith('blob:')) return false;
+            blob = await this._fetchBlob(url);
+        } else {
+            if (!String(track.id).startsWith('q:')) {
+                const trackData = await api.getTrack(track.id, quality);
+                rgValues = this.player.getReplayGainValues(trackData);
+            }
+
+            const streamUrl = await api.getStreamUrl(track.id, quality);
+            if (!streamUrl) throw new Error('Could not resolve stream URL');
+
+            blob = streamUrl.startsWith('blob:')
+                ? await new DashDownloader().downloadDashStream(streamUrl)
+                : await this._fetchBlob(streamUrl);
+        }
+
+        await this.enforceQuota(blob.size);
+
+        // Ask the browser not to clear our storage under pressure
+        navigator.storage?.persist?.().catch(() => {});
+
+        const entry = await db.saveOfflineTrack(track, blob, { quality, rgValues });
+        this.entries.set(entry.id, this._toMeta(entry));
+        return true;
+    }
+
+    async _fetchBlob(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch track: ${response.status}`);
+        }
+        return response.blob();
+    }
+
+    _toMeta(entry) {
+        return {
+            id: entry.id,
+            track: entry.track,
+            size: entry.size,
+            quality: entry.quality,
+            addedAt: entry.addedAt,
+            lastAccessed: entry.lastAccessed,
+        };
+    }
+
+    _notifyChange() {
+        window.dispatchEvent(new CustomEvent('offline-tracks-changed'));
+    }
+}
+
+export const offlineManager = new OfflineManager();
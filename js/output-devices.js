@@ -0,0 +1,171 @@
+// js/output-devices.js
+// Audio output device selection. Each device keeps its own profile (EQ, ReplayGain pre-amp and volume),
+// which is saved when switching away from it and restored when switching back.
+
+import { audioContextManager } from './audio-context.js';
+import { outputDeviceSettings, replayGainSettings } from './storage.js';
+
+// '' is the system default device for setSinkId
+const DEFAULT_DEVICE_ID = '';
+
+export class OutputDeviceManager {
+    constructor() {
+        this.player = null;
+        this.devices = [];
+        this.deviceId = outputDeviceSettings.getDeviceId();
+        this.appliedSinkId = null;
+    }
+
+    /**
+     * Whether the browser can route audio to a chosen device
+     */
+    isSupported() {
+        return typeof HTMLMediaElement !== 'undefined' && 'setSinkId' in HTMLMediaElement.prototype;
+    }
+
+    /**
+     * Route the player to the remembered device and keep the device list current
+     */
+    attach(player) {
+        this.player = player;
+        if (!this.isSupported() || !navigator.mediaDevices) return;
+
+        navigator.mediaDevices.addEventListener?.('devicechange', () => this.refresh());
+        // The audio context is created on first playback and needs the sink too
+        audioContextManager.onGraphChange(() => this._applySink());
+
+        this.refresh();
+    }
+
+    /**
+     * Re-read the available output devices
+     * @returns {Promise<Array<{deviceId: string, label: string}>>}
+     */
+    async refresh() {
+        try {
+            const devices = await navigator.mediaDevices.enumerateDevices();
+            let unnamed = 0;
+            this.devices = devices
+                .filter((device) => device.kind === 'audiooutput' && device.deviceId !== 'default')
+                .map((device) => ({
+                    deviceId: device.deviceId,
+                    // Browsers hide labels until a media permission was granted
+                    label: device.label || `Output device ${++unnamed}`,
+                    hasLabel: !!device.label,
+                }));
+        } catch (e) {
+            console.warn('[OutputDevice] Failed to list devices:', e);
+            this.devices = [];
+        }
+
+        this._applySink();
+        this._notifyChange();
+        return this.devices;
+    }
+
+    getDevices() {
+        return [{ deviceId: DEFAULT_DEVICE_ID, label: 'System default', hasLabel: true }, ...this.devices];
+    }
+
+    getDeviceId() {
+        return this.deviceId;
+    }
+
+    /**
+     * Whether some devices are only listed by number until a media permission is granted
+     */
+    needsPermissionForLabels() {
+        return this.devices.some((device) => !device.hasLabel);
+    }
+
+    /**
+     * Briefly open the microphone so the browser reveals device names
+     */
+    async requestLabels() {
+        try {
+            const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+            stream.getTracks().forEach((track) => track.stop());
+        } catch (e) {
+            console.warn('[OutputDevice] Permission for device names denied:', e);
+        }
+        return this.refresh();
+    }
+
+    /**
+     * Switch output device, swapping the audio profile of the old device for the new one's
+     * @param {string} deviceId
+     */
+    async selectDevice(deviceId) {
+        if (deviceId === this.deviceId) return;
+
+        this._saveProfile(this.deviceId);
+        this.deviceId = deviceId;
+        outputDeviceSettings.setDeviceId(deviceId);
+
+        const profile = outputDeviceSettings.getProfile(deviceId);
+        if (profile) this._applyProfile(profile);
+
+        await this._applySink();
+        this._notifyChange();
+    }
+
+    _saveProfile(deviceId) {
+        const device = this.getDevices().find((d) => d.deviceId === deviceId);
+        outputDeviceSettings.setProfile(deviceId, {
+            label: device?.label || outputDeviceSettings.getProfile(deviceId)?.label || '',
+            eq: audioContextManager.getEQState(),
+            replayGainPreamp: replayGainSettings.getPreamp(),
+            volume: this.player?.userVolume ?? 0.7,
+        });
+    }
+
+    _applyProfile(profile) {
+        if (profile.eq) {
+            audioContextManager.setEQState(profile.eq);
+        }
+        if (typeof profile.replayGainPreamp === 'number') {
+            replayGainSettings.setPreamp(profile.replayGainPreamp);
+        }
+        if (typeof profile.volume === 'number') {
+            this.player?.setVolume(profile.volume);
+        } else {
+            this.player?.applyReplayGain();
+        }
+    }
+
+    /**
+     * Point the audio element and the audio context at the chosen device.
+     * A device that is unplugged falls back to the default until it comes back.
+     */
+    async _applySink() {
+        if (!this.player || !this.isSupported()) return;
+
+        const isAvailable =
+            this.deviceId === DEFAULT_DEVICE_ID || this.devices.some((device) => device.deviceId === this.deviceId);
+        const sinkId = isAvailable ? this.deviceId : DEFAULT_DEVICE_ID;
+        const context = audioContextManager.getAudioContext();
+        const contextReady = !context?.setSinkId || context.sinkId === sinkId;
+
+        if (this.appliedSinkId === sinkId && contextReady) return;
+        this.appliedSinkId = sinkId;
+
+        try {
+            if (this.player.audio.sinkId !== sinkId) {
+                await this.player.audio.setSinkId(sinkId);
+            }
+            // Once the element feeds Web Audio, the context decides where the sound goes
+            if (context?.setSinkId && context.sinkId !== sinkId) {
+                await context.setSinkId(sinkId);
+            }
+        } catch (e) {
+            console.warn('[OutputDevice] Failed to switch output device:', e);
+            this.appliedSinkId = null;
+        }
+    }
+
+    _notifyChange() {
+        window.dispatchEvent(new CustomEvent('output-device-changed', { detail: { deviceId: this.deviceId } }));
+    }
+}
+
+export const outputDeviceManager = new OutputDeviceManager();
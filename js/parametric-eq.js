@@ -0,0 +1,386 @@
+// js/parametric-eq.js
+// Parametric EQ editor - band list plus a live frequency response curve whose
+// band points can be dragged (frequency/gain) and scrolled (Q)
+
+import {
+    audioContextManager,
+    EQ_FILTER_TYPES,
+    EQ_GAIN_RANGE,
+    EQ_MIN_FREQUENCY,
+    EQ_MAX_FREQUENCY,
+    EQ_MIN_Q,
+    EQ_MAX_Q,
+    EQ_MAX_BANDS,
+} from './audio-context.js';
+import { SVG_BIN } from './utils.js';
+
+const FILTER_TYPE_LABELS = {
+    peaking: 'Peak',
+    lowshelf: 'Low Shelf',
+    highshelf: 'High Shelf',
+    lowpass: 'Low Pass',
+    highpass: 'High Pass',
+    notch: 'Notch',
+};
+
+// Filter types whose gain does nothing (their point sits on the 0 dB line)
+const GAINLESS_TYPES = ['lowpass', 'highpass', 'notch'];
+
+// Number of points the response curve is sampled at
+const CURVE_RESOLUTION = 256;
+
+// How close (in CSS pixels) a pointer has to be to grab a band point
+const POINT_HIT_RADIUS = 12;
+
+const GRID_FREQUENCIES = [50, 100, 200, 500, 1000, 2000, 5000, 10000];
+const GRID_GAINS = [-20, -10, 0, 10, 20];
+
+const formatFrequency = (frequency) =>
+    frequency >= 1000 ? `${parseFloat((frequency / 1000).toFixed(1))}k` : String(Math.round(frequency));
+
+export class ParametricEQEditor {
+    /**
+     * @param {Object} elements
+     * @param {HTMLCanvasElement} elements.canvas - Response curve
+     * @param {HTMLElement} elements.list - Container for the band rows
+     * @param {HTMLButtonElement} elements.addButton - "Add band" button
+     */
+    constructor({ canvas, list, addButton }) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.list = list;
+        this.addButton = addButton;
+        this.selectedIndex = -1;
+        this.dragIndex = -1;
+        this.frameId = null;
+
+        // Log-spaced frequencies shared by every redraw
+        this.frequencies = new Float32Array(CURVE_RESOLUTION);
+        const logMin = Math.log10(EQ_MIN_FREQUENCY);
+        const logMax = Math.log10(EQ_MAX_FREQUENCY);
+        for (let i = 0; i < CURVE_RESOLUTION; i++) {
+            this.frequencies[i] = Math.pow(10, logMin + ((logMax - logMin) * i) / (CURVE_RESOLUTION - 1));
+        }
+
+        this._bindEvents();
+        this.render();
+    }
+
+    /**
+     * Rebuild the band rows and redraw the curve
+     */
+    render() {
+        this._renderBands();
+        this.draw();
+    }
+
+    /**
+     * Redraw the curve on the next frame
+     */
+    draw() {
+        if (this.frameId !== null) return;
+        this.frameId = requestAnimationFrame(() => {
+            this.frameId = null;
+            this._drawCurve();
+        });
+    }
+
+    _bindEvents() {
+        this.addButton?.addEventListener('click', () => {
+            const index = audioContextManager.addParametricBand({ type: 'peaking', frequency: 1000, q: 1, gain: 0 });
+            if (index >= 0) this.selectedIndex = index;
+            this.render();
+        });
+
+        this.list.addEventListener('input', (e) => {
+            const row = e.target.closest('.peq-band');
+            const field = e.target.dataset.field;
+            if (!row || !field) return;
+
+            const index = parseInt(row.dataset.index, 10);
+            const value = field === 'type' ? e.target.value : parseFloat(e.target.value);
+            if (field !== 'type' && isNaN(value)) return;
+
+            audioContextManager.updateParametricBand(index, { [field]: value });
+            this.selectedIndex = index;
+            if (field === 'type') this._renderBands();
+            this.draw();
+        });
+
+        // Show the clamped value once editing is done
+        this.list.addEventListener('change', (e) => {
+            if (e.target.tagName === 'INPUT') this._renderBands();
+        });
+
+        this.list.addEventListener('click', (e) => {
+            const row = e.target.closest('.peq-band');
+            if (!row) return;
+
+            const index = parseInt(row.dataset.index, 10);
+            if (e.target.closest('.peq-remove-btn')) {
+                audioContextManager.removeParametricBand(index);
+                this.selectedIndex = -1;
+                this.render();
+                return;
+            }
+            if (this.selectedIndex !== index) {
+                this.selectedIndex = index;
+                this._updateSelection();
+                this.draw();
+            }
+        });
+
+        this.canvas.addEventListener('pointerdown', (e) => {
+            const index = this._hitTest(e);
+            if (index < 0) return;
+
+            this.dragIndex = index;
+            this.selectedIndex = index;
+            this.canvas.setPointerCapture(e.pointerId);
+            this._updateSelection();
+            this.draw();
+        });
+
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (this.dragIndex < 0) {
+                this.canvas.style.cursor = this._hitTest(e) >= 0 ? 'grab' : 'crosshair';
+                return;
+            }
+
+            const { x, y } = this._getPointerPosition(e);
+            const band = audioContextManager.getParametricBands()[this.dragIndex];
+            const changes = { frequency: this._xToFrequency(x) };
+            if (!GAINLESS_TYPES.includes(band.type)) {
+                changes.gain = Math.round(this._yToGain(y) * 10) / 10;
+            }
+            audioContextManager.updateParametricBand(this.dragIndex, changes);
+            this._updateBandRow(this.dragIndex);
+            this.draw();
+        });
+
+        const endDrag = () => {
+            this.dragIndex = -1;
+        };
+        this.canvas.addEventListener('pointerup', endDrag);
+        this.canvas.addEventListener('pointercancel', endDrag);
+
+        // Scroll over a point to narrow or widen it
+        this.canvas.addEventListener(
+            'wheel',
+            (e) => {
+                const hit = this._hitTest(e);
+                const index = hit >= 0 ? hit : this.selectedIndex;
+                const band = audioContextManager.getParametricBands()[index];
+                if (!band) return;
+
+                e.preventDefault();
+                const q = band.q * (e.deltaY < 0 ? 1.1 : 1 / 1.1);
+                audioContextManager.updateParametricBand(index, {
+                    q: Math.round(Math.max(EQ_MIN_Q, Math.min(EQ_MAX_Q, q)) * 100) / 100,
+                });
+                this._updateBandRow(index);
+                this.draw();
+            },
+            { passive: false }
+        );
+
+        // Double-click empty space to add a band there
+        this.canvas.addEventListener('dblclick', (e) => {
+            if (this._hitTest(e) >= 0) return;
+
+            const { x, y } = this._getPointerPosition(e);
+            const index = audioContextManager.addParametricBand({
+                type: 'peaking',
+                frequency: this._xToFrequency(x),
+                q: 1,
+                gain: Math.round(this._yToGain(y) * 10) / 10,
+            });
+            if (index >= 0) this.selectedIndex = index;
+            this.render();
+        });
+
+        if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(() => this.draw()).observe(this.canvas);
+        }
+    }
+
+    _renderBands() {
+        const bands = audioContextManager.getParametricBands();
+
+        this.list.innerHTML = bands
+            .map(
+                (band, index) => `
+            <div class="peq-band" data-index="${index}">
+                <span class="peq-band-index">${index + 1}</span>
+                <select data-field="type" title="Filter type">
+                    ${EQ_FILTER_TYPES.map(
+                        (type) =>
+                            `<option value="${type}" ${type === band.type ? 'selected' : ''}>${FILTER_TYPE_LABELS[type]}</option>`
+                    ).join('')}
+                </select>
+                <label>Hz <input type="number" data-field="frequency" min="${EQ_MIN_FREQUENCY}" max="${EQ_MAX_FREQUENCY}" step="1" /></label>
+                <label>Q <input type="number" data-field="q" min="${EQ_MIN_Q}" max="${EQ_MAX_Q}" step="0.1" /></label>
+                <label>dB <input type="number" data-field="gain" min="${-EQ_GAIN_RANGE}" max="${EQ_GAIN_RANGE}" step="0.5" /></label>
+                <button class="btn-icon peq-remove-btn" title="Remove band">${SVG_BIN}</button>
+            </div>
+        `
+            )
+            .join('');
+
+        bands.forEach((_, index) => this._updateBandRow(index));
+        this._updateSelection();
+
+        if (this.addButton) {
+            this.addButton.disabled = bands.length >= EQ_MAX_BANDS;
+        }
+    }
+
+    _updateBandRow(index) {
+        const row = this.list.querySelector(`.peq-band[data-index="${index}"]`);
+        const band = audioContextManager.getParametricBands()[index];
+        if (!row || !band) return;
+
+        const setValue = (field, value) => {
+            const input = row.querySelector(`input[data-field="${field}"]`);
+            // Don't fight the user while they're typing
+            if (input && document.activeElement !== input) input.value = value;
+        };
+        setValue('frequency', Math.round(band.frequency));
+        setValue('q', band.q);
+        setValue('gain', band.gain);
+
+        const gainInput = row.querySelector('input[data-field="gain"]');
+        if (gainInput) gainInput.disabled = GAINLESS_TYPES.includes(band.type);
+    }
+
+    _updateSelection() {
+        this.list.querySelectorAll('.peq-band').forEach((row) => {
+            row.classList.toggle('selected', parseInt(row.dataset.index, 10) === this.selectedIndex);
+        });
+    }
+
+    _getSize() {
+        return { width: this.canvas.clientWidth, height: this.canvas.clientHeight };
+    }
+
+    _getPointerPosition(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+
+    _frequencyToX(frequency) {
+        const logMin = Math.log10(EQ_MIN_FREQUENCY);
+        const logMax = Math.log10(EQ_MAX_FREQUENCY);
+        return ((Math.log10(frequency) - logMin) / (logMax - logMin)) * this._getSize().width;
+    }
+
+    _xToFrequency(x) {
+        const logMin = Math.log10(EQ_MIN_FREQUENCY);
+        const logMax = Math.log10(EQ_MAX_FREQUENCY);
+        const ratio = Math.max(0, Math.min(1, x / this._getSize().width));
+        return Math.round(Math.pow(10, logMin + ratio * (logMax - logMin)));
+    }
+
+    _gainToY(gain) {
+        const { height } = this._getSize();
+        return height / 2 - (gain / EQ_GAIN_RANGE) * (height / 2);
+    }
+
+    _yToGain(y) {
+        const { height } = this._getSize();
+        const gain = ((height / 2 - y) / (height / 2)) * EQ_GAIN_RANGE;
+        return Math.max(-EQ_GAIN_RANGE, Math.min(EQ_GAIN_RANGE, gain));
+    }
+
+    _getPointY(band) {
+        return this._gainToY(GAINLESS_TYPES.includes(band.type) ? 0 : band.gain);
+    }
+
+    _hitTest(e) {
+        const { x, y } = this._getPointerPosition(e);
+        const bands = audioContextManager.getParametricBands();
+
+        let closest = -1;
+        let closestDistance = POINT_HIT_RADIUS;
+        bands.forEach((band, index) => {
+            const distance = Math.hypot(this._frequencyToX(band.frequency) - x, this._getPointY(band) - y);
+            if (distance <= closestDistance) {
+                closest = index;
+                closestDistance = distance;
+            }
+        });
+        return closest;
+    }
+
+    _drawCurve() {
+        const { width, height } = this._getSize();
+        if (!width || !height) return;
+
+        const dpr = window.devicePixelRatio || 1;
+        if (this.canvas.width !== Math.round(width * dpr) || this.canvas.height !== Math.round(height * dpr)) {
+            this.canvas.width = Math.round(width * dpr);
+            this.canvas.height = Math.round(height * dpr);
+        }
+
+        const ctx = this.ctx;
+        const styles = getComputedStyle(document.documentElement);
+        const primary = styles.getPropertyValue('--primary').trim() || '#ffffff';
+        const border = styles.getPropertyValue('--border').trim() || '#333333';
+        const muted = styles.getPropertyValue('--muted-foreground').trim() || '#888888';
+
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+
+        // Grid
+        ctx.lineWidth = 1;
+        ctx.strokeStyle = border;
+        ctx.fillStyle = muted;
+        ctx.font = '10px sans-serif';
+        GRID_FREQUENCIES.forEach((frequency) => {
+            const x = Math.round(this._frequencyToX(frequency)) + 0.5;
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, height);
+            ctx.stroke();
+            ctx.fillText(formatFrequency(frequency), x + 3, height - 4);
+        });
+        GRID_GAINS.forEach((gain) => {
+            const y = Math.round(this._gainToY(gain)) + 0.5;
+            ctx.beginPath();
+            ctx.moveTo(0, y);
+            ctx.lineTo(width, y);
+            ctx.stroke();
+            ctx.fillText(`${gain > 0 ? '+' : ''}${gain} dB`, 4, y - 3);
+        });
+
+        // Combined response
+        const bands = audioContextManager.getParametricBands();
+        const response = audioContextManager.getFrequencyResponse(this.frequencies, bands);
+
+        ctx.beginPath();
+        for (let i = 0; i < this.frequencies.length; i++) {
+            const x = this._frequencyToX(this.frequencies[i]);
+            const y = this._gainToY(Math.max(-EQ_GAIN_RANGE, Math.min(EQ_GAIN_RANGE, response[i])));
+            if (i === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        }
+        ctx.strokeStyle = primary;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+
+        // Band points
+        bands.forEach((band, index) => {
+            const x = this._frequencyToX(band.frequency);
+            const y = this._getPointY(band);
+            const isSelected = index === this.selectedIndex;
+
+            ctx.beginPath();
+            ctx.arc(x, y, isSelected ? 7 : 5, 0, Math.PI * 2);
+            ctx.fillStyle = isSelected ? primary : muted;
+            ctx.fill();
+
+            ctx.fillStyle = primary;
+            ctx.fillText(String(index + 1), x + 8, y - 8);
+        });
+    }
+}
@@ -0,0 +1,91 @@
+// js/pitch-shift.js
+// Pitch stage - transposes the music by whole semitones without changing its tempo,
+// using the phase vocoder worklet (see worklets/pitch-shift-processor.js)
+
+import { audioEffectsSettings } from './storage.js';
+
+const workletModules = new WeakMap();
+
+export class PitchShifter {
+    /**
+     * @param {Function} onChange - Called after the stage was switched on or off, so the owner can reconnect its graph
+     */
+    constructor(onChange) {
+        this.onChange = onChange;
+        this.context = null;
+        this.input = null;
+        this.output = null;
+        this.node = null;
+        this.wasActive = false;
+    }
+
+    /**
+     * Create the nodes on the audio context
+     */
+    init(context) {
+        this.context = context;
+        this.input = context.createGain();
+        this.output = context.createGain();
+        this.wasActive = this.isActive();
+
+        // Unshifted until the worklet has loaded
+        this.input.connect(this.output);
+        this._load();
+    }
+
+    async _load() {
+        const { context } = this;
+        if (!context.audioWorklet) {
+            console.warn('[PitchShift] AudioWorklet not supported, pitch shifting disabled');
+            return;
+        }
+
+        try {
+            if (!workletModules.has(context)) {
+                workletModules.set(
+                    context,
+                    context.audioWorklet.addModule(new URL('./worklets/pitch-shift-processor.js', import.meta.url))
+                );
+            }
+            await workletModules.get(context);
+
+            this.node = new AudioWorkletNode(context, 'pitch-shift-processor', {
+                outputChannelCount: [2],
+                channelCount: 2,
+                channelCountMode: 'explicit',
+            });
+            this.input.disconnect(this.output);
+            this.input.connect(this.node);
+            this.node.connect(this.output);
+            this._applySemitones();
+        } catch (e) {
+            console.warn('[PitchShift] Failed to load pitch shift worklet:', e);
+        }
+    }
+
+    /**
+     * Whether the pitch is changed (otherwise the stage and its latency stay out of the graph)
+     */
+    isActive() {
+        return audioEffectsSettings.getPitch() !== 0;
+    }
+
+    /**
+     * Re-read the stored pitch
+     */
+    update() {
+        if (!this.context) return;
+
+        this._applySemitones();
+        const active = this.isActive();
+        if (active !== this.wasActive) {
+            this.wasActive = active;
+            this.onChange?.();
+        }
+    }
+
+    _applySemitones() {
+        if (!this.node) return;
+        this.node.parameters.get('semitones').setValueAtTime(audioEffectsSettings.getPitch(), this.context.currentTime);
+    }
+}
@@ -15,8 +15,29 @@ import {
     trackDateSettings,
     exponentialVolumeSettings,
     audioEffectsSettings,
+    shuffleSettings,
+    autoplaySettings,
+    contentBlockingSettings,
 } from './storage.js';
 import { audioContextManager } from './audio-context.js';
+import { TrackTransitionManager, waitForEvent } from './transitions.js';
+import { ABLoopManager } from './ab-loop.js';
+import { ResumePointManager } from './resume-points.js';
+import { trackStats } from './track-stats.js';
+import { offlineManager } from './offline.js';
+import { AdaptiveQualityManager, AUTO_QUALITY } from './adaptive-quality.js';
+import { outputDeviceManager } from './output-devices.js';
+import { smartShuffle } from './smart-shuffle.js';
+import { db } from './db.js';
+
+// Autoplay seeds recommendations from this many recently played tracks
+const AUTOPLAY_SEED_COUNT = 5;
+const AUTOPLAY_BATCH_SIZE = 20;
+// Recommendations that were played within this many history entries are skipped
+const AUTOPLAY_HISTORY_WINDOW = 100;
+
+// How many queue clears / removals / replacements can be undone
+const QUEUE_UNDO_LIMIT = 20;
 
 export class Player {
     constructor(audioElement, api, quality = 'HI_RES_LOSSLESS') {
@@ -31,8 +52,13 @@ export class Player {
         this.repeatMode = REPEAT_MODE.OFF;
         this.preloadCache = new Map();
         this.preloadAbortController = null;
+        // Undo entries hold track IDs; the tracks themselves are kept once, by ID
+        this.queueUndoStack = [];
+        this.queueUndoTracks = new Map();
         this.currentTrack = null;
         this.currentRgValues = null;
+        // Object URL of the playing offline download, revoked once the element moves on
+        this.offlineObjectUrl = null;
         this.userVolume = parseFloat(localStorage.getItem('volume') || '0.7');
         this.isFallbackRetry = false;
 
@@ -52,6 +78,16 @@ export class Player {
         });
         this.dashInitialized = false;
 
+        // Gapless hand-over between queue items
+        this.transitions = new TrackTransitionManager(this);
+        this.abLoop = new ABLoopManager(this);
+        this.resumePoints = new ResumePointManager(this);
+        trackStats.attach(this);
+        offlineManager.attach(this);
+        this.adaptiveQuality = new AdaptiveQualityManager(this);
+        outputDeviceManager.attach(this);
+        this.setQuality(quality);
+
         this.loadQueueState();
         this.setupMediaSession();
 
@@ -78,12 +114,29 @@ export class Player {
     }
 
     applyReplayGain() {
+        // Apply to audio element
+        this.audio.volume = this.getEffectiveVolume(this.currentRgValues);
+
+        // Tracks without ReplayGain data are measured and normalized in the audio graph instead
+        const hasReplayGain = this.currentRgValues?.trackReplayGain !== undefined;
+        audioContextManager.dynamics.loadTrack(
+            this.currentTrack,
+            replayGainSettings.getMode() !== 'off' && !hasReplayGain
+        );
+    }
+
+    /**
+     * Element volume for the given ReplayGain values, including pre-amp, peak protection and volume curve
+     * @param {Object|null} rgValues - Values as returned by getReplayGainValues
+     * @returns {number} - Volume in the 0-1 range
+     */
+    getEffectiveVolume(rgValues) {
         const mode = replayGainSettings.getMode(); // 'off', 'track', 'album'
         let gainDb = 0;
         let peak = 1.0;
 
-        if (mode !== 'off' && this.currentRgValues) {
-            const { trackReplayGain, trackPeakAmplitude, albumReplayGain, albumPeakAmplitude } = this.currentRgValues;
+        if (mode !== 'off' && rgValues) {
+            const { trackReplayGain, trackPeakAmplitude, albumReplayGain, albumPeakAmplitude } = rgValues;
 
             if (mode === 'album' && albumReplayGain !== undefined) {
                 gainDb = albumReplayGain;
@@ -111,15 +164,37 @@ export class Player {
         // Calculate effective volume
         const effectiveVolume = curvedVolume * scale;
 
-        // Apply to audio element
-        this.audio.volume = Math.max(0, Math.min(1, effectiveVolume));
+        return Math.max(0, Math.min(1, effectiveVolume));
+    }
+
+    /**
+     * Extract ReplayGain values from a getTrack response
+     * @returns {Object|null}
+     */
+    getReplayGainValues(trackData) {
+        if (!trackData || !trackData.info) return null;
+
+        return {
+            trackReplayGain: trackData.info.trackReplayGain,
+            trackPeakAmplitude: trackData.info.trackPeakAmplitude,
+            albumReplayGain: trackData.info.albumReplayGain,
+            albumPeakAmplitude: trackData.info.albumPeakAmplitude,
+        };
     }
 
     applyAudioEffects() {
-        const speed = audioEffectsSettings.getSpeed();
+        // A slowed-down A-B loop takes over the speed while it runs, and stays in the original key
+        // whatever the preserve pitch setting
+        const loopSpeed = this.abLoop?.getSpeedOverride() ?? null;
+        const speed = loopSpeed ?? audioEffectsSettings.getSpeed();
         if (this.audio.playbackRate !== speed) {
             this.audio.playbackRate = speed;
         }
+        const preservePitch = loopSpeed !== null || audioEffectsSettings.isPreservePitch();
+        if (this.audio.preservesPitch !== preservePitch) {
+            this.audio.preservesPitch = preservePitch;
+        }
+        audioContextManager.pitchShift.update();
     }
 
     setPlaybackSpeed(speed) {
@@ -128,6 +203,19 @@ export class Player {
         this.applyAudioEffects();
     }
 
+    /**
+     * @param {number} semitones - -12 to 12, applied on top of the speed
+     */
+    setPitch(semitones) {
+        audioEffectsSettings.setPitch(semitones);
+        this.applyAudioEffects();
+    }
+
+    setPreservePitch(enabled) {
+        audioEffectsSettings.setPreservePitch(enabled);
+        this.applyAudioEffects();
+    }
+
     loadQueueState() {
         const savedState = queueManager.getQueue();
         if (savedState) {
@@ -142,6 +230,7 @@ export class Player {
             const currentQueue = this.shuffleActive ? this.shuffledQueue : this.queue;
             if (this.currentQueueIndex >= 0 && this.currentQueueIndex < currentQueue.length) {
                 this.currentTrack = currentQueue[this.currentQueueIndex];
+                this.abLoop.loadTrack(this.currentTrack);
 
                 // Restore UI
                 const track = this.currentTrack;
@@ -271,8 +360,12 @@ export class Player {
         });
     }
 
+    /**
+     * @param {string} quality - One of QUALITY_PRIORITY, or AUTO_QUALITY to follow network conditions
+     */
     setQuality(quality) {
-        this.quality = quality;
+        this.adaptiveQuality.setEnabled(quality === AUTO_QUALITY);
+        this.quality = quality === AUTO_QUALITY ? this.adaptiveQuality.getQuality() : quality;
     }
 
     async preloadNextTracks() {
@@ -314,6 +407,13 @@ export class Player {
         }
     }
 
+    releaseOfflineObjectUrl() {
+        if (this.offlineObjectUrl) {
+            URL.revokeObjectURL(this.offlineObjectUrl);
+            this.offlineObjectUrl = null;
+        }
+    }
+
     async playTrackFromQueue(startTime = 0, recursiveCount = 0) {
         const currentQueue = this.shuffleActive ? this.shuffledQueue : this.queue;
         if (this.currentQueueIndex < 0 || this.currentQueueIndex >= currentQueue.length) {
@@ -328,7 +428,6 @@ export class Player {
         }
 
         // Check if track is blocked
-        const { contentBlockingSettings } = await import('./storage.js');
         if (contentBlockingSettings.shouldHideTrack(track)) {
             console.warn(`Attempted to play blocked track: ${track.title}. Skipping...`);
             this.playNext();
@@ -338,6 +437,9 @@ export class Player {
         this.saveQueueState();
 
         this.currentTrack = track;
+        this.abLoop.loadTrack(track);
+        this.resumePoints.loadTrack(track, startTime);
+        trackStats.startSession(track, startTime);
 
         const trackTitle = getTrackTitle(track);
         const trackArtistsHTML = getTrackArtistsHTML(track);
@@ -375,12 +477,40 @@ export class Player {
         this.updateMediaSessionPlaybackState();
         this.updateNativeWindow(track);
 
+        // If the standby element is already playing this track, load it here silently and take over afterwards
+        const isHandover = this.transitions.beginHandover(track);
+
         try {
             let streamUrl;
 
             const isTracker = track.isTracker || (track.id && String(track.id).startsWith('tracker-'));
+            const offlineSource = track.isLocal ? null : await offlineManager.getOfflineSource(track.id);
+
+            // Every branch below replaces the element's source
+            this.releaseOfflineObjectUrl();
 
-            if (isTracker || (track.audioUrl && !track.isLocal)) {
+            if (offlineSource) {
+                if (this.dashInitialized) {
+                    this.dashPlayer.reset();
+                    this.dashInitialized = false;
+                }
+                streamUrl = URL.createObjectURL(offlineSource.blob);
+                this.offlineObjectUrl = streamUrl;
+
+                this.currentRgValues = offlineSource.rgValues;
+                this.applyReplayGain();
+                this.applyAudioEffects();
+
+                this.audio.src = streamUrl;
+
+                // Wait for audio to be ready before playing
+                await waitForEvent(this.audio, 'canplay');
+
+                if (startTime > 0) {
+                    this.audio.currentTime = startTime;
+                }
+                await this.audio.play();
+            } else if (isTracker || (track.audioUrl && !track.isLocal)) {
                 if (this.dashInitialized) {
                     this.dashPlayer.reset();
                     this.dashInitialized = false;
@@ -502,16 +632,7 @@ export class Player {
                     // Tidal: Get track data for ReplayGain (should be cached by API)
                     const trackData = await this.api.getTrack(track.id, this.quality);
 
-                    if (trackData && trackData.info) {
-                        this.currentRgValues = {
-                            trackReplayGain: trackData.info.trackReplayGain,
-                            trackPeakAmplitude: trackData.info.trackPeakAmplitude,
-                            albumReplayGain: trackData.info.albumReplayGain,
-                            albumPeakAmplitude: trackData.info.albumPeakAmplitude,
-                        };
-                    } else {
-                        this.currentRgValues = null;
-                    }
+                    this.currentRgValues = this.getReplayGainValues(trackData);
                     this.applyReplayGain();
 
                     if (this.preloadCache.has(track.id)) {
@@ -576,8 +697,15 @@ export class Player {
             }
 
             this.preloadNextTracks();
+
+            if (isHandover) {
+                this.transitions.completeHandover();
+            }
         } catch (error) {
             console.error(`Could not play track: ${trackTitle}`, error);
+            if (isHandover) {
+                this.transitions.cancel();
+            }
             // Skip to next track on unexpected error
             if (recursiveCount < currentQueue.length) {
                 setTimeout(() => this.playNext(recursiveCount + 1), 1000);
@@ -629,6 +757,11 @@ export class Player {
                     return this.playNext(recursiveCount + 1);
                 }
             } else {
+                if (autoplaySettings.isEnabled()) {
+                    this.appendAutoplayTracks().then((added) => {
+                        if (added) this.playNext();
+                    });
+                }
                 return;
             }
 
@@ -636,6 +769,80 @@ export class Player {
         });
     }
 
+    /**
+     * Append tracks similar to what was played recently so playback can continue
+     * @returns {Promise<boolean>} Whether any tracks were added
+     */
+    async appendAutoplayTracks() {
+        if (this.isLoadingAutoplay) return false;
+        this.isLoadingAutoplay = true;
+
+        try {
+            const history = await db.getHistory().catch(() => []);
+
+            const seeds = [];
+            const seedIds = new Set();
+            for (const track of [this.currentTrack, ...history]) {
+                if (!track || seedIds.has(track.id)) continue;
+                seedIds.add(track.id);
+                seeds.push(track);
+                if (seeds.length >= AUTOPLAY_SEED_COUNT) break;
+            }
+            if (seeds.length === 0) return false;
+
+            const excludedIds = new Set(
+                [...history.slice(0, AUTOPLAY_HISTORY_WINDOW), ...this.getCurrentQueue()].map((t) => String(t.id))
+            );
+            const pickFresh = (tracks) => {
+                const fresh = [];
+                for (const track of contentBlockingSettings.filterTracks(tracks || [])) {
+                    if (!track?.id || track.isUnavailable || excludedIds.has(String(track.id))) continue;
+                    excludedIds.add(String(track.id));
+                    fresh.push(track);
+                }
+                return fresh;
+            };
+
+            let tracks = [];
+            try {
+                tracks = pickFresh(await this.api.getRecommendedTracksForPlaylist(seeds, AUTOPLAY_BATCH_SIZE));
+            } catch (e) {
+                console.warn('[Autoplay] Recommendations failed:', e);
+            }
+
+            // Fall back to top tracks from artists similar to the most recent seed
+            if (tracks.length === 0) {
+                const seedArtist = seeds[0].artist || seeds[0].artists?.[0];
+                if (seedArtist?.id) {
+                    try {
+                        const similarArtists = (await this.api.getSimilarArtists(seedArtist.id)).slice(0, 5);
+                        const results = await Promise.all(
+                            similarArtists.map((artist) =>
+                                this.api
+                                    .getArtist(artist.id)
+                                    .then((data) => (data?.tracks || []).slice(0, 4))
+                                    .catch(() => [])
+                            )
+                        );
+                        tracks = pickFresh(results.flat()).sort(() => 0.5 - Math.random());
+                    } catch (e) {
+                        console.warn('[Autoplay] Similar artists failed:', e);
+                    }
+                }
+            }
+
+            if (tracks.length === 0) return false;
+
+            this.addToQueue(tracks.slice(0, AUTOPLAY_BATCH_SIZE).map((track) => ({ ...track, isAutoplay: true })));
+            return true;
+        } catch (e) {
+            console.warn('[Autoplay] Failed to extend queue:', e);
+            return false;
+        } finally {
+            this.isLoadingAutoplay = false;
+        }
+    }
+
     playPrev(recursiveCount = 0) {
         if (this.audio.currentTime > 3) {
             this.audio.currentTime = 0;
@@ -696,19 +903,46 @@ export class Player {
         this.updateMediaSessionPositionState();
     }
 
-    toggleShuffle() {
-        this.shuffleActive = !this.shuffleActive;
+    async toggleShuffle() {
+        const enableShuffle = !this.shuffleActive;
+
+        // Fetch history before flipping the flag so the queue is never read half-shuffled
+        let recentTrackIds = null;
+        if (enableShuffle && shuffleSettings.isSmartShuffleEnabled()) {
+            try {
+                const history = await db.getHistory();
+                recentTrackIds = history.map((entry) => entry.id);
+            } catch (e) {
+                console.warn('Failed to load history for smart shuffle:', e);
+                recentTrackIds = [];
+            }
+        }
+
+        this.shuffleActive = enableShuffle;
 
         if (this.shuffleActive) {
             this.originalQueueBeforeShuffle = [...this.queue];
             const currentTrack = this.queue[this.currentQueueIndex];
 
-            const tracksToShuffle = [...this.queue];
+            let tracksToShuffle = [...this.queue];
             if (currentTrack && this.currentQueueIndex >= 0) {
                 tracksToShuffle.splice(this.currentQueueIndex, 1);
             }
 
-            tracksToShuffle.sort(() => Math.random() - 0.5);
+            let smartShuffled = null;
+            if (recentTrackIds) {
+                try {
+                    // Current track stays pinned first, so spacing starts counting from it
+                    smartShuffled = smartShuffle(tracksToShuffle, { recentTrackIds, previousTrack: currentTrack });
+                } catch (e) {
+                    console.warn('Smart shuffle failed, falling back to a plain shuffle:', e);
+                }
+            }
+            if (smartShuffled) {
+                tracksToShuffle = smartShuffled;
+            } else {
+                tracksToShuffle.sort(() => Math.random() - 0.5);
+            }
 
             if (currentTrack) {
                 this.shuffledQueue = [currentTrack, ...tracksToShuffle];
@@ -735,6 +969,7 @@ export class Player {
     }
 
     setQueue(tracks, startIndex = 0) {
+        this.pushQueueUndo();
         this.queue = tracks;
         this.currentQueueIndex = startIndex;
         this.shuffleActive = false;
@@ -777,6 +1012,7 @@ export class Player {
     }
 
     removeFromQueue(index) {
+        this.pushQueueUndo();
         const currentQueue = this.shuffleActive ? this.shuffledQueue : this.queue;
 
         // If removing current track
@@ -805,6 +1041,7 @@ export class Player {
     }
 
     clearQueue() {
+        this.pushQueueUndo();
         if (this.currentTrack) {
             this.queue = [this.currentTrack];
 
@@ -850,6 +1087,128 @@ export class Player {
         return this.shuffleActive ? this.shuffledQueue : this.queue;
     }
 
+    getQueueSnapshot() {
+        return {
+            queue: [...this.queue],
+            shuffledQueue: [...this.shuffledQueue],
+            originalQueueBeforeShuffle: [...this.originalQueueBeforeShuffle],
+            currentQueueIndex: this.currentQueueIndex,
+            shuffleActive: this.shuffleActive,
+            position: this.audio.currentTime || 0,
+        };
+    }
+
+    // Remember the queue before a destructive change so it can be undone
+    pushQueueUndo() {
+        if (this.getCurrentQueue().length === 0) return;
+
+        const toIds = (tracks) =>
+            tracks.map((track) => {
+                this.queueUndoTracks.set(track.id, track);
+                return track.id;
+            });
+        this.queueUndoStack.push({
+            queue: toIds(this.queue),
+            shuffledQueue: toIds(this.shuffledQueue),
+            originalQueueBeforeShuffle: toIds(this.originalQueueBeforeShuffle),
+            currentQueueIndex: this.currentQueueIndex,
+            shuffleActive: this.shuffleActive,
+            position: this.audio.currentTime || 0,
+        });
+        if (this.queueUndoStack.length > QUEUE_UNDO_LIMIT) {
+            this.queueUndoStack.shift();
+            this.pruneQueueUndoTracks();
+        }
+    }
+
+    // Forget the tracks no undo entry refers to anymore
+    pruneQueueUndoTracks() {
+        const referenced = new Set();
+        this.queueUndoStack.forEach((entry) => {
+            [entry.queue, entry.shuffledQueue, entry.originalQueueBeforeShuffle].forEach((ids) =>
+                ids.forEach((id) => referenced.add(id))
+            );
+        });
+        this.queueUndoTracks.forEach((_, id) => {
+            if (!referenced.has(id)) this.queueUndoTracks.delete(id);
+        });
+    }
+
+    canUndoQueueChange() {
+        return this.queueUndoStack.length > 0;
+    }
+
+    /**
+     * Put back the queue from before the last clear, removal or replace
+     * @returns {boolean} Whether there was anything to undo
+     */
+    undoQueueChange() {
+        const entry = this.queueUndoStack.pop();
+        if (!entry) return false;
+
+        const toTracks = (ids) => ids.map((id) => this.queueUndoTracks.get(id)).filter(Boolean);
+        this.restoreQueueSnapshot({
+            ...entry,
+            queue: toTracks(entry.queue),
+            shuffledQueue: toTracks(entry.shuffledQueue),
+            originalQueueBeforeShuffle: toTracks(entry.originalQueueBeforeShuffle),
+        });
+        this.pruneQueueUndoTracks();
+        return true;
+    }
+
+    /**
+     * Replace the queue with a snapshot
+     * @param {Object} snapshot - From getQueueSnapshot()
+     * @param {boolean} resume - Always play the snapshot's current track from its saved position,
+     *                           instead of keeping the playing track if the snapshot contains it
+     */
+    restoreQueueSnapshot(snapshot, resume = false) {
+        this.queue = [...snapshot.queue];
+        this.shuffledQueue = [...(snapshot.shuffledQueue || [])];
+        this.originalQueueBeforeShuffle = [...(snapshot.originalQueueBeforeShuffle || [])];
+        this.shuffleActive = !!snapshot.shuffleActive;
+        this.preloadCache.clear();
+
+        const restoredQueue = this.getCurrentQueue();
+        const snapshotIndex = snapshot.currentQueueIndex ?? -1;
+        let playingIndex = -1;
+        if (!resume && this.currentTrack) {
+            playingIndex =
+                restoredQueue[snapshotIndex]?.id === this.currentTrack.id
+                    ? snapshotIndex
+                    : restoredQueue.findIndex((t) => t.id === this.currentTrack.id);
+        }
+
+        if (playingIndex !== -1) {
+            // The playing track is part of the restored queue, so keep it going
+            this.currentQueueIndex = playingIndex;
+            this.saveQueueState();
+            this.preloadNextTracks();
+        } else if (snapshotIndex >= 0 && snapshotIndex < restoredQueue.length) {
+            this.currentQueueIndex = snapshotIndex;
+            this.playTrackFromQueue(snapshot.position || 0, 0);
+        } else {
+            this.currentQueueIndex = -1;
+            this.saveQueueState();
+        }
+
+        document.getElementById('shuffle-btn')?.classList.toggle('active', this.shuffleActive);
+    }
+
+    async saveQueueAs(name) {
+        return db.saveQueueSnapshot(name, this.getQueueSnapshot());
+    }
+
+    async restoreSavedQueue(id) {
+        const savedQueue = await db.getSavedQueue(id);
+        if (!savedQueue) return false;
+
+        this.pushQueueUndo();
+        this.restoreQueueSnapshot(savedQueue, true);
+        return true;
+    }
+
     getNextTrack() {
         const currentQueue = this.getCurrentQueue();
         if (this.currentQueueIndex === -1 || currentQueue.length === 0) return null;
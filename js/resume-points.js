@@ -0,0 +1,212 @@
+// js/resume-points.js
+// Resume points and bookmarks - remembers where long tracks (DJ sets, live
+// recordings, mixes) were left off and keeps labelled timestamps per track
+
+import { db } from './db.js';
+import { resumeSettings } from './storage.js';
+import { formatTime, SVG_CLOSE } from './utils.js';
+
+// How often the position of a long track is written while it plays
+const SAVE_INTERVAL_MS = 10000;
+
+// Positions this close to the start or the end aren't worth resuming from
+const MIN_RESUME_SECONDS = 30;
+const END_MARGIN_SECONDS = 30;
+
+// How long the "Resume from" prompt stays up
+const PROMPT_TIMEOUT_MS = 15000;
+
+export class ResumePointManager {
+    constructor(player) {
+        this.player = player;
+        this.audio = player.audio;
+        this.track = null;
+        this.trackId = null;
+        this.resumePoint = null;
+        this.bookmarks = [];
+        // The element still holds the previous track until the new one reports its metadata
+        this.isLoaded = false;
+        this.lastSavedAt = 0;
+        this.promptEl = null;
+        this.promptTimer = null;
+        this.listeners = new Set();
+
+        this.audio.addEventListener('loadedmetadata', () => {
+            this.isLoaded = true;
+            this._renderMarkers();
+        });
+        this.audio.addEventListener('timeupdate', () => {
+            if (Date.now() - this.lastSavedAt >= SAVE_INTERVAL_MS) {
+                this.savePosition();
+            }
+        });
+        this.audio.addEventListener('pause', () => this.savePosition());
+        this.audio.addEventListener('ended', () => this.forgetResumePoint());
+        window.addEventListener('beforeunload', () => this.savePosition());
+    }
+
+    /**
+     * Subscribe to resume point and bookmark changes
+     * @returns {Function} Unsubscribe
+     */
+    onChange(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    /**
+     * Switch to a newly played track: store where the previous one stopped,
+     * then load the new one's resume point and bookmarks
+     * @param {Object} track
+     * @param {number} startTime - Position playback starts from; no resume offer when non-zero
+     */
+    async loadTrack(track, startTime = 0) {
+        this.savePosition();
+        this._hidePrompt();
+
+        const trackId = track?.id != null ? String(track.id) : null;
+        this.track = track;
+        this.trackId = trackId;
+        this.resumePoint = null;
+        this.bookmarks = [];
+        this.isLoaded = false;
+        this.lastSavedAt = 0;
+        this._renderMarkers();
+        this._notify();
+
+        if (!trackId) return;
+
+        try {
+            const [resumePoint, bookmarks] = await Promise.all([db.getResumePoint(trackId), db.getBookmarks(trackId)]);
+            if (this.trackId !== trackId) return;
+
+            this.resumePoint = resumePoint || null;
+            this.bookmarks = bookmarks;
+            this._renderMarkers();
+            this._notify();
+
+            if (this.resumePoint && !startTime && this._isLongTrack(this.resumePoint.duration)) {
+                this._showPrompt(this.resumePoint.position);
+            }
+        } catch (e) {
+            console.warn('[Resume] Failed to load resume point:', e);
+        }
+    }
+
+    savePosition() {
+        if (!this.isLoaded || !this.trackId || !this._isLongTrack()) return;
+
+        const { currentTime, duration } = this.audio;
+        this.lastSavedAt = Date.now();
+
+        if (duration - currentTime < END_MARGIN_SECONDS) {
+            if (this.resumePoint) this.forgetResumePoint();
+            return;
+        }
+        // Don't overwrite an older resume point while the track is only just starting
+        if (currentTime < MIN_RESUME_SECONDS) return;
+
+        this.resumePoint = { trackId: this.trackId, position: currentTime, duration, updatedAt: Date.now() };
+        db.saveResumePoint(this.trackId, currentTime, duration).catch((e) => {
+            console.warn('[Resume] Failed to save resume point:', e);
+        });
+    }
+
+    resume() {
+        if (!this.resumePoint) return;
+
+        const position = this.resumePoint.position;
+        if (this.audio.readyState >= 1) {
+            this.audio.currentTime = position;
+        } else {
+            this.audio.addEventListener('loadedmetadata', () => (this.audio.currentTime = position), { once: true });
+        }
+        this._hidePrompt();
+    }
+
+    forgetResumePoint() {
+        if (!this.trackId) return;
+
+        this.resumePoint = null;
+        this._hidePrompt();
+        db.clearResumePoint(this.trackId).catch((e) => {
+            console.warn('[Resume] Failed to clear resume point:', e);
+        });
+        this._notify();
+    }
+
+    async addBookmark(label, time = this.audio.currentTime) {
+        if (!this.trackId) return null;
+
+        const bookmark = await db.addBookmark(this.trackId, time, label?.trim() || `Bookmark at ${formatTime(time)}`);
+        this.bookmarks = [...this.bookmarks, bookmark].sort((a, b) => a.time - b.time);
+        this._renderMarkers();
+        this._notify();
+        return bookmark;
+    }
+
+    async deleteBookmark(id) {
+        await db.deleteBookmark(id);
+        this.bookmarks = this.bookmarks.filter((bookmark) => bookmark.id !== id);
+        this._renderMarkers();
+        this._notify();
+    }
+
+    seekTo(bookmark) {
+        this.audio.currentTime = bookmark.time;
+    }
+
+    _getDuration() {
+        return isFinite(this.audio.duration) && this.isLoaded ? this.audio.duration : this.track?.duration || 0;
+    }
+
+    _isLongTrack(duration = this._getDuration()) {
+        const thresholdMinutes = resumeSettings.getThresholdMinutes();
+        return thresholdMinutes > 0 && duration >= thresholdMinutes * 60;
+    }
+
+    _showPrompt(position) {
+        this._hidePrompt();
+
+        const prompt = document.createElement('div');
+        prompt.className = 'resume-prompt';
+        prompt.innerHTML = `
+            <button class="btn-primary resume-prompt-btn">Resume from ${formatTime(position)}</button>
+            <button class="btn-icon resume-prompt-close" title="Start from the beginning">${SVG_CLOSE}</button>
+        `;
+        prompt.querySelector('.resume-prompt-btn').addEventListener('click', () => this.resume());
+        prompt.querySelector('.resume-prompt-close').addEventListener('click', () => this._hidePrompt());
+
+        document.body.appendChild(prompt);
+        this.promptEl = prompt;
+        this.promptTimer = setTimeout(() => this._hidePrompt(), PROMPT_TIMEOUT_MS);
+    }
+
+    _hidePrompt() {
+        clearTimeout(this.promptTimer);
+        this.promptTimer = null;
+        this.promptEl?.remove();
+        this.promptEl = null;
+    }
+
+    _renderMarkers() {
+        const layer = document.getElementById('progress-markers');
+        if (!layer) return;
+
+        layer.querySelectorAll('.bookmark-marker').forEach((marker) => marker.remove());
+
+        const duration = this._getDuration();
+        if (!duration) return;
+
+        this.bookmarks.forEach((bookmark) => {
+            const marker = document.createElement('div');
+            marker.className = 'bookmark-marker';
+            marker.style.left = `${Math.min(100, (bookmark.time / duration) * 100)}%`;
+            layer.appendChild(marker);
+        });
+    }
+
+    _notify() {
+        this.listeners.forEach((callback) => callback(this));
+    }
+}
@@ -27,14 +27,48 @@ import {
     monoAudioSettings,
     exponentialVolumeSettings,
     audioEffectsSettings,
+    dynamicsSettings,
+    stereoSettings,
+    gaplessSettings,
+    crossfadeSettings,
+    shuffleSettings,
+    autoplaySettings,
+    resumeSettings,
+    offlineSettings,
     settingsUiState,
     pwaUpdateSettings,
     contentBlockingSettings,
     musicProviderSettings,
 } from './storage.js';
-import { audioContextManager, EQ_PRESETS } from './audio-context.js';
-import { getButterchurnPresets } from './visualizers/butterchurn.js';
+import { audioContextManager, EQ_PRESETS, EQ_MAX_BANDS, USER_PRESET_PREFIX } from './audio-context.js';
+import { ParametricEQEditor } from './parametric-eq.js';
+import { EFFECT_DEFINITIONS } from './effects.js';
+import { parseEqualizerAPO } from './eq-import.js';
+import {
+    getButterchurnPresets,
+    importButterchurnPresets,
+    getButterchurnFavoritesPack,
+    isImportedButterchurnPreset,
+    removeImportedButterchurnPreset,
+    getUnloadedButterchurnImports,
+    loadStoredButterchurnPresets,
+} from './visualizers/butterchurn.js';
+import { parseButterchurnPresetFile } from './milk-import.js';
+import { waveformGenerator } from './waveform.js';
+import { SPECTROGRAM_COLOR_MAPS } from './visualizers/spectrogram.js';
+import {
+    getRegisteredPresets,
+    loadUserPresetFile,
+    removeUserPreset,
+    loadStoredUserPresets,
+    getStoredUserPresets,
+    USER_VISUALIZER_PREFIX,
+} from './visualizer-presets.js';
 import { db } from './db.js';
+import { offlineManager } from './offline.js';
+import { outputDeviceManager } from './output-devices.js';
+import { formatBytes, SVG_BIN } from './utils.js';
+import { showNotification } from './downloads.js';
 import { authManager } from './accounts/auth.js';
 import { syncManager } from './accounts/pocketbase.js';
 import { saveFirebaseConfig, clearFirebaseConfig } from './accounts/config.js';
@@ -770,6 +804,75 @@ export function initializeSettings(scrobbler, player, api, ui) {
         });
     }
 
+    // Gapless Playback Toggle
+    const gaplessPlaybackToggle = document.getElementById('gapless-playback-toggle');
+    if (gaplessPlaybackToggle) {
+        gaplessPlaybackToggle.checked = gaplessSettings.isEnabled();
+        gaplessPlaybackToggle.addEventListener('change', (e) => {
+            gaplessSettings.setEnabled(e.target.checked);
+            if (!e.target.checked) {
+                player.transitions.cancel();
+            }
+        });
+    }
+
+    // Crossfade Settings
+    const crossfadeSlider = document.getElementById('crossfade-duration-slider');
+    const crossfadeValue = document.getElementById('crossfade-duration-value');
+    const crossfadeCurveSetting = document.getElementById('crossfade-curve-setting');
+    const crossfadeCurveSelect = document.getElementById('crossfade-curve-select');
+
+    const updateCrossfadeDisplay = (seconds) => {
+        if (crossfadeValue) crossfadeValue.textContent = seconds > 0 ? `${seconds}s` : 'Off';
+        if (crossfadeCurveSetting) crossfadeCurveSetting.style.display = seconds > 0 ? '' : 'none';
+    };
+
+    if (crossfadeSlider) {
+        const currentDuration = crossfadeSettings.getDuration();
+        crossfadeSlider.value = currentDuration;
+        updateCrossfadeDisplay(currentDuration);
+
+        crossfadeSlider.addEventListener('input', (e) => {
+            const seconds = parseFloat(e.target.value) || 0;
+            crossfadeSettings.setDuration(seconds);
+            updateCrossfadeDisplay(seconds);
+        });
+    }
+
+    if (crossfadeCurveSelect) {
+        crossfadeCurveSelect.value = crossfadeSettings.getCurve();
+        crossfadeCurveSelect.addEventListener('change', (e) => {
+            crossfadeSettings.setCurve(e.target.value);
+        });
+    }
+
+    // Smart Shuffle Toggle
+    const smartShuffleToggle = document.getElementById('smart-shuffle-toggle');
+    if (smartShuffleToggle) {
+        smartShuffleToggle.checked = shuffleSettings.isSmartShuffleEnabled();
+        smartShuffleToggle.addEventListener('change', (e) => {
+            shuffleSettings.setSmartShuffleEnabled(e.target.checked);
+        });
+    }
+
+    // Autoplay Toggle
+    const autoplayToggle = document.getElementById('autoplay-toggle');
+    if (autoplayToggle) {
+        autoplayToggle.checked = autoplaySettings.isEnabled();
+        autoplayToggle.addEventListener('change', (e) => {
+            autoplaySettings.setEnabled(e.target.checked);
+        });
+    }
+
+    // Resume Position Threshold
+    const resumeThresholdSelect = document.getElementById('resume-threshold-select');
+    if (resumeThresholdSelect) {
+        resumeThresholdSelect.value = String(resumeSettings.getThresholdMinutes());
+        resumeThresholdSelect.addEventListener('change', (e) => {
+            resumeSettings.setThresholdMinutes(parseInt(e.target.value, 10));
+        });
+    }
+
     // ReplayGain Settings
     const replayGainMode = document.getElementById('replay-gain-mode');
     if (replayGainMode) {
@@ -789,6 +892,42 @@ export function initializeSettings(scrobbler, player, api, ui) {
         });
     }
 
+    // Output Device
+    const outputDeviceSelect = document.getElementById('output-device-select');
+    const outputDeviceNamesBtn = document.getElementById('output-device-names-btn');
+    if (outputDeviceSelect) {
+        if (!outputDeviceManager.isSupported()) {
+            document.getElementById('output-device-setting').style.display = 'none';
+        }
+
+        const renderOutputDevices = () => {
+            outputDeviceSelect.innerHTML = outputDeviceManager
+                .getDevices()
+                .map((device) => `<option value="${escapeHtml(device.deviceId)}">${escapeHtml(device.label)}</option>`)
+                .join('');
+            outputDeviceSelect.value = outputDeviceManager.getDeviceId();
+            // The remembered device is unplugged right now
+            if (outputDeviceSelect.value !== outputDeviceManager.getDeviceId()) {
+                outputDeviceSelect.value = '';
+            }
+            if (outputDeviceNamesBtn) {
+                outputDeviceNamesBtn.style.display = outputDeviceManager.needsPermissionForLabels() ? '' : 'none';
+            }
+        };
+
+        outputDeviceSelect.addEventListener('change', (e) => {
+            outputDeviceManager.selectDevice(e.target.value);
+        });
+        outputDeviceNamesBtn?.addEventListener('click', () => outputDeviceManager.requestLabels());
+
+        // Switching devices swaps the profile, so the pre-amp field follows too
+        window.addEventListener('output-device-changed', () => {
+            renderOutputDevices();
+            if (replayGainPreamp) replayGainPreamp.value = replayGainSettings.getPreamp();
+        });
+        renderOutputDevices();
+    }
+
     // Mono Audio Toggle
     const monoAudioToggle = document.getElementById('mono-audio-toggle');
     if (monoAudioToggle) {
@@ -800,6 +939,88 @@ export function initializeSettings(scrobbler, player, api, ui) {
         });
     }
 
+    // Stereo (balance, width, crossfeed)
+    const balanceSlider = document.getElementById('stereo-balance-slider');
+    const balanceValue = document.getElementById('stereo-balance-value');
+    if (balanceSlider) {
+        const formatBalance = (value) => (value === 0 ? 'Center' : `${Math.abs(value)}% ${value < 0 ? 'L' : 'R'}`);
+        balanceSlider.value = stereoSettings.getBalance();
+        if (balanceValue) balanceValue.textContent = formatBalance(stereoSettings.getBalance());
+        balanceSlider.addEventListener('input', (e) => {
+            const value = parseInt(e.target.value, 10);
+            audioContextManager.stereo.setBalance(value);
+            if (balanceValue) balanceValue.textContent = formatBalance(value);
+        });
+        // Double-click to re-center
+        balanceSlider.addEventListener('dblclick', () => {
+            balanceSlider.value = 0;
+            balanceSlider.dispatchEvent(new Event('input'));
+        });
+    }
+
+    const widthSlider = document.getElementById('stereo-width-slider');
+    const widthValue = document.getElementById('stereo-width-value');
+    if (widthSlider) {
+        widthSlider.value = stereoSettings.getWidth();
+        if (widthValue) widthValue.textContent = `${stereoSettings.getWidth()}%`;
+        widthSlider.addEventListener('input', (e) => {
+            audioContextManager.stereo.setWidth(e.target.value);
+            if (widthValue) widthValue.textContent = `${e.target.value}%`;
+        });
+    }
+
+    const crossfeedSelect = document.getElementById('stereo-crossfeed-select');
+    if (crossfeedSelect) {
+        crossfeedSelect.value = stereoSettings.getCrossfeed();
+        crossfeedSelect.addEventListener('change', (e) => {
+            audioContextManager.stereo.setCrossfeed(e.target.value);
+        });
+    }
+
+    // Dynamics (loudness normalization, compressor, limiter)
+    const dynamicsToggles = [
+        ['loudness-normalization-toggle', 'isNormalizationEnabled', 'setNormalizationEnabled'],
+        ['compressor-toggle', 'isCompressorEnabled', 'setCompressorEnabled'],
+        ['limiter-toggle', 'isLimiterEnabled', 'setLimiterEnabled'],
+    ];
+    const dynamicsInputs = [
+        ['loudness-normalization-target', 'getTarget', 'setTarget', 'loudness-normalization-toggle'],
+        ['compressor-threshold', 'getThreshold', 'setThreshold', 'compressor-toggle'],
+        ['compressor-ratio', 'getRatio', 'setRatio', 'compressor-toggle'],
+        ['limiter-ceiling', 'getCeiling', 'setCeiling', 'limiter-toggle'],
+    ];
+
+    const updateDynamicsVisibility = () => {
+        dynamicsInputs.forEach(([id, , , toggleId]) => {
+            const item = document.getElementById(id)?.closest('.setting-item');
+            if (item) item.style.display = document.getElementById(toggleId)?.checked ? '' : 'none';
+        });
+    };
+
+    dynamicsToggles.forEach(([id, getter, setter]) => {
+        const toggle = document.getElementById(id);
+        if (!toggle) return;
+        toggle.checked = dynamicsSettings[getter]();
+        toggle.addEventListener('change', (e) => {
+            dynamicsSettings[setter](e.target.checked);
+            audioContextManager.dynamics.updateRouting();
+            updateDynamicsVisibility();
+        });
+    });
+
+    dynamicsInputs.forEach(([id, getter, setter]) => {
+        const input = document.getElementById(id);
+        if (!input) return;
+        input.value = dynamicsSettings[getter]();
+        input.addEventListener('change', (e) => {
+            dynamicsSettings[setter](e.target.value);
+            e.target.value = dynamicsSettings[getter]();
+            audioContextManager.dynamics.updateParameters();
+        });
+    });
+
+    updateDynamicsVisibility();
+
     // Exponential Volume Toggle
     const exponentialVolumeToggle = document.getElementById('exponential-volume-toggle');
     if (exponentialVolumeToggle) {
@@ -812,7 +1033,7 @@ export function initializeSettings(scrobbler, player, api, ui) {
     }
 
     // ========================================
-    // Audio Effects (Playback Speed)
+    // Audio Effects (Playback Speed and Pitch)
     // ========================================
     const playbackSpeedSlider = document.getElementById('playback-speed-slider');
     const playbackSpeedInput = document.getElementById('playback-speed-input');
@@ -845,8 +1066,34 @@ export function initializeSettings(scrobbler, player, api, ui) {
         playbackSpeedInput.addEventListener('blur', handleInputChange);
     }
 
+    const preservePitchToggle = document.getElementById('preserve-pitch-toggle');
+    if (preservePitchToggle) {
+        preservePitchToggle.checked = audioEffectsSettings.isPreservePitch();
+        preservePitchToggle.addEventListener('change', (e) => {
+            player.setPreservePitch(e.target.checked);
+        });
+    }
+
+    const pitchSlider = document.getElementById('pitch-shift-slider');
+    const pitchValue = document.getElementById('pitch-shift-value');
+    if (pitchSlider) {
+        const formatPitch = (value) => `${value > 0 ? '+' : ''}${value} st`;
+        pitchSlider.value = audioEffectsSettings.getPitch();
+        if (pitchValue) pitchValue.textContent = formatPitch(audioEffectsSettings.getPitch());
+        pitchSlider.addEventListener('input', (e) => {
+            const value = parseInt(e.target.value, 10);
+            player.setPitch(value);
+            if (pitchValue) pitchValue.textContent = formatPitch(value);
+        });
+        // Double-click to go back to the original key
+        pitchSlider.addEventListener('dblclick', () => {
+            pitchSlider.value = 0;
+            pitchSlider.dispatchEvent(new Event('input'));
+        });
+    }
+
     // ========================================
-    // 16-Band Equalizer Settings
+    // Equalizer Settings (16-band graphic / parametric)
     // ========================================
     const eqToggle = document.getElementById('equalizer-enabled-toggle');
     const eqContainer = document.getElementById('equalizer-container');
@@ -908,26 +1155,279 @@ export function initializeSettings(scrobbler, player, api, ui) {
         });
     }
 
+    // Initialize parametric editor and mode selector
+    const eqModeSelect = document.getElementById('equalizer-mode-select');
+    const eqPreampInput = document.getElementById('equalizer-preamp-input');
+    const eqUserPresetsGroup = document.getElementById('equalizer-user-presets');
+    const parametricCanvas = document.getElementById('parametric-eq-canvas');
+    const parametricEditor = parametricCanvas
+        ? new ParametricEQEditor({
+              canvas: parametricCanvas,
+              list: document.getElementById('parametric-eq-bands'),
+              addButton: document.getElementById('parametric-eq-add-btn'),
+          })
+        : null;
+
+    const updateEQModeUI = (mode) => {
+        eqContainer?.classList.toggle('parametric', mode === 'parametric');
+        if (mode === 'parametric') parametricEditor?.render();
+    };
+
+    /**
+     * Bring every EQ control in line with the audio context (after a preset changed mode, bands and preamp)
+     */
+    const syncEQUI = () => {
+        const mode = audioContextManager.getEQMode();
+        if (eqModeSelect) eqModeSelect.value = mode;
+        if (eqPreampInput) eqPreampInput.value = audioContextManager.getPreamp();
+        updateAllBandUI(audioContextManager.getGains());
+        updateEQModeUI(mode);
+    };
+
+    const renderUserPresetOptions = () => {
+        if (!eqUserPresetsGroup) return;
+
+        const presets = equalizerSettings.getUserPresets();
+        eqUserPresetsGroup.innerHTML = presets
+            .map((preset) => `<option value="${USER_PRESET_PREFIX}${preset.id}">${escapeHtml(preset.name)}</option>`)
+            .join('');
+        eqUserPresetsGroup.style.display = presets.length > 0 ? '' : 'none';
+    };
+
+    if (eqModeSelect) {
+        eqModeSelect.value = audioContextManager.getEQMode();
+        updateEQModeUI(eqModeSelect.value);
+
+        eqModeSelect.addEventListener('change', (e) => {
+            audioContextManager.setEQMode(e.target.value);
+            updateEQModeUI(e.target.value);
+        });
+    }
+
+    if (eqPreampInput) {
+        eqPreampInput.value = audioContextManager.getPreamp();
+        eqPreampInput.addEventListener('change', (e) => {
+            audioContextManager.setPreamp(parseFloat(e.target.value));
+            e.target.value = audioContextManager.getPreamp();
+        });
+    }
+
     // Initialize preset selector
     if (eqPresetSelect) {
+        renderUserPresetOptions();
         eqPresetSelect.value = equalizerSettings.getPreset();
 
         eqPresetSelect.addEventListener('change', (e) => {
-            const presetKey = e.target.value;
-            const preset = EQ_PRESETS[presetKey];
+            audioContextManager.applyPreset(e.target.value);
+            syncEQUI();
+        });
+    }
+
+    // Import AutoEQ ParametricEQ.txt / Equalizer APO config as a user preset
+    const eqImportBtn = document.getElementById('equalizer-import-btn');
+    const eqImportInput = document.getElementById('equalizer-import-input');
+    if (eqImportBtn && eqImportInput) {
+        eqImportBtn.addEventListener('click', () => eqImportInput.click());
+
+        eqImportInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+
+            try {
+                const { preamp, bands, skipped } = parseEqualizerAPO(await file.text());
+                const name = prompt('Name for this preset:', file.name.replace(/\.[^.]+$/, ''));
+                if (name === null) return;
+
+                const preset = equalizerSettings.addUserPreset({
+                    name: name.trim() || file.name,
+                    mode: 'parametric',
+                    bands: bands.slice(0, EQ_MAX_BANDS),
+                    preamp,
+                });
+                audioContextManager.applyUserPreset(preset.id);
 
-            if (preset) {
-                audioContextManager.applyPreset(presetKey);
-                updateAllBandUI(preset.gains);
+                renderUserPresetOptions();
+                if (eqPresetSelect) eqPresetSelect.value = `${USER_PRESET_PREFIX}${preset.id}`;
+                syncEQUI();
+
+                const ignored = skipped + Math.max(0, bands.length - EQ_MAX_BANDS);
+                if (ignored > 0) {
+                    alert(`Imported ${preset.name}. ${ignored} unsupported filter(s) were left out.`);
+                }
+            } catch (error) {
+                console.warn('[EQ] Failed to import profile:', error);
+                alert(`Could not import ${file.name}: ${error.message}`);
             }
         });
     }
 
+    // Save, rename, delete, export and import user presets
+    const downloadPresetsFile = (presets, filename) => {
+        const data = { type: 'steqmusic-eq-presets', version: 1, presets };
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(url);
+    };
+
+    const selectPreset = (presetKey) => {
+        renderUserPresetOptions();
+        if (eqPresetSelect) eqPresetSelect.value = presetKey;
+    };
+
+    document.getElementById('equalizer-save-preset-btn')?.addEventListener('click', () => {
+        const name = prompt('Preset name:', `My EQ ${equalizerSettings.getUserPresets().length + 1}`);
+        if (!name?.trim()) return;
+
+        const preset = audioContextManager.saveUserPreset(name.trim());
+        syncManager.syncEqPreset(preset, 'create');
+        selectPreset(`${USER_PRESET_PREFIX}${preset.id}`);
+    });
+
+    const eqPresetsImportInput = document.getElementById('equalizer-presets-import-input');
+    eqPresetsImportInput?.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        try {
+            const data = JSON.parse(await file.text());
+            const presets = Array.isArray(data) ? data : data.presets || [data];
+            const count = equalizerSettings.mergeUserPresets(presets);
+            if (count === 0) {
+                alert('No EQ presets found in this file.');
+                return;
+            }
+
+            presets.forEach((preset) => {
+                const saved = equalizerSettings.getUserPreset(preset.id);
+                if (saved) syncManager.syncEqPreset(saved, 'update');
+            });
+            renderUserPresetOptions();
+            document.querySelector('.eq-presets-modal')?.remove();
+            alert(`Imported ${count} preset${count === 1 ? '' : 's'}.`);
+        } catch (error) {
+            console.warn('[EQ] Failed to import presets:', error);
+            alert('Failed to import presets. Please check the file format.');
+        }
+    });
+
+    const openPresetsModal = () => {
+        const presets = equalizerSettings.getUserPresets();
+
+        const modal = document.createElement('div');
+        modal.className = 'modal active eq-presets-modal';
+        modal.innerHTML = `
+            <div class="modal-overlay"></div>
+            <div class="modal-content">
+                <h3>My EQ Presets</h3>
+                <div class="modal-list">
+                    ${
+                        presets.length === 0
+                            ? '<p class="eq-preset-meta">No presets yet. Save the current EQ or import a file.</p>'
+                            : presets
+                                  .map(
+                                      (preset) => `
+                        <div class="modal-option eq-preset-option" data-id="${preset.id}">
+                            <div class="eq-preset-info">
+                                <span class="eq-preset-name">${escapeHtml(preset.name)}</span>
+                                <span class="eq-preset-meta">${
+                                    preset.mode === 'parametric'
+                                        ? `Parametric · ${preset.bands?.length || 0} bands`
+                                        : 'Graphic · 16 bands'
+                                }${preset.preamp ? ` · preamp ${preset.preamp} dB` : ''}</span>
+                            </div>
+                            <button class="btn-secondary rename-eq-preset-btn">Rename</button>
+                            <button class="btn-secondary export-eq-preset-btn">Export</button>
+                            <button class="btn-icon delete-eq-preset-btn" title="Delete preset">${SVG_BIN}</button>
+                        </div>
+                    `
+                                  )
+                                  .join('')
+                    }
+                </div>
+                <div class="modal-actions">
+                    <button class="btn-secondary import-eq-presets-btn">Import</button>
+                    <button class="btn-secondary export-eq-presets-btn" ${presets.length === 0 ? 'disabled' : ''}>Export All</button>
+                    <button class="btn-secondary cancel-btn">Close</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        modal.addEventListener('click', (e) => {
+            if (e.target.classList.contains('modal-overlay') || e.target.classList.contains('cancel-btn')) {
+                modal.remove();
+                return;
+            }
+            if (e.target.closest('.import-eq-presets-btn')) {
+                eqPresetsImportInput?.click();
+                return;
+            }
+            if (e.target.closest('.export-eq-presets-btn')) {
+                downloadPresetsFile(equalizerSettings.getUserPresets(), 'steqmusic-eq-presets.json');
+                return;
+            }
+
+            const option = e.target.closest('.eq-preset-option');
+            if (!option) return;
+            const preset = equalizerSettings.getUserPreset(option.dataset.id);
+            if (!preset) return;
+
+            if (e.target.closest('.rename-eq-preset-btn')) {
+                const name = prompt('Preset name:', preset.name);
+                if (!name?.trim()) return;
+
+                const updated = equalizerSettings.updateUserPreset(preset.id, { name: name.trim() });
+                syncManager.syncEqPreset(updated, 'update');
+                option.querySelector('.eq-preset-name').textContent = updated.name;
+                selectPreset(equalizerSettings.getPreset());
+            } else if (e.target.closest('.export-eq-preset-btn')) {
+                const filename = `${preset.name.replace(/[^\w\- ]+/g, '').trim() || 'eq-preset'}.json`;
+                downloadPresetsFile([preset], filename);
+            } else if (e.target.closest('.delete-eq-preset-btn')) {
+                if (!confirm(`Delete preset "${preset.name}"?`)) return;
+
+                equalizerSettings.deleteUserPreset(preset.id);
+                syncManager.syncEqPreset(preset, 'delete');
+                option.remove();
+                selectPreset(equalizerSettings.getPreset());
+            }
+        });
+    };
+
+    document.getElementById('equalizer-manage-presets-btn')?.addEventListener('click', openPresetsModal);
+
+    // A device profile brings its own EQ
+    window.addEventListener('output-device-changed', () => {
+        if (eqToggle) {
+            eqToggle.checked = equalizerSettings.isEnabled();
+            updateEQContainerVisibility(eqToggle.checked);
+        }
+        selectPreset(equalizerSettings.getPreset());
+        syncEQUI();
+    });
+
+    // Presets pulled in by cloud sync
+    window.addEventListener('eq-presets-changed', () => selectPreset(equalizerSettings.getPreset()));
+
     // Initialize reset button
     if (eqResetBtn) {
         eqResetBtn.addEventListener('click', () => {
+            if (audioContextManager.getEQMode() === 'parametric') {
+                audioContextManager.setParametricBands(equalizerSettings.DEFAULT_PARAMETRIC_BANDS);
+                audioContextManager.setPreamp(0);
+                syncEQUI();
+                return;
+            }
+
             audioContextManager.reset();
-            updateAllBandUI(new Array(16).fill(0));
+            syncEQUI();
             if (eqPresetSelect) {
                 eqPresetSelect.value = 'flat';
             }
@@ -1047,6 +1547,10 @@ export function initializeSettings(scrobbler, player, api, ui) {
     }
 
     // Waveform Toggle
+    const updateWaveformStereoVisibility = () => {
+        const item = document.getElementById('waveform-stereo-setting');
+        if (item) item.style.display = waveformSettings.isEnabled() ? '' : 'none';
+    };
     const waveformToggle = document.getElementById('waveform-toggle');
     if (waveformToggle) {
         waveformToggle.checked = waveformSettings.isEnabled();
@@ -1054,9 +1558,22 @@ export function initializeSettings(scrobbler, player, api, ui) {
             waveformSettings.setEnabled(e.target.checked);
 
             window.dispatchEvent(new CustomEvent('waveform-toggle', { detail: { enabled: e.target.checked } }));
+            updateWaveformStereoVisibility();
         });
     }
 
+    const waveformStereoToggle = document.getElementById('waveform-stereo-toggle');
+    if (waveformStereoToggle) {
+        waveformStereoToggle.checked = waveformSettings.isStereo();
+        waveformStereoToggle.addEventListener('change', (e) => {
+            waveformSettings.setStereo(e.target.checked);
+            window.dispatchEvent(
+                new CustomEvent('waveform-toggle', { detail: { enabled: waveformSettings.isEnabled() } })
+            );
+        });
+    }
+    updateWaveformStereoVisibility();
+
     // Smooth Scrolling Toggle
     const smoothScrollingToggle = document.getElementById('smooth-scrolling-toggle');
     if (smoothScrollingToggle) {
@@ -1111,6 +1628,12 @@ export function initializeSettings(scrobbler, player, api, ui) {
     const visualizerSensitivitySetting = document.getElementById('visualizer-sensitivity-setting');
     const visualizerPresetSetting = document.getElementById('visualizer-preset-setting');
     const visualizerPresetSelect = document.getElementById('visualizer-preset-select');
+    const visualizerCustomPresetSetting = document.getElementById('visualizer-custom-preset-setting');
+    const visualizerPresetLoadBtn = document.getElementById('visualizer-preset-load-btn');
+    const visualizerPresetLoadInput = document.getElementById('visualizer-preset-load-input');
+    const visualizerPresetRemoveBtn = document.getElementById('visualizer-preset-remove-btn');
+    const visualizerPresetEnableBtn = document.getElementById('visualizer-preset-enable-btn');
+    const visualizerCustomPresetStatus = document.getElementById('visualizer-custom-preset-status');
 
     // Butterchurn Settings Elements
     const butterchurnCycleSetting = document.getElementById('butterchurn-cycle-setting');
@@ -1121,6 +1644,25 @@ export function initializeSettings(scrobbler, player, api, ui) {
     const butterchurnCycleToggle = document.getElementById('butterchurn-cycle-toggle');
     const butterchurnDurationInput = document.getElementById('butterchurn-duration-input');
     const butterchurnRandomizeToggle = document.getElementById('butterchurn-randomize-toggle');
+    const butterchurnFavoritesOnlySetting = document.getElementById('butterchurn-favorites-only-setting');
+    const butterchurnFavoritesOnlyToggle = document.getElementById('butterchurn-favorites-only-toggle');
+    const butterchurnLibrarySetting = document.getElementById('butterchurn-library-setting');
+    const butterchurnPresetSearch = document.getElementById('butterchurn-preset-search');
+    const butterchurnFavoriteBtn = document.getElementById('butterchurn-favorite-btn');
+    const butterchurnBlacklistBtn = document.getElementById('butterchurn-blacklist-btn');
+    const butterchurnRemoveBtn = document.getElementById('butterchurn-remove-btn');
+
+    // Spectrogram Settings Elements
+    const spectrogramColorMapSetting = document.getElementById('spectrogram-colormap-setting');
+    const spectrogramColorMapSelect = document.getElementById('spectrogram-colormap-select');
+
+    const updateSpectrogramSettingsVisibility = () => {
+        const isEnabled = visualizerEnabledToggle ? visualizerEnabledToggle.checked : false;
+        const isSpectrogram = visualizerPresetSelect ? visualizerPresetSelect.value === 'spectrogram' : false;
+        if (spectrogramColorMapSetting) {
+            spectrogramColorMapSetting.style.display = isEnabled && isSpectrogram ? 'flex' : 'none';
+        }
+    };
 
     const updateButterchurnSettingsVisibility = () => {
         const isEnabled = visualizerEnabledToggle ? visualizerEnabledToggle.checked : false;
@@ -1137,40 +1679,71 @@ export function initializeSettings(scrobbler, player, api, ui) {
         if (butterchurnDurationSetting) butterchurnDurationSetting.style.display = showSubSettings ? 'flex' : 'none';
         if (butterchurnRandomizeSetting) butterchurnRandomizeSetting.style.display = showSubSettings ? 'flex' : 'none';
 
-        // Populate preset list using module-level cache (works even before visualizer initializes)
-        const { keys: presetNames } = getButterchurnPresets();
-        const select = butterchurnSpecificPresetSelect;
+        if (butterchurnFavoritesOnlySetting) {
+            butterchurnFavoritesOnlySetting.style.display = showSubSettings ? 'flex' : 'none';
+        }
+        if (butterchurnLibrarySetting) butterchurnLibrarySetting.style.display = show ? 'flex' : 'none';
 
-        if (select && presetNames.length > 0) {
-            const currentNames = Array.from(select.options).map((opt) => opt.value);
-            // Check if dropdown only has "Loading..." or needs full update
-            const hasOnlyLoadingOption = currentNames.length === 1 && currentNames[0] === '';
-            const needsUpdate =
-                hasOnlyLoadingOption ||
-                currentNames.length !== presetNames.length ||
-                !presetNames.every((name) => currentNames.includes(name));
-
-            if (needsUpdate) {
-                // Save current selection
-                const currentSelection = select.value;
-
-                // Clear and rebuild dropdown
-                select.innerHTML = '';
-                presetNames.forEach((name) => {
-                    const option = document.createElement('option');
-                    option.value = name;
-                    option.textContent = name;
-                    select.appendChild(option);
-                });
+        renderButterchurnPresetOptions();
+    };
 
-                // Restore selection if it still exists
-                if (presetNames.includes(currentSelection)) {
-                    select.value = currentSelection;
-                } else {
-                    select.selectedIndex = 0;
-                }
-            }
+    const updateButterchurnPresetButtons = () => {
+        const name = butterchurnSpecificPresetSelect?.value;
+        const isFavorite = !!name && visualizerSettings.getButterchurnFavorites().includes(name);
+        const isBlacklisted = !!name && visualizerSettings.getButterchurnBlacklist().includes(name);
+
+        if (butterchurnFavoriteBtn) {
+            butterchurnFavoriteBtn.disabled = !name;
+            butterchurnFavoriteBtn.textContent = isFavorite ? 'Unfavorite' : 'Favorite';
         }
+        if (butterchurnBlacklistBtn) {
+            butterchurnBlacklistBtn.disabled = !name;
+            butterchurnBlacklistBtn.textContent = isBlacklisted ? 'Allow' : 'Blacklist';
+        }
+        if (butterchurnRemoveBtn) {
+            butterchurnRemoveBtn.disabled = !name || !isImportedButterchurnPreset(name);
+        }
+    };
+
+    // Populate preset list using module-level cache (works even before visualizer initializes)
+    const renderButterchurnPresetOptions = () => {
+        const { keys: presetNames } = getButterchurnPresets();
+        const select = butterchurnSpecificPresetSelect;
+        if (!select || presetNames.length === 0) return;
+
+        const query = butterchurnPresetSearch?.value.trim().toLowerCase() || '';
+        const favorites = new Set(visualizerSettings.getButterchurnFavorites());
+        const blacklist = new Set(visualizerSettings.getButterchurnBlacklist());
+        const matches = presetNames.filter((name) => name.toLowerCase().includes(query));
+
+        // Save current selection
+        const currentSelection = select.value;
+
+        // Clear and rebuild dropdown
+        select.innerHTML = '';
+        matches.forEach((name) => {
+            const option = document.createElement('option');
+            option.value = name;
+            let label = name;
+            if (favorites.has(name)) label = `★ ${label}`;
+            if (blacklist.has(name)) label = `⊘ ${label}`;
+            if (isImportedButterchurnPreset(name)) label += ' (imported)';
+            option.textContent = label;
+            select.appendChild(option);
+        });
+
+        if (matches.length === 0) {
+            const option = document.createElement('option');
+            option.value = '';
+            option.textContent = 'No matching presets';
+            select.appendChild(option);
+        } else if (matches.includes(currentSelection)) {
+            // Restore selection if it still exists
+            select.value = currentSelection;
+        } else {
+            select.selectedIndex = 0;
+        }
+        updateButterchurnPresetButtons();
     };
 
     const updateVisualizerSettingsVisibility = (enabled) => {
@@ -1179,15 +1752,83 @@ export function initializeSettings(scrobbler, player, api, ui) {
         if (visualizerSmartIntensitySetting) visualizerSmartIntensitySetting.style.display = display;
         if (visualizerSensitivitySetting) visualizerSensitivitySetting.style.display = display;
         if (visualizerPresetSetting) visualizerPresetSetting.style.display = display;
+        if (visualizerCustomPresetSetting) visualizerCustomPresetSetting.style.display = display;
 
-        // Also update Butterchurn specific visibility
+        // Also update preset specific visibility
         updateButterchurnSettingsVisibility();
+        updateSpectrogramSettingsVisibility();
+    };
+
+    // Saved custom presets that haven't been run this session, by key
+    let pendingUserPresets = new Map();
+
+    const renderVisualizerPresetOptions = () => {
+        if (!visualizerPresetSelect) return;
+
+        visualizerPresetSelect.innerHTML = '';
+        getRegisteredPresets().forEach(({ key, name }) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = name;
+            visualizerPresetSelect.appendChild(option);
+        });
+
+        // Keep showing the selection while the visualizer falls back to the default until it is loaded
+        const selected = visualizerSettings.getPreset();
+        if (pendingUserPresets.has(selected)) {
+            const option = document.createElement('option');
+            option.value = selected;
+            option.textContent = `${pendingUserPresets.get(selected)} (not loaded)`;
+            visualizerPresetSelect.appendChild(option);
+        }
+        visualizerPresetSelect.value = selected;
+        if (visualizerPresetRemoveBtn) {
+            visualizerPresetRemoveBtn.disabled = !visualizerPresetSelect.value.startsWith(USER_VISUALIZER_PREFIX);
+        }
     };
 
     // Initialize preset select value early so visibility logic works correctly on load
-    if (visualizerPresetSelect) {
-        visualizerPresetSelect.value = visualizerSettings.getPreset();
-    }
+    renderVisualizerPresetOptions();
+
+    // Saved custom modules are listed here and only run once the user loads them
+    const renderCustomPresetStatus = async () => {
+        const stored = await getStoredUserPresets();
+        const active = stored.filter((preset) => preset.loaded).map((preset) => preset.name);
+        const pending = stored.filter((preset) => !preset.loaded).map((preset) => preset.name);
+        pendingUserPresets = new Map(
+            stored.filter((preset) => !preset.loaded).map((preset) => [preset.key, preset.name])
+        );
+        const selectedPending = pendingUserPresets.get(visualizerSettings.getPreset());
+
+        if (visualizerCustomPresetStatus) {
+            visualizerCustomPresetStatus.textContent = [
+                selectedPending ? `The selected visualizer "${selectedPending}" needs to be loaded` : '',
+                active.length ? `Active: ${active.join(', ')}` : '',
+                pending.length ? `Saved, not loaded: ${pending.join(', ')}` : '',
+            ]
+                .filter(Boolean)
+                .join(' · ');
+        }
+        if (visualizerPresetEnableBtn) {
+            visualizerPresetEnableBtn.style.display = pending.length ? '' : 'none';
+            visualizerPresetEnableBtn.classList.toggle('btn-primary', !!selectedPending);
+            visualizerPresetEnableBtn.classList.toggle('btn-secondary', !selectedPending);
+        }
+        renderVisualizerPresetOptions();
+        return selectedPending;
+    };
+
+    window.addEventListener('visualizer-presets-changed', () => {
+        renderVisualizerPresetOptions();
+        updateButterchurnSettingsVisibility();
+        updateSpectrogramSettingsVisibility();
+        renderCustomPresetStatus();
+    });
+    renderCustomPresetStatus().then((selectedPending) => {
+        if (selectedPending && visualizerSettings.isEnabled()) {
+            showNotification(`Visualizer "${selectedPending}" is waiting to be loaded in Settings`);
+        }
+    });
 
     if (visualizerEnabledToggle) {
         visualizerEnabledToggle.checked = visualizerSettings.isEnabled();
@@ -1210,6 +1851,89 @@ export function initializeSettings(scrobbler, player, api, ui) {
                 ui.visualizer.setPreset(val);
             }
             updateButterchurnSettingsVisibility();
+            updateSpectrogramSettingsVisibility();
+            if (visualizerPresetRemoveBtn) {
+                visualizerPresetRemoveBtn.disabled = !val.startsWith(USER_VISUALIZER_PREFIX);
+            }
+        });
+    }
+
+    if (visualizerPresetLoadBtn && visualizerPresetLoadInput) {
+        visualizerPresetLoadBtn.addEventListener('click', () => visualizerPresetLoadInput.click());
+
+        visualizerPresetLoadInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+
+            try {
+                const key = await loadUserPresetFile(file);
+                visualizerSettings.setPreset(key);
+                if (ui && ui.visualizer) {
+                    ui.visualizer.setPreset(key);
+                }
+                renderVisualizerPresetOptions();
+                updateButterchurnSettingsVisibility();
+                updateSpectrogramSettingsVisibility();
+            } catch (error) {
+                console.warn('[Visualizer] Failed to load preset file:', error);
+                alert(`Could not load ${file.name}: ${error.message}`);
+            }
+        });
+    }
+
+    if (visualizerPresetRemoveBtn) {
+        visualizerPresetRemoveBtn.addEventListener('click', async () => {
+            const key = visualizerPresetSelect?.value;
+            if (!key || !key.startsWith(USER_VISUALIZER_PREFIX)) return;
+
+            const name = visualizerPresetSelect.selectedOptions[0]?.textContent || key;
+            if (!confirm(`Remove the visualizer "${name}"?`)) return;
+
+            try {
+                await removeUserPreset(key);
+            } catch (error) {
+                console.warn('[Visualizer] Failed to remove preset:', error);
+                alert(`Could not remove ${name}: ${error.message}`);
+                return;
+            }
+            if (ui && ui.visualizer) {
+                ui.visualizer.setPreset(visualizerSettings.getPreset());
+            }
+        });
+    }
+
+    if (visualizerPresetEnableBtn) {
+        visualizerPresetEnableBtn.addEventListener('click', async () => {
+            const pending = (await getStoredUserPresets()).filter((preset) => !preset.loaded);
+            if (!pending.length) return;
+
+            const names = pending.map((preset) => `• ${preset.name}`).join('\n');
+            if (
+                !confirm(
+                    `Run these saved custom visualizers?\n\n${names}\n\nThey run with full access to the app. Only continue if you trust their source.`
+                )
+            ) {
+                return;
+            }
+
+            const failed = await loadStoredUserPresets();
+            if (failed.length) {
+                alert(`Could not load: ${failed.join(', ')}`);
+            }
+        });
+    }
+
+    if (spectrogramColorMapSelect) {
+        Object.entries(SPECTROGRAM_COLOR_MAPS).forEach(([key, colorMap]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = colorMap.name;
+            spectrogramColorMapSelect.appendChild(option);
+        });
+        spectrogramColorMapSelect.value = visualizerSettings.getSpectrogramColorMap();
+        spectrogramColorMapSelect.addEventListener('change', (e) => {
+            visualizerSettings.setSpectrogramColorMap(e.target.value);
         });
     }
 
@@ -1239,8 +1963,155 @@ export function initializeSettings(scrobbler, player, api, ui) {
         });
     }
 
+    if (butterchurnFavoritesOnlyToggle) {
+        butterchurnFavoritesOnlyToggle.checked = visualizerSettings.isButterchurnFavoritesOnly();
+        butterchurnFavoritesOnlyToggle.addEventListener('change', (e) => {
+            visualizerSettings.setButterchurnFavoritesOnly(e.target.checked);
+        });
+    }
+
+    if (butterchurnPresetSearch) {
+        butterchurnPresetSearch.addEventListener('input', () => renderButterchurnPresetOptions());
+    }
+
+    if (butterchurnFavoriteBtn) {
+        butterchurnFavoriteBtn.addEventListener('click', () => {
+            const name = butterchurnSpecificPresetSelect?.value;
+            if (!name) return;
+            visualizerSettings.toggleButterchurnFavorite(name);
+            renderButterchurnPresetOptions();
+        });
+    }
+
+    if (butterchurnBlacklistBtn) {
+        butterchurnBlacklistBtn.addEventListener('click', () => {
+            const name = butterchurnSpecificPresetSelect?.value;
+            if (!name) return;
+            visualizerSettings.toggleButterchurnBlacklisted(name);
+            renderButterchurnPresetOptions();
+        });
+    }
+
+    if (butterchurnRemoveBtn) {
+        butterchurnRemoveBtn.addEventListener('click', async () => {
+            const name = butterchurnSpecificPresetSelect?.value;
+            if (!name || !isImportedButterchurnPreset(name)) return;
+            if (!confirm(`Remove the imported preset "${name}"?`)) return;
+
+            try {
+                await removeImportedButterchurnPreset(name);
+            } catch (error) {
+                console.warn('[Butterchurn] Failed to remove preset:', error);
+                alert(`Could not remove ${name}: ${error.message}`);
+            }
+        });
+    }
+
+    // Presets imported in earlier sessions are listed here and only added once the user loads them
+    const butterchurnImportStatus = document.getElementById('butterchurn-import-status');
+    const butterchurnLoadSavedBtn = document.getElementById('butterchurn-load-saved-btn');
+    const renderButterchurnImportStatus = async () => {
+        const unloaded = await getUnloadedButterchurnImports();
+        if (butterchurnImportStatus) {
+            butterchurnImportStatus.textContent = unloaded.length
+                ? `${unloaded.length} imported preset(s) saved, not loaded`
+                : '';
+        }
+        if (butterchurnLoadSavedBtn) {
+            butterchurnLoadSavedBtn.style.display = unloaded.length ? '' : 'none';
+        }
+    };
+    renderButterchurnImportStatus();
+
+    butterchurnLoadSavedBtn?.addEventListener('click', async () => {
+        const unloaded = await getUnloadedButterchurnImports();
+        if (!unloaded.length) return;
+
+        const names = unloaded.map((name) => `• ${name}`).join('\n');
+        if (
+            !confirm(
+                `Add these saved imported presets?\n\n${names}\n\nTheir equations run as code in the app. Only continue if you trust their source.`
+            )
+        ) {
+            return;
+        }
+
+        try {
+            await loadStoredButterchurnPresets();
+        } catch (error) {
+            console.warn('[Butterchurn] Failed to load saved presets:', error);
+            alert(`Could not load the saved presets: ${error.message}`);
+        }
+    });
+
+    const butterchurnImportInput = document.getElementById('butterchurn-import-input');
+    document.getElementById('butterchurn-import-btn')?.addEventListener('click', () => butterchurnImportInput?.click());
+
+    butterchurnImportInput?.addEventListener('change', async (e) => {
+        const files = Array.from(e.target.files);
+        e.target.value = '';
+        if (files.length === 0) return;
+
+        const presets = {};
+        const failed = [];
+        let droppedShaders = 0;
+        for (const file of files) {
+            try {
+                const result = parseButterchurnPresetFile(file.name, await file.text());
+                Object.assign(presets, result.presets);
+                if (result.droppedShaders) droppedShaders++;
+            } catch (error) {
+                console.warn('[Butterchurn] Failed to import preset file:', file.name, error);
+                failed.push(`${file.name}: ${error.message}`);
+            }
+        }
+
+        const count = Object.keys(presets).length;
+        let renamed = [];
+        if (count > 0) {
+            try {
+                renamed = await importButterchurnPresets(presets);
+            } catch (error) {
+                console.warn('[Butterchurn] Failed to store imported presets:', error);
+                alert(`Could not save the imported presets: ${error.message}`);
+                return;
+            }
+        }
+
+        const messages = [`Imported ${count} preset(s).`];
+        if (droppedShaders > 0) {
+            messages.push(`${droppedShaders} preset(s) use custom shaders, which are not supported and were left out.`);
+        }
+        if (renamed.length > 0) {
+            messages.push(
+                `Renamed to keep the bundled presets:\n${renamed.map(([from, to]) => `${from} → ${to}`).join('\n')}`
+            );
+        }
+        if (failed.length > 0) {
+            messages.push(`Could not import:\n${failed.join('\n')}`);
+        }
+        alert(messages.join('\n\n'));
+    });
+
+    document.getElementById('butterchurn-export-btn')?.addEventListener('click', () => {
+        const pack = getButterchurnFavoritesPack();
+        if (Object.keys(pack.presets).length === 0) {
+            alert('Favorite some presets first to export them.');
+            return;
+        }
+
+        const blob = new Blob([JSON.stringify(pack, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'butterchurn-favorites.json';
+        a.click();
+        URL.revokeObjectURL(url);
+    });
+
     if (butterchurnSpecificPresetSelect) {
         butterchurnSpecificPresetSelect.addEventListener('change', (e) => {
+            updateButterchurnPresetButtons();
             // Try to load via visualizer if active, otherwise just store the selection
             if (ui && ui.visualizer && ui.visualizer.presets['butterchurn']) {
                 ui.visualizer.presets['butterchurn'].loadPreset(e.target.value);
@@ -1252,6 +2123,7 @@ export function initializeSettings(scrobbler, player, api, ui) {
     window.addEventListener('butterchurn-presets-loaded', () => {
         console.log('[Settings] Butterchurn presets loaded event received');
         updateButterchurnSettingsVisibility();
+        renderButterchurnImportStatus();
     });
 
     // Check if presets already cached and update immediately
@@ -1642,7 +2514,7 @@ export function initializeSettings(scrobbler, player, api, ui) {
         btn.disabled = true;
 
         try {
-            await api.clearCache();
+            await Promise.all([api.clearCache(), waveformGenerator.clearCache()]);
             btn.textContent = 'Cleared!';
             setTimeout(() => {
                 btn.textContent = originalText;
@@ -1873,6 +2745,8 @@ export function initializeSettings(scrobbler, player, api, ui) {
 
     // Blocked Content Management
     initializeBlockedContentManager();
+    initializeOfflineSettings();
+    initializeEffectsRack();
 }
 
 function initializeFontSettings() {
@@ -2251,6 +3125,211 @@ function initializeBlockedContentManager() {
     renderBlockedLists();
 }
 
+function initializeOfflineSettings() {
+    const storageInfo = document.getElementById('offline-storage-info');
+    const manageBtn = document.getElementById('manage-offline-btn');
+    const listContainer = document.getElementById('offline-tracks-container');
+    const list = document.getElementById('offline-tracks-list');
+    const quotaSelect = document.getElementById('offline-quota-select');
+    const clearBtn = document.getElementById('clear-offline-btn');
+
+    function renderOfflineTracks() {
+        const { bytes, count } = offlineManager.getUsage();
+        if (storageInfo) {
+            storageInfo.textContent =
+                count > 0
+                    ? `${count} track${count === 1 ? '' : 's'} using ${formatBytes(bytes)}`
+                    : 'Tracks made available offline play without a connection';
+        }
+        if (clearBtn) clearBtn.disabled = count === 0;
+
+        if (!list || listContainer?.style.display === 'none') return;
+
+        const entries = offlineManager.getAll().sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0));
+        if (entries.length === 0) {
+            list.innerHTML = '<li><div class="item-info"><div class="item-meta">No offline tracks</div></div></li>';
+            return;
+        }
+
+        list.innerHTML = entries
+            .map(
+                (entry) => `
+                <li data-id="${entry.id}">
+                    <div class="item-info">
+                        <div class="item-name">${escapeHtml(entry.track?.title)}</div>
+                        <div class="item-meta">${escapeHtml(entry.track?.artist?.name || entry.track?.artists?.[0]?.name || 'Unknown Artist')} • ${formatBytes(entry.size)} • last played ${new Date(entry.lastAccessed).toLocaleDateString()}</div>
+                    </div>
+                    <button class="remove-offline-btn" data-id="${entry.id}">Remove</button>
+                </li>
+            `
+            )
+            .join('');
+    }
+
+    if (quotaSelect) {
+        quotaSelect.value = String(offlineSettings.getQuotaMB());
+        quotaSelect.addEventListener('change', async (e) => {
+            offlineSettings.setQuotaMB(parseInt(e.target.value, 10));
+            try {
+                await offlineManager.enforceQuota();
+            } catch (error) {
+                console.warn('[Offline] Failed to apply storage limit:', error);
+            }
+        });
+    }
+
+    manageBtn?.addEventListener('click', () => {
+        if (!listContainer) return;
+        const isVisible = listContainer.style.display !== 'none';
+        listContainer.style.display = isVisible ? 'none' : 'block';
+        renderOfflineTracks();
+    });
+
+    list?.addEventListener('click', async (e) => {
+        const btn = e.target.closest('.remove-offline-btn');
+        if (!btn) return;
+
+        try {
+            await offlineManager.removeTrack(btn.dataset.id);
+        } catch (error) {
+            console.warn('[Offline] Failed to remove offline track:', error);
+        }
+    });
+
+    clearBtn?.addEventListener('click', async () => {
+        if (!confirm('Remove all offline tracks from this device?')) return;
+
+        try {
+            await offlineManager.clearAll();
+        } catch (error) {
+            console.warn('[Offline] Failed to clear offline tracks:', error);
+        }
+    });
+
+    window.addEventListener('offline-tracks-changed', renderOfflineTracks);
+    renderOfflineTracks();
+}
+
+function initializeEffectsRack() {
+    const container = document.getElementById('effects-rack');
+    if (!container) return;
+
+    const rack = audioContextManager.effectsRack;
+
+    const formatParamValue = (param, value) => `${value}${param.unit === '%' ? '%' : ` ${param.unit}`}`;
+
+    function renderParam(key, param, params) {
+        const hidden = param.showIf && Object.entries(param.showIf).some(([other, value]) => params[other] !== value);
+        if (hidden) return '';
+
+        if (param.options) {
+            return `
+                <label class="effect-param">
+                    <span class="effect-param-label">${param.label}</span>
+                    <select data-param="${key}">
+                        ${Object.entries(param.options)
+                            .map(
+                                ([value, label]) =>
+                                    `<option value="${value}" ${params[key] === value ? 'selected' : ''}>${label}</option>`
+                            )
+                            .join('')}
+                    </select>
+                </label>
+            `;
+        }
+
+        return `
+            <label class="effect-param">
+                <span class="effect-param-label">${param.label}</span>
+                <input type="range" data-param="${key}" min="${param.min}" max="${param.max}" step="${param.step}" value="${params[key]}" />
+                <span class="effect-param-value">${formatParamValue(param, params[key])}</span>
+            </label>
+        `;
+    }
+
+    function render() {
+        const order = rack.getOrder();
+
+        container.innerHTML = order
+            .map((id, index) => {
+                const definition = EFFECT_DEFINITIONS[id];
+                const { bypassed, mix, params } = rack.getState(id);
+                const mixPercent = Math.round(mix * 100);
+
+                return `
+                    <div class="effect-card ${bypassed ? 'bypassed' : ''}" data-effect="${id}">
+                        <div class="effect-header">
+                            <span class="effect-name">${definition.name}</span>
+                            <button class="btn-secondary effect-move-btn" data-direction="-1" title="Move earlier in the chain" ${index === 0 ? 'disabled' : ''}>&uarr;</button>
+                            <button class="btn-secondary effect-move-btn" data-direction="1" title="Move later in the chain" ${index === order.length - 1 ? 'disabled' : ''}>&darr;</button>
+                            <label class="toggle-switch" title="${bypassed ? 'Enable' : 'Bypass'} ${definition.name}">
+                                <input type="checkbox" class="effect-enabled-toggle" ${bypassed ? '' : 'checked'} />
+                                <span class="slider"></span>
+                            </label>
+                        </div>
+                        <div class="effect-params">
+                            <label class="effect-param">
+                                <span class="effect-param-label">Wet/Dry</span>
+                                <input type="range" data-param="mix" min="0" max="100" step="1" value="${mixPercent}" />
+                                <span class="effect-param-value">${mixPercent}%</span>
+                            </label>
+                            ${Object.entries(definition.params)
+                                .map(([key, param]) => renderParam(key, param, params))
+                                .join('')}
+                        </div>
+                    </div>
+                `;
+            })
+            .join('');
+    }
+
+    container.addEventListener('input', (e) => {
+        const input = e.target.closest('input[type="range"][data-param]');
+        const card = e.target.closest('.effect-card');
+        if (!input || !card) return;
+
+        const id = card.dataset.effect;
+        const key = input.dataset.param;
+        const value = parseFloat(input.value);
+        const label = input.parentElement.querySelector('.effect-param-value');
+
+        if (key === 'mix') {
+            rack.setMix(id, value / 100);
+            if (label) label.textContent = `${value}%`;
+        } else {
+            rack.setParam(id, key, value);
+            if (label) label.textContent = formatParamValue(EFFECT_DEFINITIONS[id].params[key], value);
+        }
+    });
+
+    container.addEventListener('change', (e) => {
+        const card = e.target.closest('.effect-card');
+        if (!card) return;
+        const id = card.dataset.effect;
+
+        if (e.target.classList.contains('effect-enabled-toggle')) {
+            rack.setBypassed(id, !e.target.checked);
+            render();
+        } else if (e.target.matches('select[data-param]')) {
+            rack.setParam(id, e.target.dataset.param, e.target.value);
+            // Other controls may depend on this one (e.g. delay time vs tempo)
+            render();
+        }
+    });
+
+    container.addEventListener('click', (e) => {
+        const button = e.target.closest('.effect-move-btn');
+        const card = e.target.closest('.effect-card');
+        if (!button || !card) return;
+
+        const id = card.dataset.effect;
+        rack.moveEffect(id, rack.getOrder().indexOf(id) + parseInt(button.dataset.direction, 10));
+        render();
+    });
+
+    render();
+}
+
 function escapeHtml(text) {
     if (!text) return '';
     const div = document.createElement('div');
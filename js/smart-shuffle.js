@@ -0,0 +1,105 @@
+// js/smart-shuffle.js
+// Shuffle that keeps randomness but spreads out artists and albums and
+// pushes recently heard tracks towards the end of the queue
+
+// Minimum number of tracks between two songs by the same artist / from the same album
+const ARTIST_SPACING = 3;
+const ALBUM_SPACING = 5;
+
+// Only look this far ahead for a track that satisfies the spacing rules
+const CANDIDATE_WINDOW = 50;
+
+// Weight of the most recently played track (tracks not in history weigh 1)
+const MIN_RECENT_WEIGHT = 0.2;
+
+const getArtistKey = (track) => {
+    const artist = track.artist || track.artists?.[0];
+    return artist ? String(artist.id ?? artist.name ?? '') : '';
+};
+
+const getAlbumKey = (track) => (track.album?.id != null ? String(track.album.id) : '');
+
+/**
+ * Order tracks randomly, weighting each one by how long ago it was heard
+ * (Efraimidis-Spirakis weighted sampling: sort by random^(1/weight))
+ * @param {Array} tracks
+ * @param {Array} recentTrackIds - Track IDs from history, newest first
+ * @returns {Array}
+ */
+function weightedRandomOrder(tracks, recentTrackIds) {
+    const recency = new Map();
+    recentTrackIds.forEach((id, index) => {
+        if (!recency.has(String(id))) recency.set(String(id), index);
+    });
+
+    const historySize = Math.max(1, recentTrackIds.length);
+
+    return tracks
+        .map((track) => {
+            const rank = recency.get(String(track.id));
+            const weight = rank === undefined ? 1 : MIN_RECENT_WEIGHT + (1 - MIN_RECENT_WEIGHT) * (rank / historySize);
+            return { track, key: Math.pow(Math.random(), 1 / weight) };
+        })
+        .sort((a, b) => b.key - a.key)
+        .map((entry) => entry.track);
+}
+
+/**
+ * Shuffle tracks so the same artist or album doesn't come up back to back
+ * @param {Array} tracks - Tracks to shuffle (not modified)
+ * @param {Object} options
+ * @param {Array} options.recentTrackIds - Track IDs from listening history, newest first
+ * @param {Object|null} options.previousTrack - Track that plays right before the shuffled list (the pinned current track)
+ * @returns {Array} Shuffled copy
+ */
+export function smartShuffle(tracks, { recentTrackIds = [], previousTrack = null } = {}) {
+    const remaining = weightedRandomOrder(tracks, recentTrackIds);
+    const result = [];
+
+    // Recently placed keys, newest last
+    const recentArtists = [];
+    const recentAlbums = [];
+
+    const remember = (track) => {
+        recentArtists.push(getArtistKey(track));
+        recentAlbums.push(getAlbumKey(track));
+        if (recentArtists.length > ARTIST_SPACING) recentArtists.shift();
+        if (recentAlbums.length > ALBUM_SPACING) recentAlbums.shift();
+    };
+
+    if (previousTrack) {
+        remember(previousTrack);
+    }
+
+    // Lower is better: album clashes matter less than artist clashes
+    const conflictScore = (track) => {
+        const artist = getArtistKey(track);
+        const album = getAlbumKey(track);
+        let score = 0;
+        if (artist && recentArtists.includes(artist)) score += 2;
+        if (album && recentAlbums.includes(album)) score += 1;
+        return score;
+    };
+
+    while (remaining.length > 0) {
+        const windowSize = Math.min(CANDIDATE_WINDOW, remaining.length);
+        let bestIndex = 0;
+        let bestScore = Infinity;
+
+        // Candidates are already in weighted random order, so the first clash-free one wins
+        for (let i = 0; i < windowSize; i++) {
+            const score = conflictScore(remaining[i]);
+            if (score < bestScore) {
+                bestScore = score;
+                bestIndex = i;
+                if (score === 0) break;
+            }
+        }
+
+        const [track] = remaining.splice(bestIndex, 1);
+        result.push(track);
+        remember(track);
+    }
+
+    return result;
+}
@@ -0,0 +1,220 @@
+// js/stereo.js
+// Stereo stage - stereo width (mid/side), headphone crossfeed and left/right balance
+
+import { stereoSettings } from './storage.js';
+
+// Bauer-style crossfeed: each ear also hears the other channel, lowpassed, slightly
+// delayed and attenuated, like speakers in a room. Values follow the bs2b presets.
+export const CROSSFEED_PRESETS = {
+    light: { name: 'Light (Jan Meier)', cutoff: 650, feed: 9.5 },
+    medium: { name: 'Medium (Chu Moy)', cutoff: 700, feed: 6 },
+    strong: { name: 'Strong (bs2b default)', cutoff: 700, feed: 4.5 },
+};
+
+// Interaural delay of the crossfed signal
+const CROSSFEED_DELAY = 0.0003;
+
+const RAMP_TIME = 0.02;
+
+/**
+ * A channel splitter and merger with a 2x2 set of gains between them:
+ * left' = left * direct + right * cross, right' = right * direct + left * cross
+ */
+class ChannelMatrix {
+    constructor(context) {
+        this.context = context;
+        this.input = context.createGain();
+        // Up-mix mono sources so both channels are always there
+        this.input.channelCount = 2;
+        this.input.channelCountMode = 'explicit';
+        this.input.channelInterpretation = 'speakers';
+        this.splitter = context.createChannelSplitter(2);
+        this.output = context.createChannelMerger(2);
+        this.direct = [context.createGain(), context.createGain()];
+        this.cross = [context.createGain(), context.createGain()];
+
+        this.input.connect(this.splitter);
+        for (let channel = 0; channel < 2; channel++) {
+            this.splitter.connect(this.direct[channel], channel);
+            this.direct[channel].connect(this.output, 0, channel);
+            this.splitter.connect(this.cross[channel], channel);
+            this.cross[channel].connect(this.output, 0, 1 - channel);
+        }
+    }
+
+    setGains(directLeft, directRight, crossLeft, crossRight) {
+        const now = this.context.currentTime;
+        this.direct[0].gain.setTargetAtTime(directLeft, now, RAMP_TIME);
+        this.direct[1].gain.setTargetAtTime(directRight, now, RAMP_TIME);
+        this.cross[0].gain.setTargetAtTime(crossLeft, now, RAMP_TIME);
+        this.cross[1].gain.setTargetAtTime(crossRight, now, RAMP_TIME);
+    }
+}
+
+/**
+ * Crossfeed: the direct path gets a treble lift and the cross path a lowpass and delay,
+ * then both are scaled so the sum stays at unity gain across the spectrum
+ */
+class Crossfeed {
+    constructor(context) {
+        this.context = context;
+        this.matrix = new ChannelMatrix(context);
+        this.input = this.matrix.input;
+        this.output = this.matrix.output;
+
+        this.shelves = [0, 1].map(() => {
+            const shelf = context.createBiquadFilter();
+            shelf.type = 'highshelf';
+            return shelf;
+        });
+        this.lowpasses = [0, 1].map(() => {
+            const lowpass = context.createBiquadFilter();
+            lowpass.type = 'lowpass';
+            lowpass.Q.value = 0.5;
+            return lowpass;
+        });
+        this.delays = [0, 1].map(() => {
+            const delay = context.createDelay(0.01);
+            delay.delayTime.value = CROSSFEED_DELAY;
+            return delay;
+        });
+
+        // Re-route the matrix through the filters
+        const { splitter, direct, cross } = this.matrix;
+        for (let channel = 0; channel < 2; channel++) {
+            splitter.disconnect(channel);
+            splitter.connect(this.shelves[channel], channel);
+            this.shelves[channel].connect(direct[channel]);
+            splitter.connect(this.lowpasses[channel], channel);
+            this.lowpasses[channel].connect(this.delays[channel]);
+            this.delays[channel].connect(cross[channel]);
+        }
+    }
+
+    setPreset({ cutoff, feed }) {
+        const now = this.context.currentTime;
+        const crossLevel = Math.pow(10, -feed / 20);
+        // Low frequencies: direct + cross; high frequencies: direct only (lifted to match)
+        const normalize = 1 / (1 + crossLevel);
+
+        this.shelves.forEach((shelf) => {
+            shelf.frequency.setTargetAtTime(cutoff, now, RAMP_TIME);
+            shelf.gain.setTargetAtTime(20 * Math.log10(1 + crossLevel), now, RAMP_TIME);
+        });
+        this.lowpasses.forEach((lowpass) => lowpass.frequency.setTargetAtTime(cutoff, now, RAMP_TIME));
+        this.matrix.setGains(normalize, normalize, crossLevel * normalize, crossLevel * normalize);
+    }
+}
+
+export class StereoProcessor {
+    /**
+     * @param {Function} onChange - Called after the stage's wiring changed, so the owner can reconnect its graph
+     */
+    constructor(onChange) {
+        this.onChange = onChange;
+        this.context = null;
+        this.input = null;
+        this.output = null;
+        this.width = null;
+        this.crossfeed = null;
+        this.balance = null;
+        this.wiredSections = null;
+    }
+
+    /**
+     * Create the nodes on the audio context
+     */
+    init(context) {
+        this.context = context;
+        this.input = context.createGain();
+        this.output = context.createGain();
+        this.width = new ChannelMatrix(context);
+        this.crossfeed = new Crossfeed(context);
+        this.balance = new ChannelMatrix(context);
+
+        this._applySettings();
+        this._wire();
+    }
+
+    /**
+     * Whether any section differs from neutral (otherwise the stage stays out of the graph)
+     */
+    isActive() {
+        return this._getEnabledSections().length > 0;
+    }
+
+    /**
+     * @param {number} percent - -100 (left) to 100 (right)
+     */
+    setBalance(percent) {
+        this._update(() => stereoSettings.setBalance(percent));
+    }
+
+    /**
+     * @param {number} percent - 0 (mono) to 200 (extra wide), 100 leaves the stereo image as is
+     */
+    setWidth(percent) {
+        this._update(() => stereoSettings.setWidth(percent));
+    }
+
+    /**
+     * @param {string} preset - 'off' or a key of CROSSFEED_PRESETS
+     */
+    setCrossfeed(preset) {
+        this._update(() => stereoSettings.setCrossfeed(preset));
+    }
+
+    _update(save) {
+        const wasActive = this.isActive();
+        save();
+        if (!this.context) return;
+
+        this._applySettings();
+        this._wire();
+        // Only reconnect the whole graph when the stage joins or leaves it
+        if (wasActive !== this.isActive()) this.onChange?.();
+    }
+
+    _applySettings() {
+        // Mid/side: left' = mid + side * w, right' = mid - side * w
+        const width = stereoSettings.getWidth() / 100;
+        this.width.setGains((1 + width) / 2, (1 + width) / 2, (1 - width) / 2, (1 - width) / 2);
+
+        const preset = CROSSFEED_PRESETS[stereoSettings.getCrossfeed()];
+        if (preset) this.crossfeed.setPreset(preset);
+
+        // Balance turns the opposite side down, the favoured side stays at full level
+        const balance = stereoSettings.getBalance() / 100;
+        this.balance.setGains(Math.min(1, 1 - balance), Math.min(1, 1 + balance), 0, 0);
+    }
+
+    /**
+     * input -> [width] -> [crossfeed] -> [balance] -> output, skipping neutral sections
+     */
+    _wire() {
+        const enabled = this._getEnabledSections();
+        // Rewiring while a slider is dragged would click, so only do it when a section switches on or off
+        if (this.wiredSections === enabled.join()) return;
+        this.wiredSections = enabled.join();
+
+        this.input.disconnect();
+        this.width.output.disconnect();
+        this.crossfeed.output.disconnect();
+        this.balance.output.disconnect();
+
+        let lastNode = this.input;
+        enabled.forEach((name) => {
+            lastNode.connect(this[name].input);
+            lastNode = this[name].output;
+        });
+        lastNode.connect(this.output);
+    }
+
+    _getEnabledSections() {
+        return [
+            stereoSettings.getWidth() !== 100 && 'width',
+            stereoSettings.getCrossfeed() !== 'off' && 'crossfeed',
+            stereoSettings.getBalance() !== 0 && 'balance',
+        ].filter(Boolean);
+    }
+}
@@ -514,6 +514,7 @@ export const coverArtSizeSettings = {
 
 export const waveformSettings = {
     STORAGE_KEY: 'waveform-seekbar-enabled',
+    STEREO_KEY: 'waveform-seekbar-stereo',
 
     isEnabled() {
         try {
@@ -526,6 +527,18 @@ export const waveformSettings = {
     setEnabled(enabled) {
         localStorage.setItem(this.STORAGE_KEY, enabled ? 'true' : 'false');
     },
+
+    isStereo() {
+        try {
+            return localStorage.getItem(this.STEREO_KEY) === 'true';
+        } catch {
+            return false;
+        }
+    },
+
+    setStereo(enabled) {
+        localStorage.setItem(this.STEREO_KEY, enabled ? 'true' : 'false');
+    },
 };
 
 export const smoothScrollingSettings = {
@@ -684,6 +697,7 @@ export const visualizerSettings = {
     MODE_KEY: 'visualizer-mode', // 'solid' or 'blended'
     PRESET_KEY: 'visualizer-preset',
     BUTTERCHURN_CYCLE_KEY: 'butterchurn-cycle-duration',
+    SPECTROGRAM_COLOR_MAP_KEY: 'visualizer-spectrogram-color-map',
 
     getPreset() {
         try {
@@ -749,6 +763,26 @@ export const visualizerSettings = {
         localStorage.setItem(this.SMART_INTENSITY_KEY, enabled);
     },
 
+    // Color map of the spectrogram preset (see SPECTROGRAM_COLOR_MAPS)
+    getSpectrogramColorMap() {
+        try {
+            return localStorage.getItem(this.SPECTROGRAM_COLOR_MAP_KEY) || 'magma';
+        } catch {
+            return 'magma';
+        }
+    },
+
+    setSpectrogramColorMap(colorMap) {
+        localStorage.setItem(this.SPECTROGRAM_COLOR_MAP_KEY, colorMap);
+    },
+
+    /**
+     * Go back to the default preset, e.g. when the selected one was removed
+     */
+    resetPreset() {
+        localStorage.removeItem(this.PRESET_KEY);
+    },
+
     // Butterchurn preset cycle duration in seconds
     getButterchurnCycleDuration() {
         try {
@@ -788,6 +822,79 @@ export const visualizerSettings = {
     setButterchurnRandomizeEnabled(enabled) {
         localStorage.setItem('butterchurn-randomize-enabled', enabled);
     },
+
+    BUTTERCHURN_FAVORITES_KEY: 'butterchurn-favorites',
+    BUTTERCHURN_BLACKLIST_KEY: 'butterchurn-blacklist',
+
+    _getNameList(key) {
+        try {
+            const stored = JSON.parse(localStorage.getItem(key) || '[]');
+            return Array.isArray(stored) ? stored : [];
+        } catch {
+            return [];
+        }
+    },
+
+    getButterchurnFavorites() {
+        return this._getNameList(this.BUTTERCHURN_FAVORITES_KEY);
+    },
+
+    getButterchurnBlacklist() {
+        return this._getNameList(this.BUTTERCHURN_BLACKLIST_KEY);
+    },
+
+    /**
+     * Favorite or unfavorite a preset; favoriting takes it off the blacklist
+     * @returns {boolean} Whether the preset is a favorite now
+     */
+    toggleButterchurnFavorite(name) {
+        const favorites = this.getButterchurnFavorites();
+        const isFavorite = !favorites.includes(name);
+        localStorage.setItem(
+            this.BUTTERCHURN_FAVORITES_KEY,
+            JSON.stringify(isFavorite ? [...favorites, name] : favorites.filter((entry) => entry !== name))
+        );
+        if (isFavorite) {
+            localStorage.setItem(
+                this.BUTTERCHURN_BLACKLIST_KEY,
+                JSON.stringify(this.getButterchurnBlacklist().filter((entry) => entry !== name))
+            );
+        }
+        return isFavorite;
+    },
+
+    /**
+     * Keep a preset out of the cycle or let it back in; blacklisting also unfavorites it
+     * @returns {boolean} Whether the preset is blacklisted now
+     */
+    toggleButterchurnBlacklisted(name) {
+        const blacklist = this.getButterchurnBlacklist();
+        const isBlacklisted = !blacklist.includes(name);
+        localStorage.setItem(
+            this.BUTTERCHURN_BLACKLIST_KEY,
+            JSON.stringify(isBlacklisted ? [...blacklist, name] : blacklist.filter((entry) => entry !== name))
+        );
+        if (isBlacklisted) {
+            localStorage.setItem(
+                this.BUTTERCHURN_FAVORITES_KEY,
+                JSON.stringify(this.getButterchurnFavorites().filter((entry) => entry !== name))
+            );
+        }
+        return isBlacklisted;
+    },
+
+    // Cycle only through favorites
+    isButterchurnFavoritesOnly() {
+        try {
+            return localStorage.getItem('butterchurn-favorites-only') === 'true';
+        } catch {
+            return false;
+        }
+    },
+
+    setButterchurnFavoritesOnly(enabled) {
+        localStorage.setItem('butterchurn-favorites-only', enabled);
+    },
 };
 
 export const equalizerSettings = {
@@ -845,6 +952,146 @@ export const equalizerSettings = {
     setPreset(preset) {
         localStorage.setItem(this.PRESET_KEY, preset);
     },
+
+    MODE_KEY: 'equalizer-mode',
+    PARAMETRIC_KEY: 'equalizer-parametric-bands',
+    MODES: ['graphic', 'parametric'],
+    DEFAULT_PARAMETRIC_BANDS: [
+        { type: 'lowshelf', frequency: 105, q: 0.7, gain: 0 },
+        { type: 'peaking', frequency: 1000, q: 1, gain: 0 },
+        { type: 'highshelf', frequency: 8000, q: 0.7, gain: 0 },
+    ],
+
+    // 'graphic' uses the fixed 16 bands, 'parametric' the user's own band list
+    getMode() {
+        try {
+            const mode = localStorage.getItem(this.MODE_KEY);
+            return this.MODES.includes(mode) ? mode : 'graphic';
+        } catch {
+            return 'graphic';
+        }
+    },
+
+    setMode(mode) {
+        if (this.MODES.includes(mode)) {
+            localStorage.setItem(this.MODE_KEY, mode);
+        }
+    },
+
+    getParametricBands() {
+        try {
+            const stored = localStorage.getItem(this.PARAMETRIC_KEY);
+            if (stored) {
+                const bands = JSON.parse(stored);
+                if (Array.isArray(bands)) {
+                    return bands;
+                }
+            }
+        } catch {
+            /* ignore */
+        }
+        return this.DEFAULT_PARAMETRIC_BANDS.map((band) => ({ ...band }));
+    },
+
+    setParametricBands(bands) {
+        try {
+            if (Array.isArray(bands)) {
+                localStorage.setItem(this.PARAMETRIC_KEY, JSON.stringify(bands));
+            }
+        } catch (e) {
+            console.warn('[EQ] Failed to save parametric bands:', e);
+        }
+    },
+
+    PREAMP_KEY: 'equalizer-preamp',
+
+    // Gain in dB applied in front of the EQ, usually negative to leave headroom for boosts
+    getPreamp() {
+        try {
+            const value = parseFloat(localStorage.getItem(this.PREAMP_KEY));
+            return isNaN(value) ? 0 : value;
+        } catch {
+            return 0;
+        }
+    },
+
+    setPreamp(db) {
+        localStorage.setItem(this.PREAMP_KEY, String(db));
+    },
+
+    USER_PRESETS_KEY: 'equalizer-user-presets',
+
+    /**
+     * Presets saved by the user (e.g. imported headphone profiles)
+     * @returns {Array<{id: string, name: string, mode: string, gains?: number[], bands?: Array, preamp: number}>}
+     */
+    getUserPresets() {
+        try {
+            const stored = localStorage.getItem(this.USER_PRESETS_KEY);
+            const presets = stored ? JSON.parse(stored) : [];
+            return Array.isArray(presets) ? presets : [];
+        } catch {
+            return [];
+        }
+    },
+
+    setUserPresets(presets) {
+        try {
+            localStorage.setItem(this.USER_PRESETS_KEY, JSON.stringify(presets));
+        } catch (e) {
+            console.warn('[EQ] Failed to save user presets:', e);
+        }
+    },
+
+    addUserPreset(preset) {
+        const entry = { ...preset, id: Date.now().toString(36), createdAt: Date.now(), updatedAt: Date.now() };
+        this.setUserPresets([...this.getUserPresets(), entry]);
+        return entry;
+    },
+
+    getUserPreset(id) {
+        return this.getUserPresets().find((preset) => preset.id === id) || null;
+    },
+
+    updateUserPreset(id, changes) {
+        let updated = null;
+        this.setUserPresets(
+            this.getUserPresets().map((preset) => {
+                if (preset.id !== id) return preset;
+                updated = { ...preset, ...changes, id, updatedAt: Date.now() };
+                return updated;
+            })
+        );
+        return updated;
+    },
+
+    deleteUserPreset(id) {
+        this.setUserPresets(this.getUserPresets().filter((preset) => preset.id !== id));
+        if (this.getPreset() === `user:${id}`) {
+            this.setPreset('flat');
+        }
+    },
+
+    /**
+     * Add presets from a backup or another device; presets with a known ID replace the local copy
+     * @param {Array} presets
+     * @returns {number} Number of presets added or updated
+     */
+    mergeUserPresets(presets) {
+        const isValid = (preset) =>
+            preset &&
+            typeof preset.id === 'string' &&
+            typeof preset.name === 'string' &&
+            (Array.isArray(preset.bands) || (Array.isArray(preset.gains) && preset.gains.length === 16));
+
+        const incoming = (Array.isArray(presets) ? presets : []).filter(isValid);
+        if (incoming.length === 0) return 0;
+
+        const merged = new Map(this.getUserPresets().map((preset) => [preset.id, preset]));
+        incoming.forEach((preset) => merged.set(preset.id, preset));
+        this.setUserPresets([...merged.values()]);
+        return incoming.length;
+    },
 };
 
 export const monoAudioSettings = {
@@ -863,6 +1110,124 @@ export const monoAudioSettings = {
     },
 };
 
+// Karaoke mode (vocal reduction and large lyrics) in the fullscreen cover view
+export const karaokeSettings = {
+    STORAGE_KEY: 'karaoke-mode-enabled',
+
+    isEnabled() {
+        try {
+            return localStorage.getItem(this.STORAGE_KEY) === 'true';
+        } catch {
+            return false;
+        }
+    },
+
+    setEnabled(enabled) {
+        localStorage.setItem(this.STORAGE_KEY, enabled ? 'true' : 'false');
+    },
+};
+
+export const stereoSettings = {
+    BALANCE_KEY: 'stereo-balance',
+    WIDTH_KEY: 'stereo-width',
+    CROSSFEED_KEY: 'stereo-crossfeed',
+    CROSSFEED_PRESETS: ['off', 'light', 'medium', 'strong'],
+
+    // Balance in percent (-100 = left only, 100 = right only, default 0)
+    getBalance() {
+        try {
+            const val = parseInt(localStorage.getItem(this.BALANCE_KEY), 10);
+            return isNaN(val) ? 0 : Math.max(-100, Math.min(100, val));
+        } catch {
+            return 0;
+        }
+    },
+
+    setBalance(percent) {
+        const validBalance = Math.max(-100, Math.min(100, parseInt(percent, 10) || 0));
+        localStorage.setItem(this.BALANCE_KEY, validBalance.toString());
+    },
+
+    // Stereo width in percent (0 = mono, 200 = extra wide, default 100)
+    getWidth() {
+        try {
+            const val = parseInt(localStorage.getItem(this.WIDTH_KEY), 10);
+            return isNaN(val) ? 100 : Math.max(0, Math.min(200, val));
+        } catch {
+            return 100;
+        }
+    },
+
+    setWidth(percent) {
+        const parsed = parseInt(percent, 10);
+        const validWidth = isNaN(parsed) ? 100 : Math.max(0, Math.min(200, parsed));
+        localStorage.setItem(this.WIDTH_KEY, validWidth.toString());
+    },
+
+    getCrossfeed() {
+        try {
+            const preset = localStorage.getItem(this.CROSSFEED_KEY);
+            return this.CROSSFEED_PRESETS.includes(preset) ? preset : 'off';
+        } catch {
+            return 'off';
+        }
+    },
+
+    setCrossfeed(preset) {
+        if (!this.CROSSFEED_PRESETS.includes(preset)) return;
+        localStorage.setItem(this.CROSSFEED_KEY, preset);
+    },
+};
+
+export const outputDeviceSettings = {
+    DEVICE_KEY: 'output-device-id',
+    PROFILES_KEY: 'output-device-profiles',
+
+    // Chosen output device ('' = system default)
+    getDeviceId() {
+        try {
+            return localStorage.getItem(this.DEVICE_KEY) || '';
+        } catch {
+            return '';
+        }
+    },
+
+    setDeviceId(deviceId) {
+        localStorage.setItem(this.DEVICE_KEY, deviceId || '');
+    },
+
+    // Per-device audio profiles ({ label, eq, replayGainPreamp, volume }), keyed by device ID
+    getProfiles() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.PROFILES_KEY));
+            if (stored && typeof stored === 'object') return stored;
+        } catch {
+            /* ignore */
+        }
+        return {};
+    },
+
+    getProfile(deviceId) {
+        return this.getProfiles()[deviceId || ''] || null;
+    },
+
+    setProfile(deviceId, profile) {
+        try {
+            const profiles = this.getProfiles();
+            profiles[deviceId || ''] = profile;
+            localStorage.setItem(this.PROFILES_KEY, JSON.stringify(profiles));
+        } catch (e) {
+            console.warn('[OutputDevice] Failed to save profile:', e);
+        }
+    },
+
+    deleteProfile(deviceId) {
+        const profiles = this.getProfiles();
+        delete profiles[deviceId || ''];
+        localStorage.setItem(this.PROFILES_KEY, JSON.stringify(profiles));
+    },
+};
+
 export const exponentialVolumeSettings = {
     STORAGE_KEY: 'exponential-volume-enabled',
 
@@ -915,6 +1280,228 @@ export const audioEffectsSettings = {
         const validSpeed = Math.max(0.01, Math.min(100, parseFloat(speed) || 1.0));
         localStorage.setItem(this.SPEED_KEY, validSpeed.toString());
     },
+
+    // Pitch shift in semitones (-12 to 12, default 0), independent of the speed
+    PITCH_KEY: 'audio-effects-pitch',
+
+    getPitch() {
+        try {
+            const val = parseInt(localStorage.getItem(this.PITCH_KEY), 10);
+            return isNaN(val) ? 0 : Math.max(-12, Math.min(12, val));
+        } catch {
+            return 0;
+        }
+    },
+
+    setPitch(semitones) {
+        const validPitch = Math.max(-12, Math.min(12, Math.round(parseFloat(semitones) || 0)));
+        localStorage.setItem(this.PITCH_KEY, validPitch.toString());
+    },
+
+    // Keep the pitch when the speed changes (default true); off, speed changes the pitch like a turntable
+    PRESERVE_PITCH_KEY: 'audio-effects-preserve-pitch',
+
+    isPreservePitch() {
+        try {
+            return localStorage.getItem(this.PRESERVE_PITCH_KEY) !== 'false';
+        } catch {
+            return true;
+        }
+    },
+
+    setPreservePitch(enabled) {
+        localStorage.setItem(this.PRESERVE_PITCH_KEY, enabled ? 'true' : 'false');
+    },
+
+    // Effects rack: processing order and per-effect state ({ bypassed, mix, params })
+    RACK_ORDER_KEY: 'audio-effects-order',
+    RACK_STATE_KEY: 'audio-effects-rack',
+    DEFAULT_RACK_ORDER: ['reverb', 'delay', 'bitcrusher'],
+
+    getRackOrder() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.RACK_ORDER_KEY));
+            if (Array.isArray(stored)) {
+                // Keep only known effects and append any added since the order was saved
+                const order = stored.filter((id) => this.DEFAULT_RACK_ORDER.includes(id));
+                return [...new Set([...order, ...this.DEFAULT_RACK_ORDER])];
+            }
+        } catch {
+            /* ignore */
+        }
+        return [...this.DEFAULT_RACK_ORDER];
+    },
+
+    setRackOrder(order) {
+        if (!Array.isArray(order)) return;
+        localStorage.setItem(this.RACK_ORDER_KEY, JSON.stringify(order));
+    },
+
+    getRackState() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.RACK_STATE_KEY));
+            if (stored && typeof stored === 'object') return stored;
+        } catch {
+            /* ignore */
+        }
+        return {};
+    },
+
+    getEffectState(id) {
+        return this.getRackState()[id] || null;
+    },
+
+    setEffectState(id, state) {
+        try {
+            const rack = this.getRackState();
+            rack[id] = state;
+            localStorage.setItem(this.RACK_STATE_KEY, JSON.stringify(rack));
+        } catch (e) {
+            console.warn('[Effects] Failed to save effect state:', e);
+        }
+    },
+};
+
+export const dynamicsSettings = {
+    COMPRESSOR_KEY: 'dynamics-compressor-enabled',
+    THRESHOLD_KEY: 'dynamics-compressor-threshold',
+    RATIO_KEY: 'dynamics-compressor-ratio',
+    LIMITER_KEY: 'dynamics-limiter-enabled',
+    CEILING_KEY: 'dynamics-limiter-ceiling',
+    NORMALIZATION_KEY: 'loudness-normalization-enabled',
+    TARGET_KEY: 'loudness-normalization-target',
+
+    _getNumber(key, fallback, min, max) {
+        try {
+            const val = parseFloat(localStorage.getItem(key));
+            return isNaN(val) ? fallback : Math.max(min, Math.min(max, val));
+        } catch {
+            return fallback;
+        }
+    },
+
+    _getFlag(key, fallback) {
+        try {
+            const val = localStorage.getItem(key);
+            return val === null ? fallback : val === 'true';
+        } catch {
+            return fallback;
+        }
+    },
+
+    isCompressorEnabled() {
+        return this._getFlag(this.COMPRESSOR_KEY, false);
+    },
+
+    setCompressorEnabled(enabled) {
+        localStorage.setItem(this.COMPRESSOR_KEY, enabled ? 'true' : 'false');
+    },
+
+    // Compressor threshold in dB (-60 to 0, default -24)
+    getThreshold() {
+        return this._getNumber(this.THRESHOLD_KEY, -24, -60, 0);
+    },
+
+    setThreshold(db) {
+        localStorage.setItem(this.THRESHOLD_KEY, String(Math.max(-60, Math.min(0, parseFloat(db) || 0))));
+    },
+
+    // Compressor ratio (1 to 20, default 4)
+    getRatio() {
+        return this._getNumber(this.RATIO_KEY, 4, 1, 20);
+    },
+
+    setRatio(ratio) {
+        localStorage.setItem(this.RATIO_KEY, String(Math.max(1, Math.min(20, parseFloat(ratio) || 1))));
+    },
+
+    isLimiterEnabled() {
+        return this._getFlag(this.LIMITER_KEY, true);
+    },
+
+    setLimiterEnabled(enabled) {
+        localStorage.setItem(this.LIMITER_KEY, enabled ? 'true' : 'false');
+    },
+
+    // Limiter true-peak ceiling in dBTP (-12 to 0, default -1)
+    getCeiling() {
+        return this._getNumber(this.CEILING_KEY, -1, -12, 0);
+    },
+
+    setCeiling(db) {
+        localStorage.setItem(this.CEILING_KEY, String(Math.max(-12, Math.min(0, parseFloat(db) || 0))));
+    },
+
+    // Measure and normalize tracks that come without ReplayGain data
+    isNormalizationEnabled() {
+        return this._getFlag(this.NORMALIZATION_KEY, true);
+    },
+
+    setNormalizationEnabled(enabled) {
+        localStorage.setItem(this.NORMALIZATION_KEY, enabled ? 'true' : 'false');
+    },
+
+    // Normalization target in LUFS (-24 to -8, default -15)
+    getTarget() {
+        return this._getNumber(this.TARGET_KEY, -15, -24, -8);
+    },
+
+    setTarget(lufs) {
+        localStorage.setItem(this.TARGET_KEY, String(Math.max(-24, Math.min(-8, parseFloat(lufs) || -15))));
+    },
+};
+
+export const crossfadeSettings = {
+    DURATION_KEY: 'crossfade-duration',
+    CURVE_KEY: 'crossfade-curve', // 'linear', 'equal-power' or 'logarithmic'
+    CURVES: ['linear', 'equal-power', 'logarithmic'],
+
+    // Crossfade duration in seconds (0 to 12, 0 = off)
+    getDuration() {
+        try {
+            const val = parseFloat(localStorage.getItem(this.DURATION_KEY));
+            return isNaN(val) ? 0 : Math.max(0, Math.min(12, val));
+        } catch {
+            return 0;
+        }
+    },
+
+    setDuration(seconds) {
+        const validDuration = Math.max(0, Math.min(12, parseFloat(seconds) || 0));
+        localStorage.setItem(this.DURATION_KEY, validDuration.toString());
+    },
+
+    getCurve() {
+        try {
+            const curve = localStorage.getItem(this.CURVE_KEY);
+            return this.CURVES.includes(curve) ? curve : 'equal-power';
+        } catch {
+            return 'equal-power';
+        }
+    },
+
+    setCurve(curve) {
+        if (this.CURVES.includes(curve)) {
+            localStorage.setItem(this.CURVE_KEY, curve);
+        }
+    },
+};
+
+export const gaplessSettings = {
+    STORAGE_KEY: 'gapless-playback-enabled',
+
+    isEnabled() {
+        try {
+            // Enabled by default
+            return localStorage.getItem(this.STORAGE_KEY) !== 'false';
+        } catch {
+            return true;
+        }
+    },
+
+    setEnabled(enabled) {
+        localStorage.setItem(this.STORAGE_KEY, enabled ? 'true' : 'false');
+    },
 };
 
 export const settingsUiState = {
@@ -933,6 +1520,78 @@ export const settingsUiState = {
     },
 };
 
+export const shuffleSettings = {
+    SMART_KEY: 'smart-shuffle-enabled',
+
+    isSmartShuffleEnabled() {
+        try {
+            return localStorage.getItem(this.SMART_KEY) === 'true';
+        } catch {
+            return false;
+        }
+    },
+
+    setSmartShuffleEnabled(enabled) {
+        localStorage.setItem(this.SMART_KEY, enabled ? 'true' : 'false');
+    },
+};
+
+export const autoplaySettings = {
+    STORAGE_KEY: 'autoplay-enabled',
+
+    isEnabled() {
+        try {
+            return localStorage.getItem(this.STORAGE_KEY) === 'true';
+        } catch {
+            return false;
+        }
+    },
+
+    setEnabled(enabled) {
+        localStorage.setItem(this.STORAGE_KEY, enabled ? 'true' : 'false');
+    },
+};
+
+export const resumeSettings = {
+    THRESHOLD_KEY: 'resume-threshold-minutes',
+    THRESHOLDS: [0, 10, 20, 30, 60],
+    DEFAULT_THRESHOLD: 20,
+
+    // Tracks longer than this many minutes remember where playback stopped (0 = off)
+    getThresholdMinutes() {
+        try {
+            const value = parseInt(localStorage.getItem(this.THRESHOLD_KEY), 10);
+            return this.THRESHOLDS.includes(value) ? value : this.DEFAULT_THRESHOLD;
+        } catch {
+            return this.DEFAULT_THRESHOLD;
+        }
+    },
+
+    setThresholdMinutes(minutes) {
+        localStorage.setItem(this.THRESHOLD_KEY, String(minutes));
+    },
+};
+
+export const offlineSettings = {
+    QUOTA_KEY: 'offline-quota-mb',
+    QUOTAS: [1024, 2048, 5120, 10240, 0],
+    DEFAULT_QUOTA: 2048,
+
+    // Space offline copies may take up before the least recently played are evicted (0 = no limit)
+    getQuotaMB() {
+        try {
+            const value = parseInt(localStorage.getItem(this.QUOTA_KEY), 10);
+            return this.QUOTAS.includes(value) ? value : this.DEFAULT_QUOTA;
+        } catch {
+            return this.DEFAULT_QUOTA;
+        }
+    },
+
+    setQuotaMB(megabytes) {
+        localStorage.setItem(this.QUOTA_KEY, String(megabytes));
+    },
+};
+
 export const queueManager = {
     STORAGE_KEY: 'steqmusic-queue',
 
@@ -0,0 +1,150 @@
+// js/track-stats.js
+// Per-track listening statistics - play count, skips, last played and total listened time
+
+import { db } from './db.js';
+
+// A play counts after half the track or this many seconds, whichever comes first (same rule as scrobbling)
+const PLAY_THRESHOLD_SECONDS = 240;
+const PLAY_THRESHOLD_RATIO = 0.5;
+
+// Gaps between timeupdate events larger than this are seeks, not listening
+const MAX_TICK_SECONDS = 2;
+
+export class TrackStatsManager {
+    constructor() {
+        this.stats = new Map();
+        this.session = null;
+        this.audio = null;
+    }
+
+    /**
+     * Start following playback on the player's audio element and load stored stats
+     */
+    attach(player) {
+        this.audio = player.audio;
+
+        this.audio.addEventListener('loadedmetadata', () => {
+            if (this.session) {
+                this.session.isLoaded = true;
+                this.session.lastTime = null;
+            }
+        });
+        this.audio.addEventListener('timeupdate', () => this._onTimeUpdate());
+        this.audio.addEventListener('seeking', () => {
+            if (this.session) this.session.lastTime = null;
+        });
+        this.audio.addEventListener('pause', () => this._flush());
+        this.audio.addEventListener('ended', () => this.endSession(true));
+        window.addEventListener('beforeunload', () => this._flush());
+
+        this.load();
+    }
+
+    async load() {
+        try {
+            const entries = await db.getAllTrackStats();
+            entries.forEach((entry) => this.stats.set(entry.id, entry));
+        } catch (e) {
+            console.warn('[TrackStats] Failed to load stats:', e);
+        }
+    }
+
+    get(trackId) {
+        return this.stats.get(String(trackId)) || null;
+    }
+
+    getAll() {
+        return [...this.stats.values()];
+    }
+
+    /**
+     * Begin counting a newly played track; leaving the previous one before it counted as a play is a skip
+     * @param {Object} track
+     * @param {number} startTime - Position playback starts from
+     */
+    startSession(track, startTime = 0) {
+        // Reloading the same track mid-play (e.g. at another quality) continues its session
+        if (startTime > 0 && this.session && String(this.session.track.id) === String(track?.id)) {
+            this.session.isLoaded = false;
+            this.session.lastTime = null;
+            return;
+        }
+
+        this.endSession(false);
+        if (!track?.id) return;
+
+        this.session = {
+            track,
+            listened: 0,
+            unsaved: 0,
+            counted: false,
+            // The element still reports the previous track's time until the new one has loaded
+            isLoaded: false,
+            lastTime: null,
+        };
+    }
+
+    endSession(completed) {
+        const session = this.session;
+        if (!session) return;
+        this.session = null;
+
+        if (session.counted) {
+            this._save(session, {});
+        } else if (completed) {
+            this._save(session, { play: true });
+        } else if (session.listened > 0) {
+            this._save(session, { skip: true });
+        }
+    }
+
+    _onTimeUpdate() {
+        const session = this.session;
+        if (!session || !session.isLoaded || this.audio.paused) return;
+
+        const time = this.audio.currentTime;
+        if (session.lastTime !== null) {
+            const delta = time - session.lastTime;
+            if (delta > 0 && delta <= MAX_TICK_SECONDS) {
+                session.listened += delta;
+                session.unsaved += delta;
+            }
+        }
+        session.lastTime = time;
+
+        if (!session.counted && session.listened >= this._getPlayThreshold(session.track)) {
+            session.counted = true;
+            this._save(session, { play: true });
+        }
+    }
+
+    _getPlayThreshold(track) {
+        const duration = isFinite(this.audio.duration) ? this.audio.duration : track.duration;
+        return duration ? Math.min(PLAY_THRESHOLD_SECONDS, duration * PLAY_THRESHOLD_RATIO) : PLAY_THRESHOLD_SECONDS;
+    }
+
+    _flush() {
+        if (this.session?.unsaved > 0) {
+            this._save(this.session, {});
+        }
+    }
+
+    _save(session, { play = false, skip = false }) {
+        const trackId = String(session.track.id);
+        const current = this.stats.get(trackId) || {};
+        const stats = {
+            playCount: (current.playCount || 0) + (play ? 1 : 0),
+            skipCount: (current.skipCount || 0) + (skip ? 1 : 0),
+            lastPlayed: play ? Date.now() : current.lastPlayed || null,
+            listenedSeconds: (current.listenedSeconds || 0) + session.unsaved,
+        };
+        session.unsaved = 0;
+
+        this.stats.set(trackId, { ...current, ...stats, id: trackId, track: current.track || session.track });
+        db.saveTrackStats(session.track, stats).catch((e) => {
+            console.warn('[TrackStats] Failed to save stats:', e);
+        });
+    }
+}
+
+export const trackStats = new TrackStatsManager();
@@ -0,0 +1,425 @@
+// js/transitions.js
+// Track transitions - pre-buffers the next queue item on a standby element and
+// hands playback over to it at the track boundary (gapless) or overlapping it (crossfade)
+
+import { MediaPlayer } from 'dashjs';
+import { audioContextManager } from './audio-context.js';
+import { gaplessSettings, crossfadeSettings, contentBlockingSettings } from './storage.js';
+import { REPEAT_MODE } from './utils.js';
+import { offlineManager } from './offline.js';
+
+// Start buffering the next track once the current one has this many seconds left
+const PREPARE_AHEAD_SECONDS = 20;
+
+// Arm the boundary timer once the current track has this many seconds left
+const SCHEDULE_AHEAD_SECONDS = 1;
+
+// A media element needs a few milliseconds after play() before it produces audio
+const STANDBY_START_LEAD_MS = 15;
+
+// Gain ramp used when the main element takes over from the standby again
+const HANDOVER_RAMP_SECONDS = 0.03;
+
+// The main element is re-seeked until it is this close to the standby (or the attempts run out),
+// since the standby keeps playing while the seek is in flight
+const HANDOVER_MAX_DRIFT_SECONDS = 0.01;
+const HANDOVER_SEEK_ATTEMPTS = 3;
+
+const LOAD_TIMEOUT_MS = 10000;
+
+// Resolution of the generated fade curves
+const FADE_CURVE_POINTS = 256;
+
+// Level the logarithmic curve starts from / ends at before snapping to silence
+const LOG_FADE_FLOOR_DB = -60;
+
+/**
+ * Build a fade-in or fade-out gain curve for setValueCurveAtTime
+ * @param {string} shape - 'linear', 'equal-power' or 'logarithmic'
+ * @param {boolean} fadeIn - True for 0 -> 1, false for 1 -> 0
+ */
+const buildFadeCurve = (shape, fadeIn) => {
+    const curve = new Float32Array(FADE_CURVE_POINTS);
+
+    for (let i = 0; i < FADE_CURVE_POINTS; i++) {
+        const progress = i / (FADE_CURVE_POINTS - 1);
+        const level = fadeIn ? progress : 1 - progress;
+
+        if (shape === 'linear') {
+            curve[i] = level;
+        } else if (shape === 'logarithmic') {
+            // Linear in dB, which sounds even to the ear
+            curve[i] = level === 0 ? 0 : Math.pow(10, (LOG_FADE_FLOOR_DB * (1 - level)) / 20);
+        } else {
+            // Equal-power: sin/cos pair keeps the summed loudness constant
+            curve[i] = Math.sin((level * Math.PI) / 2);
+        }
+    }
+
+    return curve;
+};
+
+/**
+ * Resolve once an element fires one of the given events, reject on error or timeout
+ */
+export const waitForEvent = (element, eventName, timeoutMs = LOAD_TIMEOUT_MS) =>
+    new Promise((resolve, reject) => {
+        let timer = null;
+        const cleanup = () => {
+            clearTimeout(timer);
+            element.removeEventListener(eventName, onEvent);
+            element.removeEventListener('error', onError);
+        };
+        const onEvent = () => {
+            cleanup();
+            resolve();
+        };
+        const onError = (e) => {
+            cleanup();
+            reject(e);
+        };
+        element.addEventListener(eventName, onEvent);
+        element.addEventListener('error', onError);
+        timer = setTimeout(() => {
+            cleanup();
+            reject(new Error(`Timeout waiting for ${eventName}`));
+        }, timeoutMs);
+    });
+
+export class TrackTransitionManager {
+    constructor(player) {
+        this.player = player;
+        this.audio = player.audio;
+
+        // Second element the upcoming track is buffered on
+        this.standby = null;
+        this.standbyDash = null;
+        this.standbyDashInitialized = false;
+        this.standbyObjectUrl = null;
+
+        // { track, rgValues, ready } for the track currently being buffered
+        this.pending = null;
+        this.isStandbyPlaying = false;
+        this.isHandingOver = false;
+        this.startTimer = null;
+
+        this.audio.addEventListener('timeupdate', () => this._onTimeUpdate());
+
+        // A pause or seek on the main element invalidates the scheduled boundary
+        const onInterrupt = () => {
+            if (this.isHandingOver || this.audio.ended) return;
+            this._clearStartTimer();
+            if (this.isStandbyPlaying) {
+                this.cancel();
+            }
+        };
+        this.audio.addEventListener('pause', onInterrupt);
+        this.audio.addEventListener('seeking', onInterrupt);
+    }
+
+    /**
+     * Transitions need the shared Web Audio graph (not available on iOS)
+     */
+    isAvailable() {
+        return !!audioContextManager.getAudioContext();
+    }
+
+    /**
+     * Crossfade length into the given track, 0 when it should be a plain gapless switch
+     */
+    getCrossfadeSeconds(nextTrack) {
+        const seconds = crossfadeSettings.getDuration();
+        const currentTrack = this.player.currentTrack;
+        if (!seconds || !nextTrack || !currentTrack) return 0;
+
+        // Consecutive album tracks are mastered to flow into each other
+        const albumId = currentTrack.album?.id;
+        if (albumId && albumId === nextTrack.album?.id) return 0;
+
+        // Never fade over more than half of either track
+        const halfDurations = [this.audio.duration, nextTrack.duration]
+            .filter((d) => d && isFinite(d))
+            .map((d) => d / 2);
+
+        return Math.min(seconds, ...halfDurations);
+    }
+
+    _getUpcomingTrack() {
+        if (this.player.repeatMode === REPEAT_MODE.ONE) {
+            return this.player.currentTrack;
+        }
+        return this.player.getNextTrack();
+    }
+
+    _getStandbyElement() {
+        if (!this.standby) {
+            this.standby = document.createElement('audio');
+            this.standby.crossOrigin = 'anonymous';
+            this.standby.preload = 'auto';
+        }
+        audioContextManager.connectMediaElement(this.standby);
+        return this.standby;
+    }
+
+    _clearStartTimer() {
+        if (this.startTimer) {
+            clearTimeout(this.startTimer);
+            this.startTimer = null;
+        }
+    }
+
+    _onTimeUpdate() {
+        if (this.isHandingOver || this.isStandbyPlaying || !this.isAvailable()) return;
+        // An A-B loop never reaches the end of the track
+        if (this.player.abLoop?.isActive()) return;
+
+        const { currentTime, duration } = this.audio;
+        if (!duration || !isFinite(duration)) return;
+
+        const remaining = (duration - currentTime) / (this.audio.playbackRate || 1);
+
+        const upcoming = this.pending ? this.pending.track : this._getUpcomingTrack();
+        const fadeSeconds = this.getCrossfadeSeconds(upcoming);
+        if (!fadeSeconds && !gaplessSettings.isEnabled()) return;
+
+        if (remaining <= fadeSeconds + PREPARE_AHEAD_SECONDS && !this.pending) {
+            this.prepare();
+        }
+
+        if (remaining <= fadeSeconds + SCHEDULE_AHEAD_SECONDS && this.pending?.ready && !this.startTimer) {
+            const delayMs = Math.max(0, (remaining - fadeSeconds) * 1000 - STANDBY_START_LEAD_MS);
+            this.startTimer = setTimeout(() => {
+                this.startTimer = null;
+                this._startStandby(true, fadeSeconds);
+            }, delayMs);
+        }
+    }
+
+    /**
+     * Resolve the stream URL the same way playTrackFromQueue will, so the main
+     * element can reuse it (and the browser cache) when it takes over
+     */
+    async _resolveSource(track) {
+        const offlineSource = track.isLocal ? null : await offlineManager.getOfflineSource(track.id);
+        if (offlineSource) {
+            this.standbyObjectUrl = URL.createObjectURL(offlineSource.blob);
+            return { streamUrl: this.standbyObjectUrl, isDash: false, rgValues: offlineSource.rgValues };
+        }
+
+        const isTracker = track.isTracker || (track.id && String(track.id).startsWith('tracker-'));
+        if (isTracker) return null;
+
+        if (track.isLocal && track.file) {
+            this.standbyObjectUrl = URL.createObjectURL(track.file);
+            return { streamUrl: this.standbyObjectUrl, isDash: false, rgValues: null };
+        }
+
+        if (track.audioUrl && !track.isLocal) {
+            let streamUrl = track.audioUrl;
+            if ((!streamUrl || streamUrl.startsWith('blob:')) && track.remoteUrl) {
+                streamUrl = track.remoteUrl;
+            }
+            return streamUrl ? { streamUrl, isDash: false, rgValues: null } : null;
+        }
+
+        const { api, quality, preloadCache } = this.player;
+        let rgValues = null;
+
+        if (!String(track.id).startsWith('q:')) {
+            const trackData = await api.getTrack(track.id, quality);
+            rgValues = this.player.getReplayGainValues(trackData);
+        }
+
+        let streamUrl = preloadCache.get(track.id);
+        if (!streamUrl) {
+            streamUrl = await api.getStreamUrl(track.id, quality);
+            preloadCache.set(track.id, streamUrl);
+        }
+        if (!streamUrl) return null;
+
+        return { streamUrl, isDash: streamUrl.startsWith('blob:'), rgValues };
+    }
+
+    /**
+     * Buffer the upcoming track on the standby element
+     */
+    async prepare() {
+        const track = this._getUpcomingTrack();
+        if (!track || track.isUnavailable || contentBlockingSettings.shouldHideTrack(track)) return;
+
+        const pending = { track, rgValues: null, ready: false };
+        this.pending = pending;
+
+        try {
+            const source = await this._resolveSource(track);
+            if (this.pending !== pending) return;
+            if (!source) {
+                // Leave the marker in place so we don't retry every timeupdate
+                return;
+            }
+
+            pending.rgValues = source.rgValues;
+            const standby = this._getStandbyElement();
+
+            if (source.isDash) {
+                if (this.standbyDashInitialized) {
+                    this.standbyDash.attachSource(source.streamUrl);
+                } else {
+                    if (!this.standbyDash) {
+                        this.standbyDash = MediaPlayer().create();
+                        this.standbyDash.updateSettings({
+                            streaming: {
+                                buffer: {
+                                    fastSwitchEnabled: true,
+                                },
+                            },
+                        });
+                    }
+                    this.standbyDash.initialize(standby, source.streamUrl, false);
+                    this.standbyDashInitialized = true;
+                }
+            } else {
+                if (this.standbyDashInitialized) {
+                    this.standbyDash.reset();
+                    this.standbyDashInitialized = false;
+                }
+                standby.src = source.streamUrl;
+                standby.load();
+            }
+
+            await waitForEvent(standby, 'canplay');
+            if (this.pending !== pending) return;
+
+            pending.ready = true;
+        } catch (e) {
+            console.warn('[Transitions] Failed to prepare next track:', e);
+            if (this.pending === pending) {
+                this._releaseStandby();
+            }
+        }
+    }
+
+    _startStandby(verifyUpcoming = true, fadeSeconds = 0) {
+        const pending = this.pending;
+        if (!pending?.ready || this.isStandbyPlaying) return;
+
+        // The queue may have changed since we started buffering
+        if (verifyUpcoming && this._getUpcomingTrack()?.id !== pending.track.id) {
+            this.cancel();
+            return;
+        }
+
+        const standby = this.standby;
+        standby.currentTime = 0;
+        standby.volume = this.player.getEffectiveVolume(pending.rgValues);
+        standby.muted = this.audio.muted;
+        standby.playbackRate = this.audio.playbackRate;
+        standby.preservesPitch = this.audio.preservesPitch;
+
+        if (fadeSeconds > 0) {
+            const shape = crossfadeSettings.getCurve();
+            audioContextManager.setElementGainCurve(standby, buildFadeCurve(shape, true), fadeSeconds);
+            audioContextManager.setElementGainCurve(this.audio, buildFadeCurve(shape, false), fadeSeconds);
+        } else {
+            audioContextManager.setElementGain(standby, 1);
+        }
+
+        this.isStandbyPlaying = true;
+        standby.play().catch((e) => {
+            console.warn('[Transitions] Standby playback failed:', e);
+            this.cancel();
+        });
+    }
+
+    /**
+     * Called by playTrackFromQueue before loading a track on the main element
+     * @returns {boolean} - True if the standby is (now) playing this track and the main element should load silently
+     */
+    beginHandover(track) {
+        if (!this.pending || this.pending.track.id !== track.id) {
+            this.cancel();
+            return false;
+        }
+
+        if (!this.isStandbyPlaying) {
+            // The current track ended before the boundary timer fired
+            if (!this.audio.ended || !this.pending.ready) {
+                this.cancel();
+                return false;
+            }
+            this._clearStartTimer();
+            this._startStandby(false);
+            if (!this.isStandbyPlaying) return false;
+        }
+
+        this.isHandingOver = true;
+        audioContextManager.setElementGain(this.audio, 0);
+        return true;
+    }
+
+    /**
+     * Called once the main element has started the track the standby is playing:
+     * line the two up, ramp the main element back in and release the standby
+     */
+    async completeHandover() {
+        if (!this.isHandingOver) return;
+
+        try {
+            if (this.audio.paused || this.audio.readyState < 3) {
+                await waitForEvent(this.audio, 'playing');
+            }
+            if (!this.isHandingOver) return;
+
+            // Aim where the standby will be once the seek is done, judging by how long the last one took
+            let seekLatency = 0;
+            for (let attempt = 0; attempt < HANDOVER_SEEK_ATTEMPTS; attempt++) {
+                const drift = this.standby.currentTime - this.audio.currentTime;
+                if (attempt > 0 && Math.abs(drift) <= HANDOVER_MAX_DRIFT_SECONDS) break;
+
+                const seekStart = performance.now();
+                this.audio.currentTime = this.standby.currentTime + seekLatency;
+                await waitForEvent(this.audio, 'seeked');
+                if (!this.isHandingOver) return;
+                seekLatency = ((performance.now() - seekStart) / 1000) * this.standby.playbackRate;
+            }
+
+            audioContextManager.setElementGain(this.audio, 1, HANDOVER_RAMP_SECONDS);
+            audioContextManager.setElementGain(this.standby, 0, HANDOVER_RAMP_SECONDS);
+            await new Promise((resolve) => setTimeout(resolve, HANDOVER_RAMP_SECONDS * 1000 + 20));
+        } catch (e) {
+            console.warn('[Transitions] Hand-over failed:', e);
+        }
+
+        this.cancel();
+    }
+
+    /**
+     * Drop any buffered or playing standby track and make the main element audible again
+     */
+    cancel() {
+        this._clearStartTimer();
+        this.pending = null;
+        this.isHandingOver = false;
+        this._releaseStandby();
+        audioContextManager.setElementGain(this.audio, 1);
+    }
+
+    _releaseStandby() {
+        this.isStandbyPlaying = false;
+        if (!this.standby) return;
+
+        this.standby.pause();
+        if (this.standbyDashInitialized) {
+            this.standbyDash.reset();
+            this.standbyDashInitialized = false;
+        } else if (this.standby.getAttribute('src')) {
+            this.standby.removeAttribute('src');
+            this.standby.load();
+        }
+
+        if (this.standbyObjectUrl) {
+            URL.revokeObjectURL(this.standbyObjectUrl);
+            this.standbyObjectUrl = null;
+        }
+    }
+}
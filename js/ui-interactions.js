@@ -16,12 +16,19 @@ import { downloadQualitySettings, contentBlockingSettings } from './storage.js';
 import { db } from './db.js';
 import { syncManager } from './accounts/pocketbase.js';
 import { showNotification, downloadTracks } from './downloads.js';
+import { LOOP_SPEEDS } from './ab-loop.js';
+import { outputDeviceManager } from './output-devices.js';
+import { levelMeter } from './level-meter.js';
 
 export function initializeUIInteractions(player, api, ui) {
     const sidebar = document.querySelector('.sidebar');
     const sidebarOverlay = document.getElementById('sidebar-overlay');
     const hamburgerBtn = document.getElementById('hamburger-btn');
     const queueBtn = document.getElementById('queue-btn');
+    const abLoopBtn = document.getElementById('ab-loop-btn');
+    const bookmarksBtn = document.getElementById('bookmarks-btn');
+    const outputDeviceBtn = document.getElementById('output-device-btn');
+    const levelMeterBtn = document.getElementById('level-meter-btn');
     const libraryPage = document.getElementById('page-library');
 
     if (libraryPage) {
@@ -100,6 +107,15 @@ export function initializeUIInteractions(player, api, ui) {
         const showActionBtns = currentQueue.length > 0;
 
         container.innerHTML = `
+            <button id="undo-queue-btn" class="btn-icon" title="Undo Queue Change (Ctrl+Z)" style="display: ${player.canUndoQueueChange() ? 'flex' : 'none'}">
+                <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M9 14 4 9l5-5"/><path d="M4 9h10.5a5.5 5.5 0 0 1 0 11H11"/></svg>
+            </button>
+            <button id="save-queue-btn" class="btn-icon" title="Save Queue" style="display: ${showActionBtns ? 'flex' : 'none'}">
+                <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M19 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11l5 5v11a2 2 0 0 1-2 2z"/><polyline points="17 21 17 13 7 13 7 21"/><polyline points="7 3 7 8 15 8"/></svg>
+            </button>
+            <button id="saved-queues-btn" class="btn-icon" title="Saved Queues">
+                <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 8v13H3V8"/><path d="M1 3h22v5H1z"/><path d="M10 12h4"/></svg>
+            </button>
             <button id="download-queue-btn" class="btn-icon" title="Download Queue" style="display: ${showActionBtns ? 'flex' : 'none'}">
                 ${SVG_DOWNLOAD}
             </button>
@@ -229,6 +245,163 @@ export function initializeUIInteractions(player, api, ui) {
                 refreshQueuePanel();
             });
         }
+
+        const undoBtn = container.querySelector('#undo-queue-btn');
+        if (undoBtn) {
+            undoBtn.addEventListener('click', () => {
+                if (player.undoQueueChange()) {
+                    showNotification('Queue restored');
+                }
+                refreshQueuePanel();
+            });
+        }
+
+        const saveQueueBtn = container.querySelector('#save-queue-btn');
+        if (saveQueueBtn) {
+            saveQueueBtn.addEventListener('click', openSaveQueueModal);
+        }
+
+        const savedQueuesBtn = container.querySelector('#saved-queues-btn');
+        if (savedQueuesBtn) {
+            savedQueuesBtn.addEventListener('click', openSavedQueuesModal);
+        }
+    };
+
+    const openSaveQueueModal = () => {
+        const modal = document.createElement('div');
+        modal.className = 'modal active';
+        modal.innerHTML = `
+            <div class="modal-overlay"></div>
+            <div class="modal-content">
+                <h3>Save Queue</h3>
+                <input type="text" class="template-input" placeholder="Queue name" maxlength="80" style="margin: 1rem 0" />
+                <div class="modal-actions">
+                    <button class="btn-secondary cancel-btn">Cancel</button>
+                    <button class="btn-primary save-btn">Save</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const nameInput = modal.querySelector('input');
+        nameInput.value = `Queue ${new Date().toLocaleString()}`;
+        nameInput.select();
+
+        const closeModal = () => {
+            modal.remove();
+        };
+
+        const save = async () => {
+            const name = nameInput.value.trim();
+            if (!name) return;
+
+            try {
+                await player.saveQueueAs(name);
+                showNotification(`Saved queue: ${escapeHtml(name)}`);
+            } catch (error) {
+                console.error('Failed to save queue:', error);
+                showNotification('Failed to save queue');
+            }
+            closeModal();
+        };
+
+        modal.querySelector('.save-btn').addEventListener('click', save);
+        nameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') save();
+            if (e.key === 'Escape') closeModal();
+        });
+        modal.addEventListener('click', (e) => {
+            if (e.target.classList.contains('modal-overlay') || e.target.classList.contains('cancel-btn')) {
+                closeModal();
+            }
+        });
+    };
+
+    const openSavedQueuesModal = async () => {
+        let savedQueues = [];
+        try {
+            savedQueues = await db.getSavedQueues();
+        } catch (error) {
+            console.error('Failed to load saved queues:', error);
+        }
+
+        if (savedQueues.length === 0) {
+            showNotification('No saved queues yet');
+            return;
+        }
+
+        const modal = document.createElement('div');
+        modal.className = 'modal active';
+        modal.innerHTML = `
+            <div class="modal-overlay"></div>
+            <div class="modal-content">
+                <h3>Saved Queues</h3>
+                <div class="modal-list">
+                    ${savedQueues
+                        .map((q) => {
+                            const tracks = q.shuffleActive ? q.shuffledQueue : q.queue;
+                            const current = tracks[q.currentQueueIndex];
+                            const resumeInfo = current
+                                ? ` · ${escapeHtml(getTrackTitle(current))} at ${formatTime(q.position || 0)}`
+                                : '';
+                            return `
+                        <div class="modal-option saved-queue-option" data-id="${q.id}">
+                            <div class="saved-queue-info">
+                                <span class="saved-queue-name">${escapeHtml(q.name)}</span>
+                                <span class="saved-queue-meta">${tracks.length} tracks${resumeInfo}</span>
+                            </div>
+                            <button class="btn-icon delete-saved-queue-btn" title="Delete saved queue">
+                                ${SVG_BIN}
+                            </button>
+                        </div>
+                    `;
+                        })
+                        .join('')}
+                </div>
+                <div class="modal-actions">
+                    <button class="btn-secondary cancel-btn">Close</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const closeModal = () => {
+            modal.remove();
+        };
+
+        modal.addEventListener('click', async (e) => {
+            if (e.target.classList.contains('modal-overlay') || e.target.classList.contains('cancel-btn')) {
+                closeModal();
+                return;
+            }
+
+            const option = e.target.closest('.saved-queue-option');
+            if (!option) return;
+
+            if (e.target.closest('.delete-saved-queue-btn')) {
+                try {
+                    await db.deleteSavedQueue(option.dataset.id);
+                    option.remove();
+                    if (!modal.querySelector('.saved-queue-option')) closeModal();
+                } catch (error) {
+                    console.error('Failed to delete saved queue:', error);
+                    showNotification('Failed to delete saved queue');
+                }
+                return;
+            }
+
+            try {
+                if (await player.restoreSavedQueue(option.dataset.id)) {
+                    showNotification('Queue restored');
+                }
+            } catch (error) {
+                console.error('Failed to restore saved queue:', error);
+                showNotification('Failed to restore queue');
+            }
+            closeModal();
+        });
     };
 
     const renderQueueContent = (container) => {
@@ -246,12 +419,15 @@ export function initializeUIInteractions(player, api, ui) {
                 const trackTitle = getTrackTitle(track);
                 const trackArtists = getTrackArtists(track, { fallback: 'Unknown' });
                 const qualityBadge = createQualityBadgeHTML(track);
+                const autoplayBadge = track.isAutoplay
+                    ? '<span class="autoplay-badge" title="Added by autoplay">AUTOPLAY</span>'
+                    : '';
                 const blockedTitle = isBlocked
                     ? `title="Blocked: ${contentBlockingSettings.isTrackBlocked(track.id) ? 'Track blocked' : contentBlockingSettings.isArtistBlocked(track.artist?.id) ? 'Artist blocked' : 'Album blocked'}"`
                     : '';
 
                 return `
-                <div class="queue-track-item ${isPlaying ? 'playing' : ''} ${isBlocked ? 'blocked' : ''}" data-queue-index="${index}" data-track-id="${track.id}" draggable="${isBlocked ? 'false' : 'true'}" ${blockedTitle}>
+                <div class="queue-track-item ${isPlaying ? 'playing' : ''} ${isBlocked ? 'blocked' : ''} ${track.isAutoplay ? 'autoplay' : ''}" data-queue-index="${index}" data-track-id="${track.id}" draggable="${isBlocked ? 'false' : 'true'}" ${blockedTitle}>
                     <div class="drag-handle">
                         <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                             <line x1="5" y1="8" x2="19" y2="8"></line>
@@ -262,7 +438,7 @@ export function initializeUIInteractions(player, api, ui) {
                         <img src="${api.getCoverUrl(track.album?.cover)}"
                              class="track-item-cover" loading="lazy">
                         <div class="track-item-details">
-                            <div class="title">${escapeHtml(trackTitle)} ${qualityBadge}</div>
+                            <div class="title">${escapeHtml(trackTitle)} ${qualityBadge}${autoplayBadge}</div>
                             <div class="artist">${escapeHtml(trackArtists)}</div>
                         </div>
                     </div>
@@ -403,6 +579,383 @@ export function initializeUIInteractions(player, api, ui) {
         }
     };
 
+    // A-B loop panel
+    const renderLoopControls = (container) => {
+        container.innerHTML = `
+            <button id="close-side-panel-btn" class="btn-icon" title="Close">
+                ${SVG_CLOSE}
+            </button>
+        `;
+
+        container.querySelector('#close-side-panel-btn').addEventListener('click', () => {
+            sidePanelManager.close();
+        });
+    };
+
+    const renderLoopContent = (container) => {
+        const loop = player.abLoop;
+        const pointLabel = (time) => (time === null ? '--:--' : formatTime(time));
+        const speedLabel = (speed) => `${Math.round(speed * 100)}%`;
+
+        if (!player.currentTrack) {
+            container.innerHTML = '<div class="placeholder-text">Nothing is playing.</div>';
+            return;
+        }
+
+        const regionsHTML = loop.regions.length
+            ? loop.regions
+                  .map(
+                      (region) => `
+                <div class="ab-loop-region-item ${loop.start === region.start && loop.end === region.end ? 'active' : ''}" data-region-id="${region.id}">
+                    <button class="ab-loop-region-apply" data-action="apply">
+                        <span class="name">${escapeHtml(region.name)}</span>
+                        <span class="range">${formatTime(region.start)} - ${formatTime(region.end)}${region.speed && region.speed !== 1 ? ` · ${speedLabel(region.speed)}` : ''}</span>
+                    </button>
+                    <button class="btn-icon" data-action="delete" title="Delete loop">
+                        ${SVG_BIN}
+                    </button>
+                </div>
+            `
+                  )
+                  .join('')
+            : '<div class="placeholder-text">No saved loops for this track.</div>';
+
+        container.innerHTML = `
+            <div class="ab-loop-panel">
+                <div class="ab-loop-points">
+                    <button class="btn-secondary" data-action="set-start">A <span>${pointLabel(loop.start)}</span></button>
+                    <button class="btn-secondary" data-action="set-end">B <span>${pointLabel(loop.end)}</span></button>
+                    <button class="btn-secondary" data-action="clear" ${loop.start === null ? 'disabled' : ''}>Clear</button>
+                    <select class="ab-loop-speed" data-action="speed" title="Loop speed">
+                        ${LOOP_SPEEDS.map((speed) => `<option value="${speed}" ${speed === loop.speed ? 'selected' : ''}>${speedLabel(speed)}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="ab-loop-save">
+                    <input type="text" class="template-input" placeholder="Loop name" maxlength="60" ${loop.isActive() ? '' : 'disabled'} />
+                    <button class="btn-primary" data-action="save" ${loop.isActive() ? '' : 'disabled'}>Save</button>
+                </div>
+                <p class="ab-loop-hint">Shift+click the seek bar to set A and Alt+click to set B, or press [ and ] while playing. \\ clears the loop.</p>
+                <div class="ab-loop-regions">${regionsHTML}</div>
+            </div>
+        `;
+
+        const nameInput = container.querySelector('.ab-loop-save input');
+
+        container.querySelector('[data-action="set-start"]').addEventListener('click', () => loop.setStart());
+        container.querySelector('[data-action="set-end"]').addEventListener('click', () => loop.setEnd());
+        container.querySelector('[data-action="clear"]').addEventListener('click', () => loop.clear());
+        container.querySelector('[data-action="speed"]').addEventListener('change', (e) => {
+            loop.setSpeed(e.target.value);
+        });
+
+        const saveLoop = async () => {
+            try {
+                const region = await loop.saveRegion(nameInput.value);
+                if (region) showNotification(`Saved loop "${escapeHtml(region.name)}"`);
+            } catch (e) {
+                console.error('Failed to save loop:', e);
+                showNotification('Failed to save loop');
+            }
+        };
+        container.querySelector('[data-action="save"]').addEventListener('click', saveLoop);
+        nameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') saveLoop();
+        });
+
+        container.querySelectorAll('.ab-loop-region-item').forEach((item) => {
+            const region = loop.regions.find((r) => r.id === item.dataset.regionId);
+            if (!region) return;
+
+            item.querySelector('[data-action="apply"]').addEventListener('click', () => loop.applyRegion(region));
+            item.querySelector('[data-action="delete"]').addEventListener('click', async () => {
+                try {
+                    await loop.deleteRegion(region.id);
+                } catch (e) {
+                    console.error('Failed to delete loop:', e);
+                }
+            });
+        });
+    };
+
+    player.abLoop.onChange(() => {
+        abLoopBtn?.classList.toggle('active', player.abLoop.isActive());
+        sidePanelManager.refresh('ab-loop', null, renderLoopContent);
+    });
+
+    if (abLoopBtn) {
+        abLoopBtn.addEventListener('click', () => {
+            sidePanelManager.open('ab-loop', 'A-B Loop', renderLoopControls, renderLoopContent);
+        });
+    }
+
+    // Bookmarks panel
+    const renderBookmarkControls = (container) => {
+        container.innerHTML = `
+            <button id="close-side-panel-btn" class="btn-icon" title="Close">
+                ${SVG_CLOSE}
+            </button>
+        `;
+
+        container.querySelector('#close-side-panel-btn').addEventListener('click', () => {
+            sidePanelManager.close();
+        });
+    };
+
+    const renderBookmarkContent = (container) => {
+        const resumePoints = player.resumePoints;
+
+        if (!player.currentTrack) {
+            container.innerHTML = '<div class="placeholder-text">Nothing is playing.</div>';
+            return;
+        }
+
+        const resumeHTML = resumePoints.resumePoint
+            ? `
+                <div class="bookmark-item resume-point-item">
+                    <button class="bookmark-seek" data-action="resume">
+                        <span class="name">Resume point</span>
+                        <span class="time">${formatTime(resumePoints.resumePoint.position)}</span>
+                    </button>
+                    <button class="btn-icon" data-action="forget-resume" title="Forget resume point">
+                        ${SVG_BIN}
+                    </button>
+                </div>
+            `
+            : '';
+
+        const bookmarksHTML = resumePoints.bookmarks.length
+            ? resumePoints.bookmarks
+                  .map(
+                      (bookmark) => `
+                <div class="bookmark-item" data-bookmark-id="${bookmark.id}">
+                    <button class="bookmark-seek" data-action="seek">
+                        <span class="name">${escapeHtml(bookmark.label)}</span>
+                        <span class="time">${formatTime(bookmark.time)}</span>
+                    </button>
+                    <button class="btn-icon" data-action="delete" title="Delete bookmark">
+                        ${SVG_BIN}
+                    </button>
+                </div>
+            `
+                  )
+                  .join('')
+            : '<div class="placeholder-text">No bookmarks for this track. Press B to add one.</div>';
+
+        container.innerHTML = `
+            <div class="bookmarks-panel">
+                <div class="bookmark-add">
+                    <input type="text" class="template-input" placeholder="Bookmark label" maxlength="80" />
+                    <button class="btn-primary" data-action="add">Add</button>
+                </div>
+                ${resumeHTML}
+                <div class="bookmark-list">${bookmarksHTML}</div>
+            </div>
+        `;
+
+        const labelInput = container.querySelector('.bookmark-add input');
+        const addBookmark = async () => {
+            try {
+                const bookmark = await resumePoints.addBookmark(labelInput.value);
+                if (bookmark) showNotification(`Bookmarked ${formatTime(bookmark.time)}`);
+            } catch (e) {
+                console.error('Failed to add bookmark:', e);
+                showNotification('Failed to add bookmark');
+            }
+        };
+        container.querySelector('[data-action="add"]').addEventListener('click', addBookmark);
+        labelInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') addBookmark();
+        });
+
+        container.querySelector('[data-action="resume"]')?.addEventListener('click', () => resumePoints.resume());
+        container.querySelector('[data-action="forget-resume"]')?.addEventListener('click', () => {
+            resumePoints.forgetResumePoint();
+        });
+
+        container.querySelectorAll('.bookmark-item[data-bookmark-id]').forEach((item) => {
+            const bookmark = resumePoints.bookmarks.find((b) => b.id === item.dataset.bookmarkId);
+            if (!bookmark) return;
+
+            item.querySelector('[data-action="seek"]').addEventListener('click', () => resumePoints.seekTo(bookmark));
+            item.querySelector('[data-action="delete"]').addEventListener('click', async () => {
+                try {
+                    await resumePoints.deleteBookmark(bookmark.id);
+                } catch (e) {
+                    console.error('Failed to delete bookmark:', e);
+                }
+            });
+        });
+    };
+
+    player.resumePoints.onChange(() => {
+        sidePanelManager.refresh('bookmarks', null, renderBookmarkContent);
+    });
+
+    if (bookmarksBtn) {
+        bookmarksBtn.addEventListener('click', () => {
+            sidePanelManager.open('bookmarks', 'Bookmarks', renderBookmarkControls, renderBookmarkContent);
+        });
+    }
+
+    const openOutputDeviceModal = async () => {
+        const devices = await outputDeviceManager.refresh();
+        if (devices.length === 0) {
+            showNotification('No other output devices found');
+            return;
+        }
+
+        const currentId = outputDeviceManager.getDeviceId();
+        const modal = document.createElement('div');
+        modal.className = 'modal active';
+        modal.innerHTML = `
+            <div class="modal-overlay"></div>
+            <div class="modal-content">
+                <h3>Output Device</h3>
+                <div class="modal-list">
+                    ${outputDeviceManager
+                        .getDevices()
+                        .map(
+                            (device) => `
+                        <div class="modal-option ${device.deviceId === currentId ? 'active' : ''}" data-device-id="${escapeHtml(device.deviceId)}">
+                            ${escapeHtml(device.label)}
+                        </div>
+                    `
+                        )
+                        .join('')}
+                </div>
+                <div class="modal-actions">
+                    <button class="btn-secondary cancel-btn">Cancel</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        modal.addEventListener('click', async (e) => {
+            if (e.target.classList.contains('modal-overlay') || e.target.classList.contains('cancel-btn')) {
+                modal.remove();
+                return;
+            }
+
+            const option = e.target.closest('.modal-option');
+            if (!option) return;
+
+            modal.remove();
+            await outputDeviceManager.selectDevice(option.dataset.deviceId);
+            const device = outputDeviceManager.getDevices().find((d) => d.deviceId === option.dataset.deviceId);
+            showNotification(`Playing on ${escapeHtml(device?.label || 'system default')}`);
+        });
+    };
+
+    if (outputDeviceBtn && outputDeviceManager.isSupported()) {
+        outputDeviceBtn.style.display = '';
+        outputDeviceBtn.addEventListener('click', openOutputDeviceModal);
+    }
+
+    // Level meter panel
+    const METER_FLOOR_DB = -60;
+    const meterPercent = (db) => Math.max(0, Math.min(100, ((db - METER_FLOOR_DB) / -METER_FLOOR_DB) * 100));
+    const formatLevel = (value) => (value === null || !Number.isFinite(value) ? '-∞' : value.toFixed(1));
+
+    const renderMeterControls = (container) => {
+        container.innerHTML = `
+            <button id="close-side-panel-btn" class="btn-icon" title="Close">
+                ${SVG_CLOSE}
+            </button>
+        `;
+
+        container.querySelector('#close-side-panel-btn').addEventListener('click', () => {
+            sidePanelManager.close();
+        });
+    };
+
+    const renderMeterContent = (container) => {
+        const channelHTML = (label, index) => `
+            <div class="level-meter-channel" data-channel="${index}">
+                <span class="level-meter-label">${label}</span>
+                <div class="level-meter-bar">
+                    <div class="level-meter-rms"></div>
+                    <div class="level-meter-peak"></div>
+                </div>
+                <span class="level-meter-value" data-field="peak" title="Peak (dBFS)"></span>
+                <span class="level-meter-value" data-field="rms" title="RMS (dBFS)"></span>
+            </div>
+        `;
+
+        container.innerHTML = `
+            <div class="level-meter-panel">
+                <div class="level-meter-channels">
+                    ${channelHTML('L', 0)}
+                    ${channelHTML('R', 1)}
+                    <div class="level-meter-scale">
+                        <span>${METER_FLOOR_DB}</span><span>-40</span><span>-20</span><span>0 dB</span>
+                    </div>
+                </div>
+                <div class="level-meter-readouts">
+                    <div class="level-meter-readout">
+                        <span class="label">Short-term</span>
+                        <span class="value" data-field="short-term"></span>
+                    </div>
+                    <div class="level-meter-readout">
+                        <span class="label">Integrated</span>
+                        <span class="value" data-field="integrated"></span>
+                    </div>
+                    <div class="level-meter-readout">
+                        <span class="label">True peak</span>
+                        <span class="value" data-field="true-peak"></span>
+                    </div>
+                    <button class="level-meter-clip" title="Clipped since the track started - click to reset">
+                        Clip
+                    </button>
+                </div>
+                <button class="btn-secondary" data-action="reset">Reset</button>
+                <p class="level-meter-hint">
+                    Measured at the output, after the ReplayGain pre-amp, EQ, effects and dynamics. Loudness
+                    integration restarts with every track.
+                </p>
+            </div>
+        `;
+
+        const channelEls = [...container.querySelectorAll('.level-meter-channel')].map((el) => ({
+            rms: el.querySelector('.level-meter-rms'),
+            peak: el.querySelector('.level-meter-peak'),
+            peakValue: el.querySelector('[data-field="peak"]'),
+            rmsValue: el.querySelector('[data-field="rms"]'),
+        }));
+        const shortTermEl = container.querySelector('[data-field="short-term"]');
+        const integratedEl = container.querySelector('[data-field="integrated"]');
+        const truePeakEl = container.querySelector('[data-field="true-peak"]');
+        const clipEl = container.querySelector('.level-meter-clip');
+
+        clipEl.addEventListener('click', () => levelMeter.reset());
+        container.querySelector('[data-action="reset"]').addEventListener('click', () => levelMeter.reset());
+
+        levelMeter.start(player, (readings) => {
+            if (!sidePanelManager.isActive('level-meter') || !container.isConnected) {
+                levelMeter.stop();
+                return;
+            }
+
+            readings.channels.forEach((channel, index) => {
+                const els = channelEls[index];
+                els.rms.style.setProperty('--level', `${meterPercent(channel.rms)}%`);
+                els.peak.style.left = `${meterPercent(channel.peak)}%`;
+                els.peakValue.textContent = formatLevel(channel.peak);
+                els.rmsValue.textContent = formatLevel(channel.rms);
+            });
+            shortTermEl.textContent = `${formatLevel(readings.shortTerm)} LUFS`;
+            integratedEl.textContent = `${formatLevel(readings.integrated)} LUFS`;
+            truePeakEl.textContent = `${formatLevel(readings.truePeak)} dBTP`;
+            clipEl.classList.toggle('active', readings.clipped);
+        });
+    };
+
+    if (levelMeterBtn) {
+        levelMeterBtn.addEventListener('click', () => {
+            sidePanelManager.open('level-meter', 'Level Meter', renderMeterControls, renderMeterContent);
+        });
+    }
+
     const folderPage = document.getElementById('page-folder');
     if (folderPage) {
         folderPage.addEventListener('dragover', (e) => {
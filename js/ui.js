@@ -18,8 +18,9 @@ import {
     calculateTotalDuration,
     formatDuration,
     escapeHtml,
+    formatBytes,
 } from './utils.js';
-import { openLyricsPanel } from './lyrics.js';
+import { openLyricsPanel, renderLyricsInFullscreen, clearFullscreenLyricsSync } from './lyrics.js';
 import {
     recentActivityManager,
     backgroundSettings,
@@ -29,11 +30,16 @@ import {
     homePageSettings,
     fontSettings,
     contentBlockingSettings,
+    karaokeSettings,
 } from './storage.js';
+import { audioContextManager } from './audio-context.js';
 import { db } from './db.js';
+import { trackStats } from './track-stats.js';
+import { offlineManager } from './offline.js';
 import { getVibrantColorFromImage } from './vibrant-color.js';
 import { syncManager } from './accounts/pocketbase.js';
 import { Visualizer } from './visualizer.js';
+import { visualizerRecorder, RECORDING_RESOLUTIONS } from './visualizer-recorder.js';
 import { navigate } from './router.js';
 import {
     renderUnreleasedPage as renderUnreleasedTrackerPage,
@@ -74,6 +80,22 @@ function sortTracks(tracks, sortType) {
                 const trackNumB = b.trackNumber || b.position || 0;
                 return trackNumA - trackNumB;
             });
+        case 'most-played':
+            return sorted.sort(
+                (a, b) => (trackStats.get(b.id)?.playCount || 0) - (trackStats.get(a.id)?.playCount || 0)
+            );
+        case 'most-skipped':
+            return sorted.sort(
+                (a, b) => (trackStats.get(b.id)?.skipCount || 0) - (trackStats.get(a.id)?.skipCount || 0)
+            );
+        case 'recently-played':
+            return sorted.sort(
+                (a, b) => (trackStats.get(b.id)?.lastPlayed || 0) - (trackStats.get(a.id)?.lastPlayed || 0)
+            );
+        case 'most-listened':
+            return sorted.sort(
+                (a, b) => (trackStats.get(b.id)?.listenedSeconds || 0) - (trackStats.get(a.id)?.listenedSeconds || 0)
+            );
         default:
             return sorted;
     }
@@ -87,11 +109,39 @@ export class UIRenderer {
         this.searchAbortController = null;
         this.vibrantColorCache = new Map();
         this.visualizer = null;
+        this.fullscreenAudioPlayer = null;
+        this.fullscreenLyricsManager = null;
 
         // Listen for dynamic color reset events
         window.addEventListener('reset-dynamic-color', () => {
             this.resetVibrantColor();
         });
+
+        window.addEventListener('offline-tracks-changed', () => {
+            this.updateOfflineBadges();
+            if (document.getElementById('page-library')?.classList.contains('active')) {
+                this.renderOfflineTracks();
+            }
+        });
+    }
+
+    createOfflineBadge() {
+        return '<span class="offline-badge" title="Available offline">OFFLINE</span>';
+    }
+
+    updateOfflineBadges() {
+        document.querySelectorAll('.track-item[data-track-id]').forEach((item) => {
+            const title = item.querySelector('.track-item-details .title');
+            if (!title) return;
+
+            const badge = title.querySelector('.offline-badge');
+            const isOffline = offlineManager.has(item.dataset.trackId);
+            if (isOffline && !badge) {
+                title.insertAdjacentHTML('beforeend', this.createOfflineBadge());
+            } else if (!isOffline && badge) {
+                badge.remove();
+            }
+        });
     }
 
     // Helper for Heart Icon
@@ -280,6 +330,7 @@ export class UIRenderer {
         const trackNumberHTML = `<div class="track-number">${showCover ? trackImageHTML : displayIndex}</div>`;
         const explicitBadge = hasExplicitContent(track) ? this.createExplicitBadge() : '';
         const qualityBadge = createQualityBadgeHTML(track);
+        const offlineBadge = offlineManager.has(track.id) ? this.createOfflineBadge() : '';
         const trackArtists = getTrackArtists(track);
         const trackTitle = getTrackTitle(track);
         const isCurrentTrack = this.player?.currentTrack?.id === track.id;
@@ -324,6 +375,7 @@ export class UIRenderer {
                             ${escapeHtml(trackTitle)}
                             ${explicitBadge}
                             ${qualityBadge}
+                            ${offlineBadge}
                         </div>
                         <div class="artist">${escapeHtml(trackArtists)}${yearDisplay}</div>
                     </div>
@@ -838,6 +890,11 @@ export class UIRenderer {
         } else {
             nextTrackEl.style.display = 'none';
         }
+
+        // Karaoke lyrics belong to the track as well; a no-op while they already show this one
+        if (overlay.style.display !== 'none' && karaokeSettings.isEnabled()) {
+            this.updateKaraokeMode(true, this.fullscreenAudioPlayer, this.fullscreenLyricsManager);
+        }
     }
 
     async showFullscreenCover(track, nextTrack, lyricsManager, audioPlayer) {
@@ -878,7 +935,7 @@ export class UIRenderer {
         const playerBar = document.querySelector('.now-playing-bar');
         if (playerBar) playerBar.style.display = 'none';
 
-        this.setupFullscreenControls(audioPlayer);
+        this.setupFullscreenControls(audioPlayer, lyricsManager);
 
         overlay.style.display = 'flex';
 
@@ -936,12 +993,118 @@ export class UIRenderer {
             this.fullscreenUpdateInterval = null;
         }
 
+        // The recording needs the visualizer running; stopping saves what was recorded so far
+        visualizerRecorder.stop();
+
         if (this.visualizer) {
             this.visualizer.stop();
         }
+
+        // Karaoke mode belongs to the fullscreen view; it comes back when the view is reopened
+        this.updateKaraokeMode(false);
     }
 
-    setupFullscreenControls(audioPlayer) {
+    /**
+     * Switch vocal reduction and the karaoke lyrics of the fullscreen view on or off
+     * @param {boolean} enabled
+     */
+    updateKaraokeMode(enabled, audioPlayer = null, lyricsManager = null) {
+        const overlay = document.getElementById('fullscreen-cover-overlay');
+        const container = document.getElementById('fullscreen-karaoke-lyrics');
+        const karaokeBtn = document.getElementById('fs-karaoke-btn');
+        const track = this.player.currentTrack;
+        const showLyrics = enabled && track && audioPlayer && lyricsManager;
+
+        audioContextManager.karaoke.setEnabled(enabled);
+        overlay?.classList.toggle('karaoke-mode', !!showLyrics);
+        karaokeBtn?.classList.toggle('active', enabled);
+        if (!container) return;
+
+        if (!showLyrics) {
+            clearFullscreenLyricsSync(container);
+            container.innerHTML = '';
+            container.dataset.trackId = '';
+            return;
+        }
+
+        // Already showing this track's lyrics
+        if (container.dataset.trackId === String(track.id)) return;
+
+        clearFullscreenLyricsSync(container);
+        container.dataset.trackId = track.id;
+        renderLyricsInFullscreen(track, audioPlayer, lyricsManager, container, { karaoke: true });
+    }
+
+    showRecordClipModal(audioPlayer, lyricsManager) {
+        const modal = document.getElementById('record-clip-modal');
+        const track = this.player.currentTrack;
+        if (!modal || !track) return;
+
+        const resolutionSelect = document.getElementById('record-clip-resolution');
+        const durationInput = document.getElementById('record-clip-duration');
+        if (!resolutionSelect.options.length) {
+            resolutionSelect.innerHTML = Object.entries(RECORDING_RESOLUTIONS)
+                .map(([key, { name }]) => `<option value="${key}">${name}</option>`)
+                .join('');
+            resolutionSelect.value = '1080p';
+        }
+
+        const closeModal = () => {
+            modal.classList.remove('active');
+            modal.removeEventListener('click', handleClick);
+        };
+
+        const startRecording = async () => {
+            const duration = parseInt(durationInput.value, 10);
+            if (!duration || duration < 5 || duration > 300) {
+                showNotification('Please enter a duration between 5 and 300 seconds');
+                return;
+            }
+            closeModal();
+
+            const recordBtn = document.getElementById('fs-record-btn');
+            try {
+                await visualizerRecorder.start({
+                    getVisualizerCanvas: () => document.getElementById('visualizer-canvas'),
+                    audioPlayer,
+                    getTrack: () => this.player.currentTrack,
+                    getCoverUrl: (current) => this.api.getCoverUrl(current.album?.cover, '1280'),
+                    lyricsManager,
+                    resolution: resolutionSelect.value,
+                    duration,
+                    overlays: {
+                        cover: document.getElementById('record-clip-cover').checked,
+                        info: document.getElementById('record-clip-info').checked,
+                        lyrics: document.getElementById('record-clip-lyrics').checked,
+                    },
+                    onStateChange: (recording) => {
+                        recordBtn?.classList.toggle('recording', recording);
+                        if (recordBtn) recordBtn.title = recording ? 'Stop recording' : 'Record clip';
+                        showNotification(recording ? `Recording ${duration}s clip...` : 'Clip saved');
+                    },
+                });
+                if (audioPlayer.paused) audioPlayer.play().catch(() => {});
+            } catch (e) {
+                console.warn('[Recorder] Failed to start recording:', e);
+                showNotification(`Recording failed: ${e.message}`);
+            }
+        };
+
+        const handleClick = (e) => {
+            if (e.target.id === 'start-record-clip') {
+                startRecording();
+            } else if (e.target.id === 'cancel-record-clip' || e.target.classList.contains('modal-overlay')) {
+                closeModal();
+            }
+        };
+
+        modal.addEventListener('click', handleClick);
+        modal.classList.add('active');
+    }
+
+    setupFullscreenControls(audioPlayer, lyricsManager) {
+        this.fullscreenAudioPlayer = audioPlayer;
+        this.fullscreenLyricsManager = lyricsManager;
         const playBtn = document.getElementById('fs-play-pause-btn');
         const prevBtn = document.getElementById('fs-prev-btn');
         const nextBtn = document.getElementById('fs-next-btn');
@@ -956,6 +1119,8 @@ export class UIRenderer {
         const fsDownloadBtn = document.getElementById('fs-download-btn');
         const fsCastBtn = document.getElementById('fs-cast-btn');
         const fsQueueBtn = document.getElementById('fs-queue-btn');
+        const fsKaraokeBtn = document.getElementById('fs-karaoke-btn');
+        const fsRecordBtn = document.getElementById('fs-record-btn');
         const artistEl = document.getElementById('fullscreen-track-artist');
 
         if (artistEl) {
@@ -993,8 +1158,8 @@ export class UIRenderer {
         prevBtn.onclick = () => this.player.playPrev();
         nextBtn.onclick = () => this.player.playNext();
 
-        shuffleBtn.onclick = () => {
-            this.player.toggleShuffle();
+        shuffleBtn.onclick = async () => {
+            await this.player.toggleShuffle();
             shuffleBtn.classList.toggle('active', this.player.shuffleActive);
         };
 
@@ -1112,6 +1277,25 @@ export class UIRenderer {
                 document.getElementById('queue-btn')?.click();
             };
         }
+        if (fsKaraokeBtn) {
+            fsKaraokeBtn.onclick = () => {
+                const enabled = !karaokeSettings.isEnabled();
+                karaokeSettings.setEnabled(enabled);
+                this.updateKaraokeMode(enabled, audioPlayer, lyricsManager);
+            };
+        }
+        this.updateKaraokeMode(karaokeSettings.isEnabled(), audioPlayer, lyricsManager);
+        if (fsRecordBtn) {
+            fsRecordBtn.style.display = visualizerRecorder.isSupported() ? '' : 'none';
+            fsRecordBtn.classList.toggle('recording', visualizerRecorder.isRecording());
+            fsRecordBtn.onclick = () => {
+                if (visualizerRecorder.isRecording()) {
+                    visualizerRecorder.stop();
+                } else {
+                    this.showRecordClipModal(audioPlayer, lyricsManager);
+                }
+            };
+        }
 
         shuffleBtn.classList.toggle('active', this.player.shuffleActive);
         const mode = this.player.repeatMode;
@@ -1373,10 +1557,80 @@ export class UIRenderer {
             }
         }
 
+        this.renderListeningStats();
+        this.renderOfflineTracks();
+
         // Render Local Files
         this.renderLocalFiles(localContainer);
     }
 
+    renderListeningStats() {
+        const container = document.getElementById('library-stats-container');
+        const sortSelect = document.getElementById('library-stats-sort');
+        if (!container) return;
+
+        const entries = trackStats.getAll().filter((entry) => entry.track && (entry.playCount || entry.skipCount));
+        if (entries.length === 0) {
+            container.innerHTML = createPlaceholder('Nothing played yet. Stats show up here as you listen.');
+            return;
+        }
+
+        const sortType = sortSelect?.value || 'most-played';
+        const tracks = sortTracks(
+            entries.map((entry) => entry.track),
+            sortType
+        );
+        this.renderListWithTracks(container, tracks, true);
+
+        container.querySelectorAll('.track-item').forEach((item) => {
+            const stats = trackStats.get(item.dataset.trackId);
+            const details = item.querySelector('.track-item-details');
+            if (!stats || !details) return;
+
+            const listenedMinutes = Math.round((stats.listenedSeconds || 0) / 60);
+            const meta = document.createElement('div');
+            meta.className = 'track-stats-meta';
+            meta.textContent = [
+                `${stats.playCount || 0} play${stats.playCount === 1 ? '' : 's'}`,
+                `${stats.skipCount || 0} skip${stats.skipCount === 1 ? '' : 's'}`,
+                `${listenedMinutes} min`,
+                stats.lastPlayed ? `last ${new Date(stats.lastPlayed).toLocaleDateString()}` : null,
+            ]
+                .filter(Boolean)
+                .join(' · ');
+            details.appendChild(meta);
+        });
+
+        if (sortSelect && !sortSelect.dataset.bound) {
+            sortSelect.dataset.bound = 'true';
+            sortSelect.addEventListener('change', () => this.renderListeningStats());
+        }
+    }
+
+    renderOfflineTracks() {
+        const container = document.getElementById('library-offline-container');
+        const usageEl = document.getElementById('library-offline-usage');
+        if (!container) return;
+
+        const { bytes, count } = offlineManager.getUsage();
+        if (usageEl) {
+            usageEl.textContent = `${count} track${count === 1 ? '' : 's'} · ${formatBytes(bytes)} used`;
+        }
+
+        if (count === 0) {
+            container.innerHTML = createPlaceholder(
+                'No offline tracks yet. Use "Make available offline" on a track, album or playlist.'
+            );
+            return;
+        }
+
+        const tracks = offlineManager
+            .getAll()
+            .sort((a, b) => (b.addedAt || 0) - (a.addedAt || 0))
+            .map((entry) => entry.track);
+        this.renderListWithTracks(container, tracks, true);
+    }
+
     async renderLocalFiles(container) {
         if (!container) return;
 
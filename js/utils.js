@@ -66,6 +66,12 @@ export const formatTime = (seconds) => {
     return `${m}:${String(s).padStart(2, '0')}`;
 };
 
+export const formatBytes = (bytes) => {
+    if (!bytes) return '0 MB';
+    const mb = bytes / (1024 * 1024);
+    return mb >= 1024 ? `${(mb / 1024).toFixed(1)} GB` : `${mb.toFixed(1)} MB`;
+};
+
 export const getTrackYearDisplay = (track) => {
     const useAlbumYear = trackDateSettings.useAlbumYear();
     const releaseDate = useAlbumYear
@@ -0,0 +1,171 @@
+// js/visualizer-presets.js
+// Registry of visualizer presets. Built-in presets are registered by visualizer.js, further ones can
+// come from separate modules or from files the user loads in the settings.
+//
+// Preset lifecycle (everything except draw is optional):
+//   contextType                  - '2d' (default) or 'webgl', the kind of canvas context draw receives
+//   init(canvas, audioContext, sourceNode)
+//                                - Called whenever the preset becomes active while audio is available
+//                                  (visualizer start or preset switch), so it has to tolerate repeated calls
+//   resize(width, height)        - Canvas size changed, also called right after activation
+//   draw(ctx, canvas, analyser, frequencyData, params)
+//                                - Called every animation frame. frequencyData is the byte spectrum of the
+//                                  analyser; params holds timeData (byte waveform), kick, intensity,
+//                                  sensitivity (smart intensity already applied), primaryColor and mode
+//   destroy()                    - The preset was switched away from; release what init/resize created
+//
+// A user-supplied file is an ES module whose default export is { key, name, create }, where create()
+// returns a new preset object. Its source is kept in IndexedDB, but saved modules only run again
+// after the user confirms it in the settings (see loadStoredUserPresets).
+
+import { db } from './db.js';
+import { visualizerSettings } from './storage.js';
+
+export const USER_VISUALIZER_PREFIX = 'user:';
+
+const registry = new Map();
+
+const notifyChange = () => {
+    window.dispatchEvent(new CustomEvent('visualizer-presets-changed'));
+};
+
+/**
+ * Make a preset available to the visualizer and the settings select
+ * @param {string} key - Stored by visualizerSettings.setPreset when selected
+ * @param {Function} factory - Returns a new preset object
+ * @param {{name?: string}} options - Label shown in the settings
+ */
+export function registerPreset(key, factory, options = {}) {
+    if (!key || typeof factory !== 'function') {
+        throw new TypeError('registerPreset needs a key and a factory function');
+    }
+    registry.set(key, { key, name: options.name || key, factory });
+    notifyChange();
+}
+
+export function unregisterPreset(key) {
+    if (registry.delete(key)) notifyChange();
+}
+
+export function hasPreset(key) {
+    return registry.has(key);
+}
+
+export function getPresetFactory(key) {
+    return registry.get(key)?.factory || null;
+}
+
+/**
+ * @returns {Array<{key: string, name: string}>} In registration order
+ */
+export function getRegisteredPresets() {
+    return Array.from(registry.values(), ({ key, name }) => ({ key, name }));
+}
+
+export function createPreset(key) {
+    const entry = registry.get(key);
+    if (!entry) return null;
+
+    try {
+        const preset = entry.factory();
+        if (typeof preset?.draw !== 'function') {
+            throw new TypeError('preset has no draw method');
+        }
+        return preset;
+    } catch (e) {
+        console.warn(`[Visualizer] Failed to create preset "${key}":`, e);
+        return null;
+    }
+}
+
+/**
+ * Import a preset module. Modules that call registerPreset themselves need nothing else; a default
+ * export of { key, name, create } is registered here.
+ * @returns {Promise<string|null>} Key of the default export's preset
+ */
+export async function loadPresetModule(url, keyPrefix = '') {
+    const module = await import(/* @vite-ignore */ url);
+    const definition = module.default;
+    if (!definition) return null;
+
+    if (typeof definition.create !== 'function' || !definition.key) {
+        throw new Error('Preset module must export default { key, name, create }');
+    }
+    const key = `${keyPrefix}${definition.key}`;
+    registerPreset(key, definition.create, { name: definition.name });
+    return key;
+}
+
+const importSource = async (source) => {
+    const url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+    try {
+        return await loadPresetModule(url, USER_VISUALIZER_PREFIX);
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+};
+
+/**
+ * Register a preset from a file picked by the user and keep its source for later sessions
+ * @param {File} file
+ * @returns {Promise<string>} Key of the new preset
+ * @throws When the module fails to load or could not be saved
+ */
+export async function loadUserPresetFile(file) {
+    const source = await file.text();
+    const key = await importSource(source);
+    if (!key) {
+        throw new Error('Preset file has no default export');
+    }
+
+    const { name } = registry.get(key);
+    try {
+        await db.saveVisualizerPreset({ key, name, source });
+    } catch (e) {
+        // A preset that would be gone next session is not added at all
+        unregisterPreset(key);
+        throw new Error(`Could not save the preset: ${e?.message || e}`);
+    }
+    return key;
+}
+
+export async function removeUserPreset(key) {
+    await db.deleteVisualizerPreset(key);
+    if (visualizerSettings.getPreset() === key) {
+        visualizerSettings.resetPreset();
+    }
+    unregisterPreset(key);
+}
+
+/**
+ * User presets saved in earlier sessions, whether they are loaded or not
+ * @returns {Promise<Array<{key: string, name: string, source: string, loaded: boolean}>>}
+ */
+export async function getStoredUserPresets() {
+    try {
+        const presets = await db.getVisualizerPresets();
+        return presets.map((preset) => ({ ...preset, loaded: registry.has(preset.key) }));
+    } catch (e) {
+        console.warn('[Visualizer] Failed to read saved user presets:', e);
+        return [];
+    }
+}
+
+/**
+ * Run the saved user preset modules. They execute with the app's privileges, so this is only
+ * called after the user confirmed it.
+ * @returns {Promise<string[]>} Names of the presets that failed to load
+ */
+export async function loadStoredUserPresets() {
+    const failed = [];
+    for (const preset of await getStoredUserPresets()) {
+        if (preset.loaded) continue;
+        try {
+            await importSource(preset.source);
+        } catch (e) {
+            console.warn(`[Visualizer] Failed to load user preset "${preset.name}":`, e);
+            failed.push(preset.name);
+        }
+    }
+    return failed;
+}
@@ -0,0 +1,348 @@
+// js/visualizer-recorder.js
+// Records the fullscreen visualizer together with the processed audio into a WebM clip.
+// Every frame is composed onto a canvas of the chosen resolution: the visualizer (or the cover as
+// background), plus optional overlays for the cover, title/artist and the current synced lyric line.
+// The overlays follow the queue when a recording runs into the next track.
+
+import { audioContextManager } from './audio-context.js';
+import { visualizerSettings } from './storage.js';
+import { getTrackTitle, getTrackArtists, sanitizeForFilename } from './utils.js';
+
+export const RECORDING_RESOLUTIONS = {
+    '720p': { name: '1280 × 720 (landscape)', width: 1280, height: 720 },
+    '1080p': { name: '1920 × 1080 (landscape)', width: 1920, height: 1080 },
+    vertical: { name: '1080 × 1920 (stories)', width: 1080, height: 1920 },
+    square: { name: '1080 × 1080 (square)', width: 1080, height: 1080 },
+};
+
+const FRAME_RATE = 30;
+const MIME_TYPES = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'];
+
+const loadImage = (url) =>
+    new Promise((resolve) => {
+        const image = new Image();
+        // Without CORS the canvas would be tainted and could not be recorded
+        image.crossOrigin = 'anonymous';
+        image.onload = () => resolve(image);
+        image.onerror = () => resolve(null);
+        image.src = url;
+    });
+
+/**
+ * Draw a source scaled to cover the whole area
+ */
+const drawCover = (ctx, source, sourceWidth, sourceHeight, width, height) => {
+    const scale = Math.max(width / sourceWidth, height / sourceHeight);
+    const w = sourceWidth * scale;
+    const h = sourceHeight * scale;
+    ctx.drawImage(source, (width - w) / 2, (height - h) / 2, w, h);
+};
+
+/**
+ * Largest font size (up to maxSize) at which the text fits into maxWidth
+ */
+const fitFont = (ctx, text, weight, maxSize, maxWidth) => {
+    let size = maxSize;
+    ctx.font = `${weight} ${size}px sans-serif`;
+    const width = ctx.measureText(text).width;
+    if (width > maxWidth) {
+        size = Math.max(12, Math.floor((size * maxWidth) / width));
+        ctx.font = `${weight} ${size}px sans-serif`;
+    }
+    return size;
+};
+
+export class VisualizerRecorder {
+    constructor() {
+        this.mediaRecorder = null;
+        this.canvas = null;
+        this.ctx = null;
+        this.animationId = null;
+        this.stopTimer = null;
+        this.frame = null;
+        this.chunks = [];
+        this.onStateChange = null;
+        this.getTrack = null;
+        this.getCoverUrl = null;
+        this.lyricsManager = null;
+        // Every track the clip covers, for the file name
+        this.recordedTracks = [];
+    }
+
+    isSupported() {
+        return (
+            typeof MediaRecorder !== 'undefined' &&
+            typeof HTMLCanvasElement.prototype.captureStream === 'function' &&
+            MIME_TYPES.some((type) => MediaRecorder.isTypeSupported(type))
+        );
+    }
+
+    isRecording() {
+        return this.mediaRecorder?.state === 'recording';
+    }
+
+    /**
+     * Start recording; the file is saved when the duration is reached or stop() is called
+     * @param {Object} options
+     * @param {Function} options.getVisualizerCanvas - Returns the visualizer's canvas, which is replaced
+     *                                                 when the preset switches context type
+     * @param {HTMLMediaElement} options.audioPlayer
+     * @param {Function} options.getTrack - Returns the playing track
+     * @param {Function} options.getCoverUrl - Cover URL of a track
+     * @param {Object} [options.lyricsManager] - Needed for the lyric line overlay
+     * @param {string} options.resolution - Key of RECORDING_RESOLUTIONS
+     * @param {number} options.duration - Seconds
+     * @param {{cover: boolean, info: boolean, lyrics: boolean}} options.overlays
+     * @param {Function} [options.onStateChange] - Called with true when recording starts and false when it ends
+     */
+    async start({
+        getVisualizerCanvas,
+        audioPlayer,
+        getTrack,
+        getCoverUrl,
+        lyricsManager,
+        resolution,
+        duration,
+        overlays,
+        onStateChange,
+    }) {
+        // Also covers the time between stop() and the file being saved
+        if (this.canvas) return;
+        if (!this.isSupported()) {
+            throw new Error('Recording is not supported in this browser');
+        }
+
+        const audioStream = audioContextManager.getRecordingStream();
+        if (!audioStream) {
+            throw new Error('Start playback before recording');
+        }
+
+        const { width, height } = RECORDING_RESOLUTIONS[resolution] || RECORDING_RESOLUTIONS['1080p'];
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.ctx = this.canvas.getContext('2d');
+
+        this.getTrack = getTrack;
+        this.getCoverUrl = getCoverUrl;
+        this.lyricsManager = lyricsManager;
+        this.recordedTracks = [];
+        this.frame = {
+            getVisualizerCanvas,
+            audioPlayer,
+            overlays,
+            track: null,
+            cover: null,
+            lyrics: [],
+            lyricsOffset: 0,
+            title: '',
+            artist: '',
+        };
+        await this._loadTrackOverlays(getTrack());
+
+        const mimeType = MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+        let stream = null;
+        try {
+            stream = this.canvas.captureStream(FRAME_RATE);
+            audioStream.getAudioTracks().forEach((audioTrack) => stream.addTrack(audioTrack));
+
+            this.mediaRecorder = new MediaRecorder(stream, {
+                mimeType,
+                videoBitsPerSecond: Math.round(width * height * FRAME_RATE * 0.1),
+                audioBitsPerSecond: 192000,
+            });
+            this.chunks = [];
+            this.mediaRecorder.ondataavailable = (e) => {
+                if (e.data.size > 0) this.chunks.push(e.data);
+            };
+            this.mediaRecorder.onstop = () => this._finish(mimeType);
+
+            this._drawFrame();
+            this.mediaRecorder.start(1000);
+        } catch (e) {
+            this._cleanup(stream);
+            throw e;
+        }
+
+        this.onStateChange = onStateChange;
+        this.stopTimer = setTimeout(() => this.stop(), duration * 1000);
+        this.onStateChange?.(true);
+    }
+
+    stop() {
+        if (!this.isRecording()) return;
+        this.mediaRecorder.stop();
+    }
+
+    /**
+     * Point the cover, title/artist and lyric overlays at a track
+     */
+    async _loadTrackOverlays(track) {
+        const frame = this.frame;
+        if (!track) return;
+
+        frame.track = track;
+        this.recordedTracks.push(track);
+        frame.title = getTrackTitle(track);
+        frame.artist = getTrackArtists(track);
+        frame.lyrics = [];
+        frame.lyricsOffset = (this.lyricsManager?.timingOffset || 0) / 1000;
+
+        const coverUrl = this.getCoverUrl?.(track);
+        const { lyricsManager } = this;
+        const [cover, lyrics] = await Promise.all([
+            coverUrl ? loadImage(coverUrl) : null,
+            frame.overlays.lyrics && lyricsManager ? this._loadLyrics(track, lyricsManager) : [],
+        ]);
+
+        // The recording ended or moved on to another track while loading
+        if (this.frame !== frame || frame.track !== track) return;
+        frame.cover = cover;
+        frame.lyrics = lyrics;
+    }
+
+    async _loadLyrics(track, lyricsManager) {
+        try {
+            const lyricsData = await lyricsManager.fetchLyrics(track.id, track);
+            return lyricsManager.parseSyncedLyrics(lyricsData?.subtitles);
+        } catch (e) {
+            console.warn('[Recorder] Failed to load lyrics:', e);
+            return [];
+        }
+    }
+
+    /**
+     * Stop drawing and release the stream, the recording tap and the compose canvas
+     */
+    _cleanup(stream) {
+        clearTimeout(this.stopTimer);
+        cancelAnimationFrame(this.animationId);
+        this.stopTimer = null;
+        this.animationId = null;
+
+        // The audio track belongs to the shared recording stream
+        stream?.getVideoTracks().forEach((videoTrack) => videoTrack.stop());
+        audioContextManager.releaseRecordingStream();
+
+        this.chunks = [];
+        this.mediaRecorder = null;
+        this.canvas = null;
+        this.ctx = null;
+        this.frame = null;
+        this.getTrack = null;
+        this.getCoverUrl = null;
+        this.lyricsManager = null;
+    }
+
+    /**
+     * File name after the track, or the first and last track when the clip spans several
+     */
+    _getFileName() {
+        const label = (track) => `${getTrackArtists(track)} - ${getTrackTitle(track)}`;
+        const tracks = this.recordedTracks;
+        if (tracks.length === 0) return 'visualizer-clip.webm';
+        const name =
+            tracks.length > 1 ? `${label(tracks[0])} to ${label(tracks[tracks.length - 1])}` : label(tracks[0]);
+        return `${sanitizeForFilename(name)}.webm`;
+    }
+
+    _finish(mimeType) {
+        const blob = new Blob(this.chunks, { type: mimeType.split(';')[0] });
+        const fileName = this._getFileName();
+        this.recordedTracks = [];
+        this._cleanup(this.mediaRecorder.stream);
+
+        if (blob.size > 0) {
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = fileName;
+            a.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        }
+        this.onStateChange?.(false);
+    }
+
+    _drawFrame = () => {
+        if (!this.ctx) return;
+        this.animationId = requestAnimationFrame(this._drawFrame);
+
+        // The queue moved on: switch the overlays to the new track
+        const track = this.getTrack?.();
+        if (track && track !== this.frame.track) this._loadTrackOverlays(track);
+
+        const { ctx } = this;
+        const { width, height } = this.canvas;
+        const { cover, overlays } = this.frame;
+        const visualizerCanvas = this.frame.getVisualizerCanvas();
+
+        // --- Background: the cover behind blended visualizers (and when the visualizer is off) ---
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, width, height);
+        const visualizerShown = visualizerCanvas?.style.display !== 'none' && visualizerCanvas?.width > 0;
+        if (cover && (!visualizerShown || visualizerSettings.getMode() === 'blended')) {
+            ctx.save();
+            ctx.filter = 'blur(24px) brightness(0.6)';
+            drawCover(ctx, cover, cover.naturalWidth, cover.naturalHeight, width, height);
+            ctx.restore();
+        }
+
+        if (visualizerShown) {
+            drawCover(ctx, visualizerCanvas, visualizerCanvas.width, visualizerCanvas.height, width, height);
+        }
+
+        const unit = Math.min(width, height);
+        const margin = unit * 0.06;
+
+        // --- Cover and title/artist, bottom left ---
+        let textX = margin;
+        const coverSize = unit * 0.16;
+        const bottom = height - margin;
+        if (overlays.cover && cover) {
+            ctx.save();
+            ctx.shadowColor = 'rgba(0, 0, 0, 0.5)';
+            ctx.shadowBlur = unit * 0.02;
+            ctx.drawImage(cover, margin, bottom - coverSize, coverSize, coverSize);
+            ctx.restore();
+            textX += coverSize + margin * 0.5;
+        }
+
+        if (overlays.info) {
+            const maxWidth = width - textX - margin;
+            ctx.save();
+            ctx.fillStyle = '#fff';
+            ctx.shadowColor = 'rgba(0, 0, 0, 0.6)';
+            ctx.shadowBlur = unit * 0.01;
+            ctx.textBaseline = 'alphabetic';
+            const titleSize = fitFont(ctx, this.frame.title, '700', unit * 0.045, maxWidth);
+            ctx.fillText(this.frame.title, textX, bottom - titleSize * 1.1);
+            fitFont(ctx, this.frame.artist, '400', unit * 0.032, maxWidth);
+            ctx.globalAlpha = 0.8;
+            ctx.fillText(this.frame.artist, textX, bottom);
+            ctx.restore();
+        }
+
+        // --- Current lyric line, above the info ---
+        if (overlays.lyrics && this.frame.lyrics.length > 0) {
+            const { lyrics, audioPlayer, lyricsOffset } = this.frame;
+            const time = audioPlayer.currentTime - lyricsOffset;
+            let index = -1;
+            while (index + 1 < lyrics.length && lyrics[index + 1].time <= time) index++;
+            const line = index >= 0 ? lyrics[index].text : '';
+
+            if (line) {
+                ctx.save();
+                ctx.fillStyle = '#fff';
+                ctx.shadowColor = 'rgba(0, 0, 0, 0.7)';
+                ctx.shadowBlur = unit * 0.015;
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                fitFont(ctx, line, '700', unit * 0.06, width - margin * 2);
+                ctx.fillText(line, width / 2, height * 0.7);
+                ctx.restore();
+            }
+        }
+    };
+}
+
+export const visualizerRecorder = new VisualizerRecorder();
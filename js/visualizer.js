@@ -4,7 +4,19 @@ import { LCDPreset } from './visualizers/lcd.js';
 import { ParticlesPreset } from './visualizers/particles.js';
 import { UnknownPleasuresWebGL } from './visualizers/unknown_pleasures_webgl.js';
 import { ButterchurnPreset } from './visualizers/butterchurn.js';
+import { SpectrogramPreset } from './visualizers/spectrogram.js';
+import { OscilloscopePreset } from './visualizers/oscilloscope.js';
+import { VectorscopePreset } from './visualizers/vectorscope.js';
 import { audioContextManager } from './audio-context.js';
+import { registerPreset, createPreset, getPresetFactory } from './visualizer-presets.js';
+
+registerPreset('lcd', () => new LCDPreset(), { name: 'LCD Pixels' });
+registerPreset('particles', () => new ParticlesPreset(), { name: 'Particles' });
+registerPreset('unknown-pleasures', () => new UnknownPleasuresWebGL(), { name: 'Unknown Pleasures' });
+registerPreset('butterchurn', () => new ButterchurnPreset(), { name: 'Butterchurn (Milkdrop)' });
+registerPreset('spectrogram', () => new SpectrogramPreset(), { name: 'Spectrogram' });
+registerPreset('oscilloscope', () => new OscilloscopePreset(), { name: 'Oscilloscope' });
+registerPreset('vectorscope', () => new VectorscopePreset(), { name: 'Vectorscope' });
 
 export class Visualizer {
     constructor(canvas, audio) {
@@ -18,18 +30,18 @@ export class Visualizer {
         this.isActive = false;
         this.animationId = null;
 
-        this.presets = {
-            lcd: new LCDPreset(),
-            particles: new ParticlesPreset(),
-            'unknown-pleasures': new UnknownPleasuresWebGL(),
-            butterchurn: new ButterchurnPreset(),
-        };
+        // Preset instances, created from the registry on first use, and the factories they came from
+        this.presets = {};
+        this._presetFactories = {};
 
         this.activePresetKey = visualizerSettings.getPreset();
+        // Falls back to LCD while the stored preset is not registered (yet)
+        this.currentPreset = this.getPreset(this.activePresetKey) || this.getPreset('lcd');
 
         // ---- AUDIO BUFFERS (REUSED) ----
         this.bufferLength = 0;
         this.dataArray = null;
+        this.timeArray = null;
 
         // ---- STATS (REUSED OBJECT) ----
         this.stats = {
@@ -42,15 +54,54 @@ export class Visualizer {
             sensitivity: 0.5,
             primaryColor: '#ffffff',
             mode: '',
+            timeData: null,
         };
 
         // ---- CACHED STATE ----
         this._lastPrimaryColor = '';
         this._resizeBound = () => this.resize();
+
+        // Presets registered later (e.g. user files) or removed while the visualizer exists
+        window.addEventListener('visualizer-presets-changed', () => this._onPresetsChanged());
     }
 
     get activePreset() {
-        return this.presets[this.activePresetKey] || this.presets['lcd'];
+        return this.currentPreset;
+    }
+
+    /**
+     * Instance of a registered preset
+     */
+    getPreset(key) {
+        if (!this.presets[key] && getPresetFactory(key)) {
+            const preset = createPreset(key);
+            if (preset) {
+                this.presets[key] = preset;
+                this._presetFactories[key] = getPresetFactory(key);
+            }
+        }
+        return this.presets[key] || null;
+    }
+
+    _onPresetsChanged() {
+        // Drop instances of presets that were removed or registered again
+        for (const key of Object.keys(this.presets)) {
+            if (getPresetFactory(key) === this._presetFactories[key]) continue;
+
+            const preset = this.presets[key];
+            delete this.presets[key];
+            delete this._presetFactories[key];
+            if (preset === this.currentPreset) {
+                this.setPreset(getPresetFactory(key) ? key : 'lcd');
+            } else {
+                preset.destroy?.();
+            }
+        }
+
+        // The stored preset was registered after the fallback was shown
+        const wanted = visualizerSettings.getPreset();
+        if (wanted !== this.activePresetKey || this.currentPreset === this.presets[wanted]) return;
+        if (getPresetFactory(wanted)) this.setPreset(wanted);
     }
 
     init() {
@@ -65,6 +116,7 @@ export class Visualizer {
         if (this.analyser) {
             this.bufferLength = this.analyser.frequencyBinCount;
             this.dataArray = new Uint8Array(this.bufferLength);
+            this.timeArray = new Uint8Array(this.analyser.fftSize);
         }
     }
 
@@ -141,11 +193,7 @@ export class Visualizer {
             this.audioContext.resume();
         }
 
-        // Initialize Butterchurn if it's the active preset
-        if (this.activePresetKey === 'butterchurn' && this.activePreset.lazyInit) {
-            const sourceNode = audioContextManager.getSourceNode();
-            this.activePreset.lazyInit(this.canvas, this.audioContext, sourceNode);
-        }
+        this.activePreset.init?.(this.canvas, this.audioContext, audioContextManager.getSourceNode());
 
         this.resize();
         window.addEventListener('resize', this._resizeBound);
@@ -189,6 +237,7 @@ export class Visualizer {
 
         // ===== AUDIO ANALYSIS =====
         this.analyser.getByteFrequencyData(this.dataArray);
+        this.analyser.getByteTimeDomainData(this.timeArray);
 
         // Bass (first bins only — cheap)
         const volume = 10 * Math.max(this.audio.volume, 0.1);
@@ -251,26 +300,27 @@ export class Visualizer {
         }
 
         stats.mode = visualizerSettings.getMode();
+        stats.timeData = this.timeArray;
 
         // ===== DRAW =====
         this.activePreset.draw(this.ctx, this.canvas, this.analyser, this.dataArray, stats);
     };
 
     setPreset(key) {
-        if (!this.presets[key]) return;
+        const preset = this.getPreset(key);
+        if (!preset) return;
 
         if (this.activePreset?.destroy) {
             this.activePreset.destroy();
         }
 
         this.activePresetKey = key;
+        this.currentPreset = preset;
         this.initContext();
         this.resize();
 
-        // Initialize Butterchurn if switching to it
-        if (key === 'butterchurn' && this.presets[key].lazyInit && this.audioContext) {
-            const sourceNode = audioContextManager.getSourceNode();
-            this.presets[key].lazyInit(this.canvas, this.audioContext, sourceNode);
+        if (this.audioContext) {
+            preset.init?.(this.canvas, this.audioContext, audioContextManager.getSourceNode());
         }
     }
 }
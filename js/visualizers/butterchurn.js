@@ -5,12 +5,44 @@
 import butterchurn from 'butterchurn';
 import { visualizerSettings } from '../storage.js';
 import { audioContextManager } from '../audio-context.js';
+import { db } from '../db.js';
+import { BUTTERCHURN_PACK_TYPE } from '../milk-import.js';
 
 // Module-level preset cache - loads immediately when this file is imported
 let cachedPresets = null;
 let cachedPresetKeys = [];
 let isLoading = false;
 let loadCallbacks = [];
+// Names of the presets that ship with the app; imports never replace them
+let bundledPresetNames = new Set();
+// Presets the user imported, stored in IndexedDB: listed name -> name in the database
+const importedPresetNames = new Map();
+
+const sortPresetKeys = () => {
+    cachedPresetKeys.sort((a, b) => a.toLowerCase().localeCompare(b.toLowerCase()));
+};
+
+/**
+ * Name an imported preset is listed under - "Name (imported)" if a bundled preset is called the same
+ */
+const getImportName = (name) => {
+    if (!bundledPresetNames.has(name)) return name;
+
+    let candidate = `${name} (imported)`;
+    for (let i = 2; bundledPresetNames.has(candidate); i++) {
+        candidate = `${name} (imported ${i})`;
+    }
+    return candidate;
+};
+
+const addImportedPresets = (presets) => {
+    Object.entries(presets).forEach(([storedName, preset]) => {
+        const name = getImportName(storedName);
+        if (!(name in cachedPresets)) cachedPresetKeys.push(name);
+        cachedPresets[name] = preset;
+        importedPresetNames.set(name, storedName);
+    });
+};
 
 /**
  * Load presets at module level using dynamic import (lazy loaded)
@@ -44,8 +76,9 @@ async function loadPresetsModule() {
         }
 
         const allPresets = butterchurnPresets.getPresets();
-        cachedPresets = allPresets || {};
+        cachedPresets = { ...allPresets };
         cachedPresetKeys = Object.keys(cachedPresets);
+        bundledPresetNames = new Set(cachedPresetKeys);
 
         // Filter out unwanted presets
         const skipPatterns = ['flexi', 'empty', 'test', '_'];
@@ -53,8 +86,11 @@ async function loadPresetsModule() {
             return !skipPatterns.some((pattern) => key.toLowerCase().includes(pattern));
         });
 
+        // Imported presets carry equation code of their own, so the stored ones are only added
+        // once the user confirms it (see loadStoredButterchurnPresets)
+
         // Sort alphabetically
-        cachedPresetKeys.sort((a, b) => a.toLowerCase().localeCompare(b.toLowerCase()));
+        sortPresetKeys();
 
         console.log('[Butterchurn] Module-level presets loaded:', cachedPresetKeys.length);
 
@@ -91,6 +127,105 @@ export function onButterchurnPresetsLoaded(callback) {
     }
 }
 
+/**
+ * Presets the cycle picks from: favorites only if enabled (and there are any), never blacklisted ones
+ */
+export function getButterchurnCycleKeys() {
+    const blacklist = new Set(visualizerSettings.getButterchurnBlacklist());
+    const keys = cachedPresetKeys.filter((key) => !blacklist.has(key));
+    if (!visualizerSettings.isButterchurnFavoritesOnly()) return keys;
+
+    const favorites = new Set(visualizerSettings.getButterchurnFavorites());
+    const favoriteKeys = keys.filter((key) => favorites.has(key));
+    return favoriteKeys.length > 0 ? favoriteKeys : keys;
+}
+
+export function isImportedButterchurnPreset(name) {
+    return importedPresetNames.has(name);
+}
+
+/**
+ * Store presets converted from user files and add them to the list
+ * @param {Object<string, Object>} presets - Preset name -> preset in Butterchurn's JSON format
+ * @returns {Promise<Array<[string, string]>>} [original, new] names of presets renamed because a
+ *          bundled preset has the same name
+ */
+export async function importButterchurnPresets(presets) {
+    // The bundled names have to be known to keep imports from shadowing them
+    if (!cachedPresets) {
+        throw new Error('The preset list is still loading, try again in a moment');
+    }
+
+    const renamed = [];
+    const named = {};
+    Object.entries(presets).forEach(([name, preset]) => {
+        const importName = getImportName(name);
+        if (importName !== name) renamed.push([name, importName]);
+        named[importName] = preset;
+    });
+
+    await db.saveButterchurnPresets(named);
+    addImportedPresets(named);
+    sortPresetKeys();
+    window.dispatchEvent(new CustomEvent('butterchurn-presets-loaded'));
+    return renamed;
+}
+
+/**
+ * Names of presets imported in earlier sessions that aren't in the list yet
+ * @returns {Promise<string[]>}
+ */
+export async function getUnloadedButterchurnImports() {
+    try {
+        const loaded = new Set(importedPresetNames.values());
+        const stored = await db.getButterchurnPresets();
+        return stored.map(({ name }) => name).filter((name) => !loaded.has(name));
+    } catch (e) {
+        console.warn('[Butterchurn] Failed to read imported presets:', e);
+        return [];
+    }
+}
+
+/**
+ * Add the presets imported in earlier sessions to the list. Their equations run as code, so this is
+ * only called after the user confirmed it.
+ */
+export async function loadStoredButterchurnPresets() {
+    if (!cachedPresets) {
+        throw new Error('The preset list is still loading, try again in a moment');
+    }
+
+    const loaded = new Set(importedPresetNames.values());
+    const stored = (await db.getButterchurnPresets()).filter(({ name }) => !loaded.has(name));
+    addImportedPresets(Object.fromEntries(stored.map(({ name, preset }) => [name, preset])));
+    sortPresetKeys();
+    window.dispatchEvent(new CustomEvent('butterchurn-presets-loaded'));
+}
+
+/**
+ * Delete an imported preset from the database and the list
+ */
+export async function removeImportedButterchurnPreset(name) {
+    if (!importedPresetNames.has(name)) return;
+
+    await db.deleteButterchurnPreset(importedPresetNames.get(name));
+    importedPresetNames.delete(name);
+    delete cachedPresets[name];
+    cachedPresetKeys = cachedPresetKeys.filter((key) => key !== name);
+    window.dispatchEvent(new CustomEvent('butterchurn-presets-loaded'));
+}
+
+/**
+ * Favorite presets as a pack file that importButterchurnPresets accepts
+ */
+export function getButterchurnFavoritesPack() {
+    const presets = {};
+    visualizerSettings.getButterchurnFavorites().forEach((name) => {
+        if (cachedPresets?.[name]) presets[name] = cachedPresets[name];
+    });
+    return { type: BUTTERCHURN_PACK_TYPE, version: 1, presets };
+}
+
 // Start loading presets immediately when module is imported (lazy loaded)
 loadPresetsModule();
 
@@ -102,24 +237,17 @@ export class ButterchurnPreset {
         this.visualizer = null;
         this.canvas = null;
         this.audioContext = null;
-        this.currentPresetIndex = 0;
+        this.currentPresetName = null;
         this.lastPresetChange = 0;
         this.isInitialized = false;
 
-        // Use cached presets if available
-        this.presets = cachedPresets || {};
-        this.presetKeys = cachedPresetKeys || [];
-
         // Transition settings
         this.blendProgress = 0;
         this.blendDuration = 2.7; // seconds for preset transitions
 
         // Listen for presets if not loaded yet
         if (!cachedPresets) {
-            onButterchurnPresetsLoaded((presets, keys) => {
-                this.presets = presets;
-                this.presetKeys = keys;
-
+            onButterchurnPresetsLoaded(() => {
                 // Notify system that presets are ready (for settings dropdown)
                 window.dispatchEvent(new CustomEvent('butterchurn-presets-loaded'));
 
@@ -131,6 +259,15 @@ export class ButterchurnPreset {
         }
     }
 
+    // Read from the module cache, which grows when the user imports presets
+    get presets() {
+        return cachedPresets || {};
+    }
+
+    get presetKeys() {
+        return cachedPresetKeys;
+    }
+
     /**
      * Get the preset cycle duration from settings (in milliseconds)
      */
@@ -142,7 +279,7 @@ export class ButterchurnPreset {
     /**
      * Initialize Butterchurn with the given WebGL context
      */
-    init(canvas, gl, audioContext, sourceNode) {
+    setup(canvas, gl, audioContext, sourceNode) {
         if (this.isInitialized) return;
 
         try {
@@ -213,17 +350,21 @@ export class ButterchurnPreset {
      * Load next preset based on settings (sequential or random)
      */
     loadNextPreset() {
-        if (!this.visualizer || this.presetKeys.length === 0) return;
+        const cycleKeys = getButterchurnCycleKeys();
+        if (!this.visualizer || cycleKeys.length === 0) return;
 
         const randomize = visualizerSettings.isButterchurnRandomizeEnabled();
 
+        let presetKey;
         if (randomize) {
-            this.currentPresetIndex = Math.floor(Math.random() * this.presetKeys.length);
+            presetKey = cycleKeys[Math.floor(Math.random() * cycleKeys.length)];
         } else {
-            this.currentPresetIndex = (this.currentPresetIndex + 1) % this.presetKeys.length;
+            // Continue after the current preset, which need not be part of the cycle itself
+            const current = (this.currentPresetName || '').toLowerCase();
+            presetKey = cycleKeys.find((key) => key.toLowerCase().localeCompare(current) > 0) || cycleKeys[0];
         }
+        this.currentPresetName = presetKey;
 
-        const presetKey = this.presetKeys[this.currentPresetIndex];
         const preset = this.presets[presetKey];
 
         if (preset) {
@@ -232,7 +373,7 @@ export class ButterchurnPreset {
             } catch (error) {
                 console.warn('[Butterchurn] Failed to load preset:', presetKey, error);
                 // Try next preset
-                if (this.presetKeys.length > 1) {
+                if (cycleKeys.length > 1) {
                     this.loadNextPreset();
                 }
             }
@@ -250,11 +391,8 @@ export class ButterchurnPreset {
             this.visualizer.loadPreset(preset, this.blendDuration);
             console.log('[Butterchurn] Loaded preset:', presetName);
 
-            // Update current index if found
-            const index = this.presetKeys.indexOf(presetName);
-            if (index !== -1) {
-                this.currentPresetIndex = index;
-            }
+            // Cycling continues from here
+            this.currentPresetName = presetName;
         }
     }
 
@@ -269,7 +407,7 @@ export class ButterchurnPreset {
      * Get current preset name
      */
     getCurrentPresetName() {
-        return this.presetKeys[this.currentPresetIndex] || 'Unknown';
+        return this.currentPresetName || 'Unknown';
     }
 
     /**
@@ -330,9 +468,9 @@ export class ButterchurnPreset {
     }
 
     /**
-     * Lazy initialization helper for when audio context becomes available
+     * Preset lifecycle hook, called when the preset becomes active and the audio context is available
      */
-    lazyInit(canvas, audioContext, sourceNode) {
+    init(canvas, audioContext, sourceNode) {
         if (!this.isInitialized && canvas && audioContext) {
             const gl =
                 canvas.getContext('webgl2', {
@@ -347,7 +485,7 @@ export class ButterchurnPreset {
                 });
 
             if (gl) {
-                this.init(canvas, gl, audioContext, null);
+                this.setup(canvas, gl, audioContext, null);
 
                 // Connect audio if sourceNode is provided
                 if (sourceNode) {
@@ -0,0 +1,113 @@
+/**
+ * Oscilloscope Visualizer Preset
+ * Waveform of the mixed-down channels, triggered on a rising zero crossing so it stands still
+ */
+import { audioContextManager } from '../audio-context.js';
+
+// Samples shown across the screen
+const WINDOW_SIZE = 1024;
+
+export class OscilloscopePreset {
+    constructor() {
+        this.name = 'Oscilloscope';
+        this.left = null;
+        this.right = null;
+        this.samples = null;
+    }
+
+    resize() {}
+
+    destroy() {
+        this.left = null;
+        this.right = null;
+        this.samples = null;
+    }
+
+    draw(ctx, canvas, analyser, dataArray, params) {
+        const { width, height } = canvas;
+        const { kick, intensity, primaryColor, mode } = params;
+        const sensitivity = params.sensitivity || 1.0;
+        const isDark = document.documentElement.getAttribute('data-theme') !== 'white';
+
+        // --- Background ---
+        ctx.clearRect(0, 0, width, height);
+        if (mode !== 'blended') {
+            ctx.fillStyle = isDark ? '#050505' : '#e6e6e6';
+            ctx.fillRect(0, 0, width, height);
+        }
+
+        const samples = this._readSamples(analyser);
+        const count = Math.min(WINDOW_SIZE, samples.length);
+        const start = this._findTrigger(samples, samples.length - count);
+
+        // --- Graticule ---
+        ctx.strokeStyle = isDark ? 'rgba(255, 255, 255, 0.08)' : 'rgba(0, 0, 0, 0.08)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let i = 1; i < 8; i++) {
+            ctx.moveTo((width * i) / 8, 0);
+            ctx.lineTo((width * i) / 8, height);
+        }
+        for (let i = 1; i < 4; i++) {
+            ctx.moveTo(0, (height * i) / 4);
+            ctx.lineTo(width, (height * i) / 4);
+        }
+        ctx.stroke();
+
+        // --- Trace ---
+        const centerY = height / 2;
+        const gain = height * 0.4 * (0.5 + sensitivity);
+        ctx.save();
+        ctx.strokeStyle = primaryColor;
+        ctx.lineWidth = 2 + kick * 2 * sensitivity;
+        ctx.lineJoin = 'round';
+        ctx.shadowBlur = 10 + intensity * 10 + kick * 20 * sensitivity;
+        ctx.shadowColor = primaryColor;
+        ctx.beginPath();
+        for (let i = 0; i < count; i++) {
+            const x = (i / (count - 1)) * width;
+            const y = centerY - Math.max(-1.2, Math.min(1.2, samples[start + i])) * gain;
+            if (i === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        }
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    /**
+     * Mono mix of the newest samples; the main analyser is used until the channel taps exist
+     */
+    _readSamples(analyser) {
+        const channelAnalysers = audioContextManager.getChannelAnalysers();
+        const source = channelAnalysers ? channelAnalysers[0] : analyser;
+        const size = source.fftSize;
+
+        if (!this.samples || this.samples.length !== size) {
+            this.left = new Float32Array(size);
+            this.right = new Float32Array(size);
+            this.samples = new Float32Array(size);
+        }
+
+        if (!channelAnalysers) {
+            analyser.getFloatTimeDomainData(this.samples);
+            return this.samples;
+        }
+
+        channelAnalysers[0].getFloatTimeDomainData(this.left);
+        channelAnalysers[1].getFloatTimeDomainData(this.right);
+        for (let i = 0; i < size; i++) {
+            this.samples[i] = (this.left[i] + this.right[i]) / 2;
+        }
+        return this.samples;
+    }
+
+    /**
+     * First rising zero crossing that still leaves a full window after it (0 when there is none)
+     */
+    _findTrigger(samples, last) {
+        for (let i = 1; i <= last; i++) {
+            if (samples[i - 1] < 0 && samples[i] >= 0) return i;
+        }
+        return 0;
+    }
+}
@@ -0,0 +1,225 @@
+/**
+ * Spectrogram Visualizer Preset
+ * Scrolling spectrum over time on a logarithmic frequency axis
+ */
+import { visualizerSettings } from '../storage.js';
+import { audioContextManager } from '../audio-context.js';
+
+// Color stops from quiet to loud; 'theme' is built from the current primary color
+export const SPECTROGRAM_COLOR_MAPS = {
+    magma: {
+        name: 'Magma',
+        stops: [
+            [0, 0, 4],
+            [81, 18, 124],
+            [183, 55, 121],
+            [252, 137, 97],
+            [252, 253, 191],
+        ],
+    },
+    inferno: {
+        name: 'Inferno',
+        stops: [
+            [0, 0, 4],
+            [87, 16, 110],
+            [188, 55, 84],
+            [249, 142, 9],
+            [252, 255, 164],
+        ],
+    },
+    viridis: {
+        name: 'Viridis',
+        stops: [
+            [68, 1, 84],
+            [59, 82, 139],
+            [33, 145, 140],
+            [94, 201, 98],
+            [253, 231, 37],
+        ],
+    },
+    grayscale: {
+        name: 'Grayscale',
+        stops: [
+            [0, 0, 0],
+            [255, 255, 255],
+        ],
+    },
+    theme: { name: 'Theme Color', stops: null },
+};
+
+const MIN_FREQUENCY = 30;
+const MAX_FREQUENCY = 20000;
+// Pixels the picture moves per frame
+const SCROLL_SPEED = 2;
+// Shown level range in dB; sensitivity moves its top down
+const RANGE_DB = 70;
+const AXIS_FREQUENCIES = [50, 100, 200, 500, 1000, 2000, 5000, 10000];
+
+const parseHexColor = (hex) => {
+    const match = /^#?([\da-f]{2})([\da-f]{2})([\da-f]{2})$/i.exec(hex.trim());
+    return match ? match.slice(1).map((value) => parseInt(value, 16)) : [255, 255, 255];
+};
+
+/**
+ * 256-entry RGB lookup table interpolated from the color stops
+ */
+const buildLookupTable = (stops) => {
+    const table = new Uint8ClampedArray(256 * 3);
+    for (let i = 0; i < 256; i++) {
+        const position = (i / 255) * (stops.length - 1);
+        const index = Math.min(stops.length - 2, Math.floor(position));
+        const t = position - index;
+        for (let c = 0; c < 3; c++) {
+            table[i * 3 + c] = stops[index][c] + (stops[index + 1][c] - stops[index][c]) * t;
+        }
+    }
+    return table;
+};
+
+export class SpectrogramPreset {
+    constructor() {
+        this.name = 'Spectrogram';
+
+        // Scrolling history, drawn onto the visualizer canvas every frame
+        this.historyCanvas = null;
+        this.historyCtx = null;
+        this.column = null;
+
+        this.frequencyData = null;
+        this.rightFrequencyData = null;
+        // Fractional FFT bin of every row, top to bottom
+        this.rowBins = null;
+        this.rowBinsKey = '';
+
+        this.colorMapKey = '';
+        this.themeColor = '';
+        this.lookupTable = null;
+    }
+
+    resize(width, height) {
+        if (!this.historyCanvas) {
+            this.historyCanvas = document.createElement('canvas');
+            this.historyCtx = this.historyCanvas.getContext('2d');
+        }
+        if (this.historyCanvas.width === width && this.historyCanvas.height === height) return;
+
+        this.historyCanvas.width = width;
+        this.historyCanvas.height = height;
+        this.column = this.historyCtx.createImageData(SCROLL_SPEED, height);
+        this.rowBinsKey = '';
+    }
+
+    destroy() {
+        this.historyCanvas = null;
+        this.historyCtx = null;
+        this.column = null;
+    }
+
+    draw(ctx, canvas, analyser, dataArray, params) {
+        const { width, height } = canvas;
+        const { kick, primaryColor, mode } = params;
+        const sensitivity = params.sensitivity || 1.0;
+        const isDark = document.documentElement.getAttribute('data-theme') !== 'white';
+
+        if (!this.historyCanvas || this.historyCanvas.height !== height) this.resize(width, height);
+
+        // Prefer the high resolution channel analysers, the main one is too coarse in the bass
+        const channelAnalysers = audioContextManager.getChannelAnalysers();
+        const source = channelAnalysers ? channelAnalysers[0] : analyser;
+        const binCount = source.frequencyBinCount;
+        if (!this.frequencyData || this.frequencyData.length !== binCount) {
+            this.frequencyData = new Float32Array(binCount);
+            this.rightFrequencyData = new Float32Array(binCount);
+            this.rowBinsKey = '';
+        }
+        source.getFloatFrequencyData(this.frequencyData);
+        if (channelAnalysers) {
+            channelAnalysers[1].getFloatFrequencyData(this.rightFrequencyData);
+        }
+
+        this._updateRowBins(height, binCount, source.context.sampleRate);
+        this._updateLookupTable(primaryColor);
+
+        // --- Scroll and add the newest column ---
+        const history = this.historyCtx;
+        history.globalCompositeOperation = 'copy';
+        history.drawImage(this.historyCanvas, -SCROLL_SPEED, 0);
+        history.globalCompositeOperation = 'source-over';
+
+        const top = -20 - sensitivity * 20 + kick * 3 * sensitivity;
+        const pixels = this.column.data;
+        for (let y = 0; y < height; y++) {
+            const bin = this.rowBins[y];
+            const low = Math.floor(bin);
+            const t = bin - low;
+            let db = this.frequencyData[low] * (1 - t) + this.frequencyData[Math.min(binCount - 1, low + 1)] * t;
+            if (channelAnalysers) {
+                const right =
+                    this.rightFrequencyData[low] * (1 - t) +
+                    this.rightFrequencyData[Math.min(binCount - 1, low + 1)] * t;
+                db = Math.max(db, right);
+            }
+
+            // Silence is -Infinity, which ends up NaN here
+            const level = Math.max(0, Math.min(1, (db - (top - RANGE_DB)) / RANGE_DB)) || 0;
+            const index = Math.round(level * 255) * 3;
+            for (let x = 0; x < SCROLL_SPEED; x++) {
+                const offset = (y * SCROLL_SPEED + x) * 4;
+                pixels[offset] = this.lookupTable[index];
+                pixels[offset + 1] = this.lookupTable[index + 1];
+                pixels[offset + 2] = this.lookupTable[index + 2];
+                // Quiet parts stay see-through on the cover art
+                pixels[offset + 3] = mode === 'blended' ? Math.round(level * 255) : 255;
+            }
+        }
+        history.putImageData(this.column, width - SCROLL_SPEED, 0);
+
+        // --- Composite ---
+        ctx.clearRect(0, 0, width, height);
+        if (mode !== 'blended') {
+            ctx.fillStyle = isDark ? '#050505' : '#e6e6e6';
+            ctx.fillRect(0, 0, width, height);
+        }
+        ctx.drawImage(this.historyCanvas, 0, 0);
+
+        this._drawAxis(ctx, height, source.context.sampleRate);
+    }
+
+    _updateRowBins(height, binCount, sampleRate) {
+        const key = `${height}:${binCount}:${sampleRate}`;
+        if (key === this.rowBinsKey) return;
+        this.rowBinsKey = key;
+
+        const maxFrequency = Math.min(MAX_FREQUENCY, sampleRate / 2);
+        const binWidth = sampleRate / 2 / binCount;
+        this.rowBins = new Float32Array(height);
+        for (let y = 0; y < height; y++) {
+            const frequency = MIN_FREQUENCY * Math.pow(maxFrequency / MIN_FREQUENCY, 1 - y / (height - 1));
+            this.rowBins[y] = Math.min(binCount - 1, frequency / binWidth);
+        }
+    }
+
+    _updateLookupTable(primaryColor) {
+        const key = visualizerSettings.getSpectrogramColorMap();
+        const colorMap = SPECTROGRAM_COLOR_MAPS[key] || SPECTROGRAM_COLOR_MAPS.magma;
+        const themeColor = key === 'theme' ? primaryColor : '';
+        if (key === this.colorMapKey && themeColor === this.themeColor && this.lookupTable) return;
+
+        this.colorMapKey = key;
+        this.themeColor = themeColor;
+        this.lookupTable = buildLookupTable(colorMap.stops || [[0, 0, 0], parseHexColor(primaryColor)]);
+    }
+
+    _drawAxis(ctx, height, sampleRate) {
+        const maxFrequency = Math.min(MAX_FREQUENCY, sampleRate / 2);
+        ctx.save();
+        ctx.font = '11px sans-serif';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.textBaseline = 'middle';
+        for (const frequency of AXIS_FREQUENCIES) {
+            const y = (1 - Math.log(frequency / MIN_FREQUENCY) / Math.log(maxFrequency / MIN_FREQUENCY)) * (height - 1);
+            ctx.fillText(frequency >= 1000 ? `${frequency / 1000}k` : `${frequency}`, 8, y);
+        }
+        ctx.restore();
+    }
+}
@@ -0,0 +1,164 @@
+/**
+ * Vectorscope Visualizer Preset
+ * Goniometer (Lissajous figure rotated by 45°): mono content draws a vertical line, wide content
+ * spreads sideways and out-of-phase content lies flat. A correlation meter runs along the bottom.
+ */
+import { audioContextManager } from '../audio-context.js';
+
+// Newest samples plotted per frame
+const POINT_COUNT = 2048;
+// Share of the trail that fades away every frame
+const TRAIL_FADE = 0.25;
+
+export class VectorscopePreset {
+    constructor() {
+        this.name = 'Vectorscope';
+        this.left = null;
+        this.right = null;
+
+        // Persistence, drawn onto the visualizer canvas every frame
+        this.trailCanvas = null;
+        this.trailCtx = null;
+
+        this.correlation = 0;
+    }
+
+    resize(width, height) {
+        if (!this.trailCanvas) {
+            this.trailCanvas = document.createElement('canvas');
+            this.trailCtx = this.trailCanvas.getContext('2d');
+        }
+        if (this.trailCanvas.width !== width) this.trailCanvas.width = width;
+        if (this.trailCanvas.height !== height) this.trailCanvas.height = height;
+    }
+
+    destroy() {
+        this.trailCanvas = null;
+        this.trailCtx = null;
+        this.left = null;
+        this.right = null;
+    }
+
+    draw(ctx, canvas, analyser, dataArray, params) {
+        const { width, height } = canvas;
+        const { kick, intensity, primaryColor, mode } = params;
+        const sensitivity = params.sensitivity || 1.0;
+        const isDark = document.documentElement.getAttribute('data-theme') !== 'white';
+
+        if (!this.trailCanvas || this.trailCanvas.width !== width || this.trailCanvas.height !== height) {
+            this.resize(width, height);
+        }
+
+        // --- Background ---
+        ctx.clearRect(0, 0, width, height);
+        if (mode !== 'blended') {
+            ctx.fillStyle = isDark ? '#050505' : '#e6e6e6';
+            ctx.fillRect(0, 0, width, height);
+        }
+
+        const centerX = width / 2;
+        const centerY = height / 2;
+        const radius = Math.min(width, height) * 0.4;
+        this._drawGuides(ctx, centerX, centerY, radius, isDark);
+
+        // The stereo image needs both channels; without the tap there is nothing to plot
+        const channelAnalysers = audioContextManager.getChannelAnalysers();
+        if (!channelAnalysers) return;
+
+        const size = channelAnalysers[0].fftSize;
+        if (!this.left || this.left.length !== size) {
+            this.left = new Float32Array(size);
+            this.right = new Float32Array(size);
+        }
+        channelAnalysers[0].getFloatTimeDomainData(this.left);
+        channelAnalysers[1].getFloatTimeDomainData(this.right);
+
+        // --- Trail ---
+        const trail = this.trailCtx;
+        trail.globalCompositeOperation = 'destination-out';
+        trail.fillStyle = `rgba(0, 0, 0, ${TRAIL_FADE})`;
+        trail.fillRect(0, 0, width, height);
+        trail.globalCompositeOperation = 'source-over';
+
+        const scale = radius * (0.5 + sensitivity);
+        const start = Math.max(0, size - POINT_COUNT);
+        let sumLR = 0;
+        let sumLL = 0;
+        let sumRR = 0;
+
+        trail.strokeStyle = primaryColor;
+        trail.globalAlpha = Math.min(1, 0.35 + intensity * 0.2 + kick * 0.3 * sensitivity);
+        trail.lineWidth = 1 + kick * sensitivity;
+        trail.beginPath();
+        for (let i = start; i < size; i++) {
+            const l = this.left[i];
+            const r = this.right[i];
+            sumLR += l * r;
+            sumLL += l * l;
+            sumRR += r * r;
+
+            // Side across, mid up
+            const x = centerX + ((r - l) / Math.SQRT2) * scale;
+            const y = centerY - ((l + r) / Math.SQRT2) * scale;
+            if (i === start) trail.moveTo(x, y);
+            else trail.lineTo(x, y);
+        }
+        trail.stroke();
+        trail.globalAlpha = 1;
+
+        ctx.drawImage(this.trailCanvas, 0, 0);
+
+        // --- Correlation meter: +1 mono, 0 wide, -1 out of phase ---
+        const energy = Math.sqrt(sumLL * sumRR);
+        const correlation = energy > 1e-9 ? sumLR / energy : 0;
+        this.correlation += (correlation - this.correlation) * 0.2;
+        this._drawCorrelation(ctx, centerX, centerY + radius + 40, radius, primaryColor, isDark);
+    }
+
+    _drawGuides(ctx, centerX, centerY, radius, isDark) {
+        ctx.save();
+        ctx.strokeStyle = isDark ? 'rgba(255, 255, 255, 0.12)' : 'rgba(0, 0, 0, 0.12)';
+        ctx.fillStyle = isDark ? 'rgba(255, 255, 255, 0.4)' : 'rgba(0, 0, 0, 0.4)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+        // Mono (M), left (L), right (R) and side (S) axes
+        ctx.moveTo(centerX, centerY - radius);
+        ctx.lineTo(centerX, centerY + radius);
+        ctx.moveTo(centerX - radius, centerY);
+        ctx.lineTo(centerX + radius, centerY);
+        const diagonal = radius * Math.SQRT1_2;
+        ctx.moveTo(centerX - diagonal, centerY - diagonal);
+        ctx.lineTo(centerX + diagonal, centerY + diagonal);
+        ctx.moveTo(centerX + diagonal, centerY - diagonal);
+        ctx.lineTo(centerX - diagonal, centerY + diagonal);
+        ctx.stroke();
+
+        ctx.font = '12px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('M', centerX, centerY - radius - 12);
+        ctx.fillText('L', centerX - diagonal - 10, centerY - diagonal - 10);
+        ctx.fillText('R', centerX + diagonal + 10, centerY - diagonal - 10);
+        ctx.fillText('S', centerX + radius + 12, centerY);
+        ctx.restore();
+    }
+
+    _drawCorrelation(ctx, centerX, y, halfWidth, color, isDark) {
+        ctx.save();
+        ctx.fillStyle = isDark ? 'rgba(255, 255, 255, 0.12)' : 'rgba(0, 0, 0, 0.12)';
+        ctx.fillRect(centerX - halfWidth, y - 3, halfWidth * 2, 6);
+
+        ctx.fillStyle = this.correlation < 0 ? '#ef4444' : color;
+        ctx.fillRect(centerX + this.correlation * halfWidth - 3, y - 8, 6, 16);
+
+        ctx.fillStyle = isDark ? 'rgba(255, 255, 255, 0.4)' : 'rgba(0, 0, 0, 0.4)';
+        ctx.font = '12px sans-serif';
+        ctx.textBaseline = 'middle';
+        ctx.textAlign = 'right';
+        ctx.fillText('-1', centerX - halfWidth - 8, y);
+        ctx.textAlign = 'left';
+        ctx.fillText('+1', centerX + halfWidth + 8, y);
+        ctx.restore();
+    }
+}
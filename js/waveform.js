@@ -1,24 +1,70 @@
 // js/waveform.js
+// Waveform peaks for the seek bar. Decoding happens on the audio context, the peak extraction in
+// workers/waveform-worker.js; results are kept in memory and in IndexedDB per track and quality.
+
+import { db } from './db.js';
 
 export class WaveformGenerator {
     constructor() {
         this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
         this.cache = new Map();
+        this.pending = new Map();
+        this.worker = null;
+        this.workerRequests = new Map();
+        this.nextRequestId = 0;
+        // Bumped by clearCache(), so waveforms still being generated from before aren't kept
+        this.generation = 0;
     }
 
-    async getWaveform(url, trackId) {
-        if (this.cache.has(trackId)) {
-            return this.cache.get(trackId);
+    /**
+     * Peaks of a track, one Float32Array per channel (normalized to 0..1)
+     * @param {string} url - Stream URL, only fetched when nothing is stored yet
+     * @param {string|number} trackId
+     * @param {string} quality - Quality the URL was requested with; part of the storage key
+     * @returns {Promise<{channels: Float32Array[], duration: number}|null>}
+     */
+    async getWaveform(url, trackId, quality = 'LOW') {
+        const key = `${trackId}:${quality}`;
+        if (this.cache.has(key)) {
+            return this.cache.get(key);
+        }
+        // Several callers may ask for the same track while it is still being generated
+        if (!this.pending.has(key)) {
+            const promise = this._loadWaveform(url, trackId, quality).finally(() => {
+                if (this.pending.get(key) === promise) this.pending.delete(key);
+            });
+            this.pending.set(key, promise);
+        }
+        return this.pending.get(key);
+    }
+
+    async _loadWaveform(url, trackId, quality) {
+        const key = `${trackId}:${quality}`;
+        const generation = this.generation;
+
+        try {
+            const stored = await db.getWaveform(trackId, quality);
+            if (stored?.channels?.length) {
+                const result = { channels: stored.channels, duration: stored.duration };
+                if (generation === this.generation) this.cache.set(key, result);
+                return result;
+            }
+        } catch (e) {
+            console.warn('[Waveform] Failed to read stored waveform:', e);
         }
 
         try {
             const response = await fetch(url);
             const arrayBuffer = await response.arrayBuffer();
-            const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
-
-            const peaks = this.extractPeaks(audioBuffer);
-            const result = { peaks, duration: audioBuffer.duration };
-            this.cache.set(trackId, result);
+            const result = await this._extractPeaks(await this.audioContext.decodeAudioData(arrayBuffer));
+
+            // Cleared while generating: hand the result to the waiting callers, but don't keep it
+            if (generation === this.generation) {
+                this.cache.set(key, result);
+                db.saveWaveform(trackId, quality, result).catch((e) =>
+                    console.warn('[Waveform] Failed to store waveform:', e)
+                );
+            }
             return result;
         } catch (error) {
             console.error('Waveform generation failed:', error);
@@ -26,78 +72,136 @@ export class WaveformGenerator {
         }
     }
 
-    extractPeaks(audioBuffer) {
-        const { length, duration } = audioBuffer;
-        const numPeaks = Math.min(Math.floor(4 * duration), 1000);
-        const peaks = new Float32Array(numPeaks);
-        const chanData = audioBuffer.getChannelData(0); // Use first channel
-        const step = Math.floor(length / numPeaks);
-        const stride = 8; // Check every 8th sample for speed
-
-        for (let i = 0; i < numPeaks; i++) {
-            let max = 0;
-            const start = i * step;
-            const end = start + step;
-            for (let j = start; j < end; j += stride) {
-                const datum = chanData[j];
-                if (datum > max) {
-                    max = datum;
-                } else if (-datum > max) {
-                    max = -datum;
+    _getWorker() {
+        if (!this.worker) {
+            this.worker = new Worker(new URL('./workers/waveform-worker.js', import.meta.url));
+            this.worker.onmessage = (event) => {
+                const { id, peaks, error } = event.data;
+                const request = this.workerRequests.get(id);
+                if (!request) return;
+                this.workerRequests.delete(id);
+                if (error) {
+                    request.reject(new Error(error));
+                } else {
+                    request.resolve(peaks);
                 }
-            }
-            peaks[i] = max;
+            };
+            this.worker.onerror = (event) => {
+                // A broken worker fails everything that is waiting; the next request starts a new one
+                this.workerRequests.forEach((request) => request.reject(new Error(event.message)));
+                this.workerRequests.clear();
+                this.worker.terminate();
+                this.worker = null;
+            };
         }
+        return this.worker;
+    }
 
-        // Normalize peaks so the highest peak is 1.0
-        let maxPeak = 0;
-        for (let i = 0; i < numPeaks; i++) {
-            if (peaks[i] > maxPeak) maxPeak = peaks[i];
+    /**
+     * Peaks of the decoded audio, normalized together so the balance between the channels is kept
+     * @param {AudioBuffer} audioBuffer
+     * @returns {Promise<{channels: Float32Array[], duration: number}>}
+     */
+    async _extractPeaks(audioBuffer) {
+        const { duration, length } = audioBuffer;
+        // Left and right are enough for the seek bar; surround files keep their front pair
+        const channelCount = Math.min(2, audioBuffer.numberOfChannels);
+
+        // One channel at a time, so there is never more than one copy next to the decoded audio
+        const channels = [];
+        for (let i = 0; i < channelCount; i++) {
+            const samples = new Float32Array(length);
+            audioBuffer.copyFromChannel(samples, i);
+            channels.push(await this._requestPeaks(samples, duration));
         }
-        if (maxPeak > 0) {
-            for (let i = 0; i < numPeaks; i++) {
-                peaks[i] /= maxPeak;
+
+        let maxPeak = 0;
+        channels.forEach((peaks) => {
+            for (let i = 0; i < peaks.length; i++) {
+                if (peaks[i] > maxPeak) maxPeak = peaks[i];
             }
+        });
+        if (maxPeak > 0) {
+            channels.forEach((peaks) => {
+                for (let i = 0; i < peaks.length; i++) peaks[i] /= maxPeak;
+            });
         }
+        return { channels, duration };
+    }
 
-        return peaks;
+    _requestPeaks(samples, duration) {
+        return new Promise((resolve, reject) => {
+            const id = this.nextRequestId++;
+            this.workerRequests.set(id, { resolve, reject });
+            this._getWorker().postMessage({ id, samples, duration }, [samples.buffer]);
+        });
     }
 
-    drawWaveform(canvas, peaks) {
-        if (!canvas || !peaks) return;
+    /**
+     * Pad the start of the peaks when the decoded file is noticeably shorter than the track,
+     * so the waveform lines up with the playback position
+     */
+    alignToDuration(channels, duration, trackDuration) {
+        if (!trackDuration || !duration || trackDuration - duration <= 0.5) return channels;
+
+        const paddingPeaksCount = Math.floor((trackDuration - duration) * (channels[0].length / duration));
+        if (paddingPeaksCount <= 0) return channels;
+
+        return channels.map((peaks) => {
+            const padded = new Float32Array(peaks.length + paddingPeaksCount);
+            padded.set(peaks, paddingPeaksCount);
+            return padded;
+        });
+    }
+
+    /**
+     * Draw the waveform as an opaque shape (used as the seek bar mask)
+     * @param {HTMLCanvasElement} canvas
+     * @param {Float32Array[]} channels
+     * @param {{stereo?: boolean}} [options] - Mirror left (top) and right (bottom) instead of drawing one symmetric shape
+     */
+    drawWaveform(canvas, channels, { stereo = false } = {}) {
+        if (!canvas || !channels?.length) return;
 
         const ctx = canvas.getContext('2d');
         const width = canvas.width;
         const height = canvas.height;
+        const [left, right = left] = channels;
+        const count = left.length;
 
         ctx.clearRect(0, 0, width, height);
 
-        const step = width / peaks.length;
+        const step = width / count;
         const centerY = height / 2;
+        const minHeight = 0.75;
+        const halfHeight = (peak) => Math.max(minHeight, (peak * height * 0.9) / 2);
 
         ctx.fillStyle = '#000'; // Mask color (opaque part)
         ctx.beginPath();
 
         // Draw top half
         ctx.moveTo(0, centerY);
-        for (let i = 0; i < peaks.length; i++) {
-            const peak = peaks[i];
-            const barHeight = Math.max(1.5, peak * height * 0.9);
-            ctx.lineTo(i * step, centerY - barHeight / 2);
+        for (let i = 0; i < count; i++) {
+            const peak = stereo ? left[i] : Math.max(left[i], right[i]);
+            ctx.lineTo(i * step, centerY - halfHeight(peak));
         }
 
         // Draw bottom half (backwards)
-        for (let i = peaks.length - 1; i >= 0; i--) {
-            const peak = peaks[i];
-            const barHeight = Math.max(1.5, peak * height * 0.9);
-            ctx.lineTo(i * step, centerY + barHeight / 2);
+        for (let i = count - 1; i >= 0; i--) {
+            const peak = stereo ? right[i] : Math.max(left[i], right[i]);
+            ctx.lineTo(i * step, centerY + halfHeight(peak));
         }
 
         ctx.closePath();
         ctx.fill();
     }
 
-    // Removed drawRoundedRect as it's no longer used for continuous paths
+    async clearCache() {
+        this.generation++;
+        this.cache.clear();
+        this.pending.clear();
+        await db.clearWaveforms();
+    }
 }
 
 export const waveformGenerator = new WaveformGenerator();
@@ -0,0 +1,35 @@
+// js/workers/waveform-worker.js
+// Extracts the waveform peaks of decoded audio off the main thread.
+// Receives one channel at a time as { id, samples: Float32Array, duration } and answers
+// { id, peaks: Float32Array } with one peak (max absolute sample) per bucket; normalizing is up to the caller.
+
+const PEAKS_PER_SECOND = 4;
+const MAX_PEAKS = 1000;
+
+const extractPeaks = (samples, numPeaks) => {
+    const peaks = new Float32Array(numPeaks);
+    const step = samples.length / numPeaks;
+
+    for (let i = 0; i < numPeaks; i++) {
+        const end = Math.min(samples.length, Math.floor((i + 1) * step));
+        let max = 0;
+        for (let j = Math.floor(i * step); j < end; j++) {
+            const datum = samples[j] < 0 ? -samples[j] : samples[j];
+            if (datum > max) max = datum;
+        }
+        peaks[i] = max;
+    }
+    return peaks;
+};
+
+self.onmessage = (event) => {
+    const { id, samples, duration } = event.data;
+
+    try {
+        const numPeaks = Math.max(1, Math.min(Math.floor(PEAKS_PER_SECOND * duration), MAX_PEAKS));
+        const peaks = extractPeaks(samples, numPeaks);
+        self.postMessage({ id, peaks }, [peaks.buffer]);
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
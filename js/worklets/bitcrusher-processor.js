@@ -0,0 +1,53 @@
+// js/worklets/bitcrusher-processor.js
+// AudioWorklet bitcrusher - quantizes samples to a bit depth and holds them to reduce the sample rate
+
+class BitcrusherProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [
+            { name: 'bits', defaultValue: 8, minValue: 1, maxValue: 16, automationRate: 'k-rate' },
+            { name: 'downsample', defaultValue: 4, minValue: 1, maxValue: 40, automationRate: 'k-rate' },
+        ];
+    }
+
+    constructor() {
+        super();
+        // Per channel: the sample being held and how many more frames to hold it
+        this.held = [];
+        this.remaining = [];
+    }
+
+    process(inputs, outputs, parameters) {
+        const input = inputs[0];
+        const output = outputs[0];
+        const step = Math.pow(2, 1 - Math.round(parameters.bits[0]));
+        const downsample = Math.max(1, Math.round(parameters.downsample[0]));
+
+        for (let channel = 0; channel < output.length; channel++) {
+            const inData = input[channel];
+            const outData = output[channel];
+            if (!inData) {
+                outData.fill(0);
+                continue;
+            }
+
+            let held = this.held[channel] || 0;
+            let remaining = this.remaining[channel] || 0;
+
+            for (let i = 0; i < outData.length; i++) {
+                if (remaining <= 0) {
+                    held = step * Math.round(inData[i] / step);
+                    remaining = downsample;
+                }
+                outData[i] = held;
+                remaining--;
+            }
+
+            this.held[channel] = held;
+            this.remaining[channel] = remaining;
+        }
+
+        return true;
+    }
+}
+
+registerProcessor('bitcrusher-processor', BitcrusherProcessor);
@@ -0,0 +1,45 @@
+// js/worklets/bs1770.js
+// ITU-R BS.1770 building blocks shared by the loudness meter and limiter worklets and the level meter:
+// the K-weighting filter coefficients and the interpolation behind the true-peak estimate
+
+/**
+ * Biquad coefficients of the two K-weighting stages for a sample rate (as in libebur128)
+ */
+export const getKWeightingCoefficients = (rate) => {
+    // Stage 1: high shelf modelling the acoustic effect of the head
+    let f0 = 1681.974450955533;
+    const gainDb = 3.999843853973347;
+    let q = 0.7071752369554196;
+    let k = Math.tan((Math.PI * f0) / rate);
+    const vh = Math.pow(10, gainDb / 20);
+    const vb = Math.pow(vh, 0.4996667741545416);
+    let a0 = 1 + k / q + k * k;
+    const shelf = {
+        b0: (vh + (vb * k) / q + k * k) / a0,
+        b1: (2 * (k * k - vh)) / a0,
+        b2: (vh - (vb * k) / q + k * k) / a0,
+        a1: (2 * (k * k - 1)) / a0,
+        a2: (1 - k / q + k * k) / a0,
+    };
+
+    // Stage 2: RLB high pass
+    f0 = 38.13547087602444;
+    q = 0.5003270373238773;
+    k = Math.tan((Math.PI * f0) / rate);
+    a0 = 1 + k / q + k * k;
+    const highpass = {
+        b0: 1,
+        b1: -2,
+        b2: 1,
+        a1: (2 * (k * k - 1)) / a0,
+        a2: (1 - k / q + k * k) / a0,
+    };
+
+    return [shelf, highpass];
+};
+
+/**
+ * Catmull-Rom interpolation between p1 and p2
+ */
+export const interpolate = (p0, p1, p2, p3, t) =>
+    0.5 * (2 * p1 + (p2 - p0) * t + (2 * p0 - 5 * p1 + 4 * p2 - p3) * t * t + (3 * p1 - p0 - 3 * p2 + p3) * t * t * t);
@@ -0,0 +1,130 @@
+// js/worklets/limiter-processor.js
+// AudioWorklet lookahead limiter - keeps the true peak (estimated with 4x oversampling)
+// below the ceiling. The gain is a windowed minimum of the needed reduction, released
+// smoothly and averaged over the lookahead, so it is fully down before a peak arrives.
+
+import { interpolate } from './bs1770.js';
+
+const LOOKAHEAD_SECONDS = 0.005;
+const OVERSAMPLE_POINTS = [0.25, 0.5, 0.75];
+
+class LimiterProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [
+            { name: 'ceiling', defaultValue: -1, minValue: -24, maxValue: 0, automationRate: 'k-rate' },
+            { name: 'release', defaultValue: 0.15, minValue: 0.01, maxValue: 2, automationRate: 'k-rate' },
+        ];
+    }
+
+    constructor() {
+        super();
+        this.lookahead = Math.max(1, Math.round(sampleRate * LOOKAHEAD_SECONDS));
+        const size = this.lookahead;
+
+        // Delayed audio, per channel
+        this.delayLines = [];
+        // Last three input samples per channel, for the inter-sample peak estimate
+        this.history = [];
+
+        // Sliding window minimum of the required gain (monotonic deque over a ring buffer).
+        // The window reaches a few samples past the lookahead because the inter-sample
+        // estimate trails the newest sample.
+        this.window = size + 3;
+        this.dequeValues = new Float32Array(this.window + 1);
+        this.dequeIndices = new Float64Array(this.window + 1);
+        this.dequeHead = 0;
+        this.dequeLength = 0;
+
+        // Moving average of the released gain
+        this.averageBuffer = new Float32Array(size).fill(1);
+        this.averageSum = size;
+
+        this.envelope = 1;
+        this.position = 0;
+    }
+
+    _getChannel(index) {
+        if (!this.delayLines[index]) {
+            this.delayLines[index] = new Float32Array(this.lookahead);
+            this.history[index] = new Float32Array(3);
+        }
+        return index;
+    }
+
+    _pushMinimum(value) {
+        const capacity = this.dequeValues.length;
+        // Drop values that can never be the minimum again
+        while (this.dequeLength > 0) {
+            const last = (this.dequeHead + this.dequeLength - 1) % capacity;
+            if (this.dequeValues[last] < value) break;
+            this.dequeLength--;
+        }
+        const tail = (this.dequeHead + this.dequeLength) % capacity;
+        this.dequeValues[tail] = value;
+        this.dequeIndices[tail] = this.position;
+        this.dequeLength++;
+
+        // Drop values that left the window
+        while (this.dequeIndices[this.dequeHead] <= this.position - this.window) {
+            this.dequeHead = (this.dequeHead + 1) % capacity;
+            this.dequeLength--;
+        }
+        return this.dequeValues[this.dequeHead];
+    }
+
+    process(inputs, outputs, parameters) {
+        const input = inputs[0];
+        const output = outputs[0];
+        if (!input || input.length === 0) {
+            output.forEach((channel) => channel.fill(0));
+            return true;
+        }
+
+        const ceiling = Math.pow(10, parameters.ceiling[0] / 20);
+        const releaseCoefficient = Math.exp(-1 / (parameters.release[0] * sampleRate));
+        const channels = Math.min(input.length, output.length);
+        const length = output[0].length;
+
+        for (let i = 0; i < length; i++) {
+            const slot = this.position % this.lookahead;
+
+            // True peak around the newest sample: the sample itself and the curve between the two before it
+            let peak = 0;
+            for (let c = 0; c < channels; c++) {
+                this._getChannel(c);
+                const sample = input[c][i];
+                const history = this.history[c];
+                const [p0, p1, p2] = history;
+                peak = Math.max(peak, Math.abs(sample));
+                for (const t of OVERSAMPLE_POINTS) {
+                    peak = Math.max(peak, Math.abs(interpolate(p0, p1, p2, sample, t)));
+                }
+                history[0] = p1;
+                history[1] = p2;
+                history[2] = sample;
+            }
+
+            const required = peak > ceiling ? ceiling / peak : 1;
+            const held = this._pushMinimum(required);
+
+            // Instant attack, exponential release
+            this.envelope = held < this.envelope ? held : held + releaseCoefficient * (this.envelope - held);
+
+            this.averageSum += this.envelope - this.averageBuffer[slot];
+            this.averageBuffer[slot] = this.envelope;
+            const gain = Math.min(1, this.averageSum / this.lookahead);
+
+            for (let c = 0; c < channels; c++) {
+                const delayLine = this.delayLines[c];
+                const delayed = delayLine[slot];
+                delayLine[slot] = input[c][i];
+                output[c][i] = delayed * gain;
+            }
+            this.position++;
+        }
+
+        return true;
+    }
+}
+
+registerProcessor('limiter-processor', LimiterProcessor);
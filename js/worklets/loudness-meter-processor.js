@@ -0,0 +1,66 @@
+// js/worklets/loudness-meter-processor.js
+// AudioWorklet loudness meter - K-weights the input (ITU-R BS.1770) and posts the summed
+// channel mean square of every 100 ms step; gating and integration happen on the main thread
+
+import { getKWeightingCoefficients } from './bs1770.js';
+
+const STEP_SECONDS = 0.1;
+
+class LoudnessMeterProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.stages = getKWeightingCoefficients(sampleRate);
+        this.stepFrames = Math.round(sampleRate * STEP_SECONDS);
+        // Per channel: filter state of both stages and the running sum of squares
+        this.channels = [];
+        this.frames = 0;
+    }
+
+    _getChannel(index) {
+        if (!this.channels[index]) {
+            this.channels[index] = { state: this.stages.map(() => ({ x1: 0, x2: 0, y1: 0, y2: 0 })), sum: 0 };
+        }
+        return this.channels[index];
+    }
+
+    process(inputs) {
+        const input = inputs[0];
+        // Nothing connected or playing
+        if (!input || input.length === 0) return true;
+
+        const length = input[0].length;
+        for (let i = 0; i < length; i++) {
+            for (let c = 0; c < input.length; c++) {
+                const channel = this._getChannel(c);
+                let sample = input[c][i];
+
+                for (let s = 0; s < this.stages.length; s++) {
+                    const { b0, b1, b2, a1, a2 } = this.stages[s];
+                    const state = channel.state[s];
+                    const out = b0 * sample + b1 * state.x1 + b2 * state.x2 - a1 * state.y1 - a2 * state.y2;
+                    state.x2 = state.x1;
+                    state.x1 = sample;
+                    state.y2 = state.y1;
+                    state.y1 = out;
+                    sample = out;
+                }
+
+                channel.sum += sample * sample;
+            }
+
+            if (++this.frames >= this.stepFrames) {
+                let meanSquare = 0;
+                for (let c = 0; c < input.length; c++) {
+                    meanSquare += this.channels[c].sum / this.frames;
+                }
+                this.channels.forEach((channel) => (channel.sum = 0));
+                this.frames = 0;
+                this.port.postMessage(meanSquare);
+            }
+        }
+
+        return true;
+    }
+}
+
+registerProcessor('loudness-meter-processor', LoudnessMeterProcessor);
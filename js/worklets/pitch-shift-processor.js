@@ -0,0 +1,197 @@
+// js/worklets/pitch-shift-processor.js
+// AudioWorklet pitch shifter - a phase vocoder (after Bernsee's smbPitchShift) that moves every
+// frequency by the same ratio without changing the tempo. Adds FRAME_SIZE - HOP_SIZE samples of latency.
+
+const FRAME_SIZE = 2048;
+const OVERSAMPLING = 4;
+const HOP_SIZE = FRAME_SIZE / OVERSAMPLING;
+const HALF_SIZE = FRAME_SIZE / 2;
+const LATENCY = FRAME_SIZE - HOP_SIZE;
+
+// Expected phase advance of bin 1 between two hops
+const EXPECTED_PHASE = (2 * Math.PI * HOP_SIZE) / FRAME_SIZE;
+
+const hann = new Float32Array(FRAME_SIZE);
+for (let i = 0; i < FRAME_SIZE; i++) {
+    hann[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / FRAME_SIZE);
+}
+
+// Overlap-add of the squared window over OVERSAMPLING hops sums to 3/8 * OVERSAMPLING
+const OUTPUT_SCALE = 1 / ((3 / 8) * OVERSAMPLING);
+
+// Bit reversal table and twiddle factors of the FFT
+const BITS = Math.log2(FRAME_SIZE);
+const reversed = new Uint32Array(FRAME_SIZE);
+for (let i = 0; i < FRAME_SIZE; i++) {
+    let r = 0;
+    for (let b = 0; b < BITS; b++) r |= ((i >> b) & 1) << (BITS - 1 - b);
+    reversed[i] = r;
+}
+const cosTable = new Float32Array(HALF_SIZE);
+const sinTable = new Float32Array(HALF_SIZE);
+for (let i = 0; i < HALF_SIZE; i++) {
+    cosTable[i] = Math.cos((2 * Math.PI * i) / FRAME_SIZE);
+    sinTable[i] = Math.sin((2 * Math.PI * i) / FRAME_SIZE);
+}
+
+/**
+ * In-place radix-2 FFT
+ * @param {number} sign - -1 for the forward transform, 1 for the (unscaled) inverse
+ */
+const fft = (re, im, sign) => {
+    for (let i = 0; i < FRAME_SIZE; i++) {
+        const j = reversed[i];
+        if (j > i) {
+            let t = re[i];
+            re[i] = re[j];
+            re[j] = t;
+            t = im[i];
+            im[i] = im[j];
+            im[j] = t;
+        }
+    }
+
+    for (let size = 2; size <= FRAME_SIZE; size *= 2) {
+        const half = size / 2;
+        const step = FRAME_SIZE / size;
+        for (let start = 0; start < FRAME_SIZE; start += size) {
+            for (let k = 0; k < half; k++) {
+                const wr = cosTable[k * step];
+                const wi = sign * sinTable[k * step];
+                const a = start + k;
+                const b = a + half;
+                const tr = re[b] * wr - im[b] * wi;
+                const ti = re[b] * wi + im[b] * wr;
+                re[b] = re[a] - tr;
+                im[b] = im[a] - ti;
+                re[a] += tr;
+                im[a] += ti;
+            }
+        }
+    }
+};
+
+class PitchShiftProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [{ name: 'semitones', defaultValue: 0, minValue: -12, maxValue: 12, automationRate: 'k-rate' }];
+    }
+
+    constructor() {
+        super();
+        this.channels = [];
+        // Shared work buffers
+        this.re = new Float32Array(FRAME_SIZE);
+        this.im = new Float32Array(FRAME_SIZE);
+        this.magnitudes = new Float32Array(HALF_SIZE + 1);
+        this.frequencies = new Float32Array(HALF_SIZE + 1);
+        this.shiftedMagnitudes = new Float32Array(HALF_SIZE + 1);
+        this.shiftedFrequencies = new Float32Array(HALF_SIZE + 1);
+    }
+
+    _getChannel(index) {
+        if (!this.channels[index]) {
+            this.channels[index] = {
+                input: new Float32Array(FRAME_SIZE),
+                output: new Float32Array(FRAME_SIZE),
+                accumulator: new Float32Array(FRAME_SIZE + HOP_SIZE),
+                lastPhase: new Float32Array(HALF_SIZE + 1),
+                phaseSum: new Float32Array(HALF_SIZE + 1),
+                position: LATENCY,
+            };
+        }
+        return this.channels[index];
+    }
+
+    /**
+     * Analyse one frame, move its bins by the ratio and add the resynthesized frame to the output
+     */
+    _processFrame(channel, ratio) {
+        const { re, im, magnitudes, frequencies, shiftedMagnitudes, shiftedFrequencies } = this;
+
+        for (let i = 0; i < FRAME_SIZE; i++) {
+            re[i] = channel.input[i] * hann[i];
+            im[i] = 0;
+        }
+        fft(re, im, -1);
+
+        // Analysis: true frequency of each bin (in bins) from its phase advance
+        for (let k = 0; k <= HALF_SIZE; k++) {
+            const phase = Math.atan2(im[k], re[k]);
+            let delta = phase - channel.lastPhase[k] - k * EXPECTED_PHASE;
+            channel.lastPhase[k] = phase;
+            delta -= 2 * Math.PI * Math.round(delta / (2 * Math.PI));
+
+            magnitudes[k] = 2 * Math.hypot(re[k], im[k]);
+            frequencies[k] = k + (delta * OVERSAMPLING) / (2 * Math.PI);
+        }
+
+        // Move the bins
+        shiftedMagnitudes.fill(0);
+        shiftedFrequencies.fill(0);
+        for (let k = 0; k <= HALF_SIZE; k++) {
+            const target = Math.round(k * ratio);
+            if (target > HALF_SIZE) break;
+            shiftedMagnitudes[target] += magnitudes[k];
+            shiftedFrequencies[target] = frequencies[k] * ratio;
+        }
+
+        // Synthesis: accumulate the phase of the new frequencies
+        for (let k = 0; k <= HALF_SIZE; k++) {
+            channel.phaseSum[k] += (2 * Math.PI * shiftedFrequencies[k]) / OVERSAMPLING;
+            const phase = channel.phaseSum[k];
+            re[k] = shiftedMagnitudes[k] * Math.cos(phase);
+            im[k] = shiftedMagnitudes[k] * Math.sin(phase);
+        }
+        // Keep the phases small so they don't lose precision
+        for (let k = 0; k <= HALF_SIZE; k++) {
+            channel.phaseSum[k] %= 2 * Math.PI;
+        }
+        for (let k = HALF_SIZE + 1; k < FRAME_SIZE; k++) {
+            re[k] = 0;
+            im[k] = 0;
+        }
+        fft(re, im, 1);
+
+        const accumulator = channel.accumulator;
+        const scale = OUTPUT_SCALE / FRAME_SIZE;
+        for (let i = 0; i < FRAME_SIZE; i++) {
+            accumulator[i] += hann[i] * re[i] * scale;
+        }
+
+        channel.output.set(accumulator.subarray(0, HOP_SIZE));
+        accumulator.copyWithin(0, HOP_SIZE);
+        accumulator.fill(0, FRAME_SIZE);
+        channel.input.copyWithin(0, HOP_SIZE);
+    }
+
+    process(inputs, outputs, parameters) {
+        const input = inputs[0];
+        const output = outputs[0];
+        if (!input || input.length === 0) {
+            output.forEach((channel) => channel.fill(0));
+            return true;
+        }
+
+        const ratio = Math.pow(2, parameters.semitones[0] / 12);
+        const channels = Math.min(input.length, output.length);
+
+        for (let c = 0; c < channels; c++) {
+            const channel = this._getChannel(c);
+            const source = input[c];
+            const target = output[c];
+
+            for (let i = 0; i < source.length; i++) {
+                channel.input[channel.position] = source[i];
+                target[i] = channel.output[channel.position - LATENCY];
+                if (++channel.position >= FRAME_SIZE) {
+                    channel.position = LATENCY;
+                    this._processFrame(channel, ratio);
+                }
+            }
+        }
+
+        return true;
+    }
+}
+
+registerProcessor('pitch-shift-processor', PitchShiftProcessor);